@@ -0,0 +1,185 @@
+// ENS Address List Component
+// React component that shows a list of addresses with their verified primary names
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { batchLookupAddresses } from '../shared-utilities/reverse-resolution';
+
+const ENSAddressList = ({
+  addresses,
+  provider,
+  onResolved,
+  className = "",
+  concurrency = 10,
+  showAddressWithName = true,
+  emptyMessage = "No addresses to display"
+}) => {
+  const [results, setResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Look up all primary names in one batch whenever the list changes
+  useEffect(() => {
+    if (!provider || addresses.length === 0) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    batchLookupAddresses(provider, addresses, { concurrency })
+      .then((lookups) => {
+        if (cancelled) return;
+        setResults(lookups);
+        onResolved && onResolved(lookups);
+      })
+      .catch((lookupError) => {
+        if (cancelled) return;
+        console.error('Failed to look up primary names:', lookupError);
+        setError(lookupError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    // Ignore results from a previous list if the addresses change mid-lookup
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, addresses.join(','), concurrency]);
+
+  if (addresses.length === 0) {
+    return <div className={`ens-address-list empty ${className}`}>{emptyMessage}</div>;
+  }
+
+  return (
+    <div className={`ens-address-list ${className}`}>
+      {error && (
+        <div className="lookup-error">
+          {error}
+        </div>
+      )}
+
+      <ul className="address-items">
+        {addresses.map((address, index) => {
+          const result = results[index];
+          const name = result && result.name;
+
+          return (
+            <li key={`${address}-${index}`} className="address-item">
+              {isLoading && !result && (
+                <span className="spinner"></span>
+              )}
+
+              {name ? (
+                <span className="primary-name" title={address}>{name}</span>
+              ) : (
+                <span className="address" title={result && result.reason ? `No primary name (${result.reason})` : undefined}>
+                  {shortenAddress(address)}
+                </span>
+              )}
+
+              {name && showAddressWithName && (
+                <span className="address secondary">{shortenAddress(address)}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <style jsx>{`
+        .ens-address-list {
+          width: 100%;
+          max-width: 400px;
+        }
+
+        .ens-address-list.empty {
+          color: #6b7280;
+          font-size: 14px;
+        }
+
+        .address-items {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          border: 1px solid #e1e5e9;
+          border-radius: 8px;
+        }
+
+        .address-item {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 12px 16px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .address-item:last-child {
+          border-bottom: none;
+        }
+
+        .primary-name {
+          color: #111827;
+          font-weight: 600;
+        }
+
+        .address {
+          color: #374151;
+          font-family: monospace;
+          font-size: 14px;
+        }
+
+        .address.secondary {
+          color: #6b7280;
+          font-size: 12px;
+        }
+
+        .lookup-error {
+          margin-bottom: 8px;
+          padding: 8px 12px;
+          color: #dc2626;
+          font-size: 14px;
+          background-color: #fef2f2;
+          border: 1px solid #fecaca;
+          border-radius: 6px;
+        }
+
+        .spinner {
+          display: inline-block;
+          width: 16px;
+          height: 16px;
+          border: 2px solid #e1e5e9;
+          border-radius: 50%;
+          border-top-color: #4f46e5;
+          animation: spin 1s linear infinite;
+          margin-right: 8px;
+        }
+
+        @keyframes spin {
+          to {
+            transform: rotate(360deg);
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+// Shorten an address for display (0x1234...abcd)
+function shortenAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+ENSAddressList.propTypes = {
+  addresses: PropTypes.arrayOf(PropTypes.string).isRequired,
+  provider: PropTypes.object,
+  onResolved: PropTypes.func,
+  className: PropTypes.string,
+  concurrency: PropTypes.number,
+  showAddressWithName: PropTypes.bool,
+  emptyMessage: PropTypes.string
+};
+
+export default ENSAddressList;
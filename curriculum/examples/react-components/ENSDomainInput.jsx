@@ -14,7 +14,8 @@ const ENSDomainInput = ({
   className = "",
   showSuggestions = true,
   maxSuggestions = 5,
-  debounceMs = 300
+  debounceMs = 300,
+  registration = false
 }) => {
   const [inputValue, setInputValue] = useState(value || '');
   const [isValidating, setIsValidating] = useState(false);
@@ -25,17 +26,18 @@ const ENSDomainInput = ({
   // Debounced validation
   const debouncedValidate = useCallback(
     debounce((name) => {
-      const result = validateENSName(name);
+      const result = validateENSName(name, { registration });
       setValidation(result);
       onValidate && onValidate(result);
       setIsValidating(false);
     }, debounceMs),
-    [debounceMs, onValidate]
+    [debounceMs, onValidate, registration]
   );
 
   // Handle input changes
   const handleInputChange = (e) => {
-    const newValue = e.target.value.toLowerCase();
+    // Case folding is part of ENSIP-15 normalization, so keep the raw input here
+    const newValue = e.target.value;
     setInputValue(newValue);
     onChange && onChange(newValue);
     
@@ -87,7 +89,7 @@ const ENSDomainInput = ({
     setSuggestions([]);
     
     // Validate the selected suggestion
-    const result = validateENSName(suggestion);
+    const result = validateENSName(suggestion, { registration });
     setValidation(result);
     onValidate && onValidate(result);
   };
@@ -132,6 +134,30 @@ const ENSDomainInput = ({
         )}
       </div>
 
+      {/* Normalized Preview */}
+      {!isValidating && validation.valid && validation.normalized && validation.normalized !== inputValue && (
+        <div className="normalized-preview">
+          Normalized: <span className="normalized-name">{validation.beautified}</span>
+        </div>
+      )}
+
+      {/* Per-label breakdown, highlighting the labels that failed */}
+      {!isValidating && !validation.valid && validation.labels && validation.labels.length > 1 && (
+        <div className="label-breakdown">
+          {validation.labels.map((label, index) => (
+            <React.Fragment key={index}>
+              {index > 0 && <span className="label-separator">.</span>}
+              <span
+                className={`label-chip ${label.valid ? 'valid' : 'invalid'}`}
+                title={label.errors.join(', ')}
+              >
+                {label.input || '(empty)'}
+              </span>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
       {/* Validation Errors */}
       {!validation.valid && validation.errors.length > 0 && (
         <div className="validation-errors">
@@ -245,6 +271,43 @@ const ENSDomainInput = ({
           }
         }
 
+        .normalized-preview {
+          margin-top: 8px;
+          color: #6b7280;
+          font-size: 14px;
+        }
+
+        .normalized-name {
+          color: #111827;
+          font-weight: 600;
+        }
+
+        .label-breakdown {
+          margin-top: 8px;
+          font-size: 14px;
+        }
+
+        .label-chip {
+          padding: 2px 6px;
+          border-radius: 4px;
+        }
+
+        .label-chip.valid {
+          color: #065f46;
+          background-color: #ecfdf5;
+        }
+
+        .label-chip.invalid {
+          color: #991b1b;
+          background-color: #fee2e2;
+          text-decoration: underline wavy #ef4444;
+        }
+
+        .label-separator {
+          color: #6b7280;
+          margin: 0 2px;
+        }
+
         .validation-errors {
           margin-top: 8px;
           padding: 8px 12px;
@@ -328,7 +391,8 @@ ENSDomainInput.propTypes = {
   className: PropTypes.string,
   showSuggestions: PropTypes.bool,
   maxSuggestions: PropTypes.number,
-  debounceMs: PropTypes.number
+  debounceMs: PropTypes.number,
+  registration: PropTypes.bool
 };
 
 export default ENSDomainInput;
@@ -5,11 +5,16 @@ import { ethers } from 'ethers';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform, Alert } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
-import { namehash, validateENSName, getContractAddresses } from '../shared-utilities/ens-helpers';
+import { namehash, normalizeName, validateENSName, detectNetwork } from '../shared-utilities/ens-helpers';
+import { resolveRecord } from '../shared-utilities/resolution';
+import { reverseResolve, batchLookupAddresses } from '../shared-utilities/reverse-resolution';
+import { getTextRecords } from '../shared-utilities/text-records';
+import { resolveAvatarUri } from '../shared-utilities/avatar';
 
 class ENSMobileManager {
   constructor(network = 'mainnet') {
     this.network = network;
+    this.chainId = null;
     this.provider = null;
     this.signer = null;
     this.contracts = {};
@@ -22,11 +27,15 @@ class ENSMobileManager {
    */
   async initialize() {
     try {
-      const addresses = getContractAddresses(this.network);
       const rpcUrl = this.getRPCUrl(this.network);
       
       this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
       
+      // Use the contracts of the chain the RPC actually serves
+      const network = await detectNetwork(this.provider);
+      this.chainId = network.chainId;
+      const addresses = network.contracts;
+      
       // Initialize contracts
       this.contracts = {
         registry: new ethers.Contract(
@@ -72,15 +81,15 @@ class ENSMobileManager {
         android: 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
         default: 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID'
       },
-      goerli: {
-        ios: 'https://goerli.infura.io/v3/YOUR_PROJECT_ID',
-        android: 'https://goerli.infura.io/v3/YOUR_PROJECT_ID',
-        default: 'https://goerli.infura.io/v3/YOUR_PROJECT_ID'
-      },
       sepolia: {
         ios: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID',
         android: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID',
         default: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID'
+      },
+      holesky: {
+        ios: 'https://holesky.infura.io/v3/YOUR_PROJECT_ID',
+        android: 'https://holesky.infura.io/v3/YOUR_PROJECT_ID',
+        default: 'https://holesky.infura.io/v3/YOUR_PROJECT_ID'
       }
     };
 
@@ -180,8 +189,14 @@ class ENSMobileManager {
     }
 
     try {
-      // Check cache first
-      const cacheKey = `resolve:${name}`;
+      // Validate name
+      const validation = validateENSName(name);
+      if (!validation.valid) {
+        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
+      }
+
+      // Check cache first (keyed by normalized name so "Vitalik.eth" and "vitalik.eth" share an entry)
+      const cacheKey = `resolve:${validation.normalized}`;
       if (this.cache.has(cacheKey)) {
         const cached = this.cache.get(cacheKey);
         if (Date.now() - cached.timestamp < 300000) { // 5 minutes
@@ -189,15 +204,11 @@ class ENSMobileManager {
         }
       }
 
-      // Validate name
-      const validation = validateENSName(name);
-      if (!validation.valid) {
-        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
-      }
-
-      // Resolve name
-      const nameHash = namehash(name);
-      const address = await this.contracts.resolver.addr(nameHash);
+      // Resolve through the name's own resolver
+      const resolution = await resolveRecord(this.provider, validation.normalized, 'addr', [], {
+        registry: this.contracts.registry.address
+      });
+      const address = resolution.value || ethers.constants.AddressZero;
 
       // Cache result
       this.cache.set(cacheKey, {
@@ -223,7 +234,7 @@ class ENSMobileManager {
     }
 
     try {
-      const cacheKey = `text:${name}:${key}`;
+      const cacheKey = `text:${normalizeName(name)}:${key}`;
       if (this.cache.has(cacheKey)) {
         const cached = this.cache.get(cacheKey);
         if (Date.now() - cached.timestamp < 300000) {
@@ -231,8 +242,10 @@ class ENSMobileManager {
         }
       }
 
-      const nameHash = namehash(name);
-      const value = await this.contracts.resolver.text(nameHash, key);
+      const resolution = await resolveRecord(this.provider, name, 'text', [key], {
+        registry: this.contracts.registry.address
+      });
+      const value = resolution.value || '';
 
       this.cache.set(cacheKey, {
         value,
@@ -248,6 +261,90 @@ class ENSMobileManager {
     }
   }
 
+  /**
+   * Look up the verified primary name for an address with caching
+   * Returns null unless the reverse record's name resolves back to the address
+   */
+  async lookupAddress(address) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Manager not initialized');
+    }
+
+    try {
+      const checksummed = ethers.utils.getAddress(address);
+      const cacheKey = `reverse:${checksummed}`;
+      if (this.cache.has(cacheKey)) {
+        const cached = this.cache.get(cacheKey);
+        if (Date.now() - cached.timestamp < 300000) {
+          return cached.name;
+        }
+      }
+
+      const result = await reverseResolve(this.provider, checksummed, {
+        registry: this.contracts.registry.address
+      });
+
+      this.cache.set(cacheKey, {
+        name: result.name,
+        timestamp: Date.now()
+      });
+      await this.saveCache();
+
+      return result.name;
+
+    } catch (error) {
+      console.error('Reverse resolution failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up verified primary names for a list of addresses (e.g., a contacts screen)
+   * Cached addresses are served from the cache; the rest are looked up in one batch
+   */
+  async batchLookupAddresses(addresses) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Manager not initialized');
+    }
+
+    // Malformed addresses are passed through; the batch reports them per address
+    const checksummed = addresses.map(address => (ethers.utils.isAddress(address) ? ethers.utils.getAddress(address) : address));
+    const names = new Map();
+    const missing = [];
+
+    checksummed.forEach(address => {
+      const cached = this.cache.get(`reverse:${address}`);
+      if (cached && Date.now() - cached.timestamp < 300000) {
+        names.set(address, cached.name);
+      } else {
+        missing.push(address);
+      }
+    });
+
+    if (missing.length > 0) {
+      const results = await batchLookupAddresses(this.provider, missing, {
+        registry: this.contracts.registry.address
+      });
+
+      results.forEach(result => {
+        names.set(result.address, result.name);
+        // Don't cache lookups that failed outright; they should be retried
+        if (!result.error) {
+          this.cache.set(`reverse:${result.address}`, {
+            name: result.name,
+            timestamp: Date.now()
+          });
+        }
+      });
+      await this.saveCache();
+    }
+
+    return checksummed.map(address => ({
+      address,
+      name: names.get(address) || null
+    }));
+  }
+
   /**
    * Set text record for owned ENS name
    */
@@ -277,7 +374,7 @@ class ENSMobileManager {
       await tx.wait();
       
       // Update cache
-      const cacheKey = `text:${name}:${key}`;
+      const cacheKey = `text:${normalizeName(name)}:${key}`;
       this.cache.set(cacheKey, {
         value,
         timestamp: Date.now()
@@ -333,25 +430,34 @@ class ENSMobileManager {
     }
 
     try {
-      const [address, description, avatar, twitter, github, website] = await Promise.all([
+      // All text keys set on the resolver, read in one batch (common keys if they can't be discovered)
+      const [address, text] = await Promise.all([
         this.resolveENS(name),
-        this.getTextRecord(name, 'description').catch(() => ''),
-        this.getTextRecord(name, 'avatar').catch(() => ''),
-        this.getTextRecord(name, 'com.twitter').catch(() => ''),
-        this.getTextRecord(name, 'com.github').catch(() => ''),
-        this.getTextRecord(name, 'url').catch(() => '')
+        getTextRecords(this.provider, name, {
+          registry: this.contracts.registry.address
+        }).catch(() => ({ records: {}, source: null }))
       ]);
+      const records = text.records;
+
+      // ENSIP-12: gateway URL for IPFS/Arweave avatars; NFT avatars must be owned by the name's address
+      const avatarImage = records.avatar
+        ? await resolveAvatarUri(this.provider, records.avatar, { owner: address }).catch(() => null)
+        : null;
 
       return {
         name,
         address,
-        description,
-        avatar,
+        description: records.description || '',
+        avatar: records.avatar || '',
+        avatarUrl: avatarImage ? avatarImage.url : null,
+        avatarNft: avatarImage ? avatarImage.nft : null,
         social: {
-          twitter,
-          github,
-          website
+          twitter: records['com.twitter'] || '',
+          github: records['com.github'] || '',
+          website: records.url || ''
         },
+        textRecords: records,
+        textRecordSource: text.source,
         timestamp: Date.now()
       };
 
@@ -386,6 +492,7 @@ class ENSMobileManager {
   getNetworkInfo() {
     return {
       network: this.network,
+      chainId: this.chainId,
       platform: Platform.OS,
       isInitialized: this.isInitialized,
       hasWallet: !!this.signer,
@@ -0,0 +1,208 @@
+// ENS Avatars
+// ENSIP-12 avatar resolution: HTTP, IPFS, Arweave and data URIs, and NFT avatars checked against the name's address
+
+const { ethers } = require('ethers');
+const { parseContentUri, getContentGatewayUrl } = require('./content-hash');
+const { resolveRecord } = require('./resolution');
+
+const NFT_URI = /^eip155:(\d+)\/(erc721|erc1155):(0x[0-9a-fA-F]{40})\/(\d+|0x[0-9a-fA-F]+)$/i;
+
+const ERC721_ABI = [
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)'
+];
+
+const ERC1155_ABI = [
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function uri(uint256 id) view returns (string)'
+];
+
+/**
+ * Parse an avatar text record
+ * @param {string} uri - Avatar record, e.g. "https://...", "ipfs://Qm...", "ar://...", "data:image/png;base64,..."
+ *   or "eip155:1/erc721:0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB/2430"
+ * @returns {Object} - { type: 'http' | 'ipfs' | 'ipns' | 'arweave' | 'data' | 'nft', ... };
+ *   NFTs also carry chainId, standard, contract and tokenId
+ * @throws {Error} - If the URI scheme is not supported
+ */
+function parseAvatarUri(uri) {
+  const value = uri.trim();
+  const nft = NFT_URI.exec(value);
+
+  if (nft) {
+    return {
+      type: 'nft',
+      chainId: Number(nft[1]),
+      standard: nft[2].toLowerCase(),
+      contract: ethers.utils.getAddress(nft[3]),
+      tokenId: ethers.BigNumber.from(nft[4]).toString()
+    };
+  }
+
+  if (/^data:/i.test(value)) return { type: 'data' };
+  if (/^https?:\/\//i.test(value)) return { type: 'http' };
+
+  let content;
+  try {
+    content = parseContentUri(value);
+  } catch (error) {
+    throw new Error(`Unsupported avatar URI: ${uri}`);
+  }
+  if (!['ipfs', 'ipns', 'arweave'].includes(content.protocol)) {
+    throw new Error(`Unsupported avatar URI: ${uri}`);
+  }
+  return { type: content.protocol };
+}
+
+/**
+ * Turn an avatar, metadata or image URI into something a browser or fetch can load
+ * ipfs://, ipns:// and ar:// go through the gateways; http(s) and data: URIs are returned as they are.
+ * @param {string} uri - URI to rewrite
+ * @param {Object} gateways - Gateway overrides keyed by protocol (ipfs, ipns, arweave)
+ * @returns {string} - Loadable URL
+ * @throws {Error} - If the URI scheme is not supported
+ */
+function toGatewayUrl(uri, gateways = {}) {
+  const value = uri.trim();
+  if (/^(data:|https?:\/\/)/i.test(value)) return value;
+
+  // Some tokens use the legacy "ipfs://ipfs/<cid>" form
+  const { protocol, value: path } = parseContentUri(value.replace(/^ipfs:\/\/ipfs\//i, 'ipfs://'));
+  const url = getContentGatewayUrl(protocol, path, gateways);
+  if (!url || !['ipfs', 'ipns', 'arweave'].includes(protocol)) {
+    throw new Error(`Unsupported URI: ${uri}`);
+  }
+  return url;
+}
+
+/**
+ * Load JSON from a URL or data: URI
+ * @param {string} url - http(s) or data: URL
+ * @param {Function} fetchFn - fetch-compatible function
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+async function loadJson(url, fetchFn) {
+  const data = /^data:([^,]*?)(;base64)?,(.*)$/is.exec(url);
+  if (data) {
+    const body = data[2]
+      ? ethers.utils.toUtf8String(ethers.utils.base64.decode(data[3]))
+      : decodeURIComponent(data[3]);
+    return JSON.parse(body);
+  }
+
+  const fetchImpl = fetchFn || globalThis.fetch;
+  if (!fetchImpl) {
+    throw new Error('NFT metadata requires a fetch implementation (pass options.fetch)');
+  }
+
+  const response = await fetchImpl(url);
+  if (!response.ok) {
+    throw new Error(`Could not load NFT metadata from ${url}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Resolve an avatar record to an image URL
+ * NFT avatars are only accepted if options.owner (the address the name resolves to)
+ * owns the token, as ENSIP-12 requires.
+ * @param {ethers.providers.Provider} provider - Provider for the NFT's chain
+ * @param {string} uri - Avatar record
+ * @param {Object} options - Resolution options
+ * @param {string} options.owner - Address that must own an NFT avatar
+ * @param {Object} options.providers - Providers for other chains, keyed by chainId
+ * @param {Object} options.gateways - Gateway overrides keyed by protocol (ipfs, ipns, arweave)
+ * @param {Function} options.fetch - fetch-compatible function for metadata (defaults to global fetch)
+ * @returns {Promise<Object>} - { uri, type, url, nft, metadata }; nft and metadata are null for plain URIs
+ * @throws {Error} - If the URI is unsupported, the owner does not hold the NFT, or the metadata has no image
+ */
+async function resolveAvatarUri(provider, uri, options = {}) {
+  const parsed = parseAvatarUri(uri);
+  const gateways = options.gateways || {};
+
+  if (parsed.type !== 'nft') {
+    return { uri, type: parsed.type, url: toGatewayUrl(uri, gateways), nft: null, metadata: null };
+  }
+
+  const { chainId, standard, contract, tokenId } = parsed;
+  const providers = options.providers || {};
+  let nftProvider = providers[chainId];
+  if (!nftProvider) {
+    const network = await provider.getNetwork();
+    if (network.chainId !== chainId) {
+      throw new Error(`Avatar NFT is on chain ${chainId}; pass a provider for it in options.providers`);
+    }
+    nftProvider = provider;
+  }
+
+  if (!options.owner) {
+    throw new Error('NFT avatars need the address the name resolves to (options.owner)');
+  }
+  const owner = ethers.utils.getAddress(options.owner);
+
+  let metadataUri;
+  if (standard === 'erc721') {
+    const token = new ethers.Contract(contract, ERC721_ABI, nftProvider);
+    const holder = await token.ownerOf(tokenId);
+    if (holder !== owner) {
+      throw new Error(`${owner} does not own ${contract}/${tokenId} (held by ${holder})`);
+    }
+    metadataUri = await token.tokenURI(tokenId);
+  } else {
+    const token = new ethers.Contract(contract, ERC1155_ABI, nftProvider);
+    const balance = await token.balanceOf(owner, tokenId);
+    if (balance.isZero()) {
+      throw new Error(`${owner} does not own ${contract}/${tokenId}`);
+    }
+    // ERC-1155 metadata URIs substitute {id} with the 64-character lowercase hex token id
+    const id = ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32).slice(2);
+    metadataUri = (await token.uri(tokenId)).replace(/\{id\}/g, id);
+  }
+
+  const metadata = await loadJson(toGatewayUrl(metadataUri, gateways), options.fetch);
+  let image = metadata.image || metadata.image_url;
+  if (!image && metadata.image_data) {
+    image = `data:image/svg+xml;utf8,${encodeURIComponent(metadata.image_data)}`;
+  }
+  if (!image) {
+    throw new Error(`NFT metadata for ${contract}/${tokenId} has no image`);
+  }
+
+  return {
+    uri,
+    type: 'nft',
+    url: toGatewayUrl(image, gateways),
+    nft: { chainId, standard, contract, tokenId, owner },
+    metadata
+  };
+}
+
+/**
+ * Resolve a name's avatar
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object} options - Options for resolveAvatarUri and resolveRecord; options.owner
+ *   defaults to the name's addr record
+ * @returns {Promise<Object|null>} - { name, uri, type, url, nft, metadata } or null if no avatar is set
+ */
+async function getAvatar(provider, name, options = {}) {
+  const [avatar, address] = await Promise.all([
+    resolveRecord(provider, name, 'text', ['avatar'], options),
+    options.owner ? null : resolveRecord(provider, name, 'addr', [], options)
+  ]);
+
+  if (!avatar.value) return null;
+
+  const resolved = await resolveAvatarUri(provider, avatar.value, {
+    ...options,
+    owner: options.owner || (address && address.value)
+  });
+  return { name: avatar.name, ...resolved };
+}
+
+module.exports = {
+  parseAvatarUri,
+  toGatewayUrl,
+  resolveAvatarUri,
+  getAvatar
+};
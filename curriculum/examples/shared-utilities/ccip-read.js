@@ -0,0 +1,169 @@
+// CCIP-Read (EIP-3668)
+// Follows OffchainLookup reverts through gateways so offchain/L2 names can be resolved
+
+const { ethers } = require('ethers');
+
+const offchainLookupInterface = new ethers.utils.Interface([
+  'error OffchainLookup(address sender, string[] urls, bytes callData, bytes4 callbackFunction, bytes extraData)'
+]);
+
+const OFFCHAIN_LOOKUP_SELECTOR = offchainLookupInterface.getSighash('OffchainLookup');
+
+// EIP-3668 recommends clients stop after a small number of lookups
+const DEFAULT_MAX_LOOKUPS = 4;
+
+/**
+ * Extract revert data from a provider error
+ * Providers nest the data differently; search the error object for it
+ * @param {Error} error - Error thrown by provider.call
+ * @returns {string|null} - Revert data hex or null
+ */
+function getRevertData(error) {
+  for (let current = error; current; current = current.error) {
+    if (typeof current.data === 'string' && ethers.utils.isHexString(current.data)) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === 'string') {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * eth_call that returns revert data instead of throwing
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object} tx - { to, data }
+ * @returns {Promise<string>} - Return data or revert data
+ */
+async function rawCall(provider, tx) {
+  try {
+    return await provider.call(tx);
+  } catch (error) {
+    const data = getRevertData(error);
+    if (data) return data;
+    throw error;
+  }
+}
+
+/**
+ * Check whether call data is an OffchainLookup revert
+ * @param {string} data - Return/revert data
+ * @returns {boolean} - True for OffchainLookup
+ */
+function isOffchainLookup(data) {
+  return typeof data === 'string' && data.slice(0, 10).toLowerCase() === OFFCHAIN_LOOKUP_SELECTOR;
+}
+
+/**
+ * Query CCIP-Read gateways in order until one answers
+ * URLs containing {data} are fetched with GET, others with a JSON POST.
+ * A 4xx response stops the lookup; 5xx and network errors try the next URL.
+ * @param {string[]} urls - Gateway URL templates from the OffchainLookup
+ * @param {string} sender - Contract that raised the lookup
+ * @param {string} callData - Data to send to the gateway
+ * @param {Function} fetchFn - fetch-compatible function (url, init) => Response
+ * @returns {Promise<string>} - Gateway response data
+ */
+async function queryGateways(urls, sender, callData, fetchFn) {
+  const failures = [];
+
+  for (const template of urls) {
+    const url = template
+      .replace('{sender}', sender.toLowerCase())
+      .replace('{data}', callData);
+    const init = template.includes('{data}')
+      ? { method: 'GET' }
+      : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: callData, sender: sender.toLowerCase() })
+      };
+
+    let response;
+    try {
+      response = await fetchFn(url, init);
+    } catch (error) {
+      failures.push(`${url}: ${error.message}`);
+      continue;
+    }
+
+    if (response.status >= 400 && response.status < 500) {
+      let message = `HTTP ${response.status}`;
+      try {
+        const body = await response.json();
+        if (body && body.message) message += `: ${body.message}`;
+      } catch (error) {
+        // Non-JSON error bodies carry no extra detail
+      }
+      throw new Error(`CCIP-Read gateway ${url} rejected the request (${message})`);
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      const body = await response.json();
+      if (!body || !ethers.utils.isHexString(body.data)) {
+        failures.push(`${url}: response is missing hex "data"`);
+        continue;
+      }
+      return body.data;
+    }
+
+    failures.push(`${url}: HTTP ${response.status}`);
+  }
+
+  throw new Error(`All CCIP-Read gateways failed: ${failures.join('; ')}`);
+}
+
+/**
+ * eth_call with CCIP-Read support
+ * When the target reverts with OffchainLookup, the gateway response is passed
+ * back to the callback on the same contract. The lookup is rejected if the
+ * revert claims to come from a different contract than the one called.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object} tx - { to, data }
+ * @param {Object} options - CCIP-Read options
+ * @param {Function} options.fetch - fetch-compatible function (defaults to global fetch)
+ * @param {number} options.maxLookups - Maximum number of chained lookups
+ * @returns {Promise<string>} - Final return (or non-OffchainLookup revert) data
+ */
+async function ccipCall(provider, tx, { fetch: fetchFn, maxLookups = DEFAULT_MAX_LOOKUPS } = {}) {
+  const to = ethers.utils.getAddress(tx.to);
+  let data = tx.data;
+
+  for (let lookups = 0; ; lookups++) {
+    const result = await rawCall(provider, { to, data });
+
+    if (!isOffchainLookup(result)) {
+      return result;
+    }
+
+    if (lookups >= maxLookups) {
+      throw new Error(`CCIP-Read exceeded ${maxLookups} lookups`);
+    }
+
+    const lookup = offchainLookupInterface.decodeErrorResult('OffchainLookup', result);
+
+    if (ethers.utils.getAddress(lookup.sender) !== to) {
+      throw new Error(`OffchainLookup sender ${lookup.sender} does not match called contract ${to}`);
+    }
+
+    const fetchImpl = fetchFn || globalThis.fetch;
+    if (!fetchImpl) {
+      throw new Error('CCIP-Read requires a fetch implementation (pass options.fetch)');
+    }
+
+    const response = await queryGateways(lookup.urls, lookup.sender, lookup.callData, fetchImpl);
+
+    data = ethers.utils.hexConcat([
+      lookup.callbackFunction,
+      ethers.utils.defaultAbiCoder.encode(['bytes', 'bytes'], [response, lookup.extraData])
+    ]);
+  }
+}
+
+module.exports = {
+  OFFCHAIN_LOOKUP_SELECTOR,
+  isOffchainLookup,
+  queryGateways,
+  ccipCall
+};
@@ -0,0 +1,409 @@
+// ENS Multicoin Address Codec
+// ENSIP-9 coin types and ENSIP-11 EVM chain coin types, with binary encoders per chain
+
+const { ethers } = require('ethers');
+
+// ENSIP-11: EVM chains use 0x80000000 | chainId (ETH mainnet keeps SLIP-44 coin type 60)
+const EVM_COIN_TYPE_FLAG = 0x80000000;
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Bitcoin-style script opcodes used in scriptPubkey encoding
+const OP_DUP = 0x76;
+const OP_HASH160 = 0xa9;
+const OP_EQUAL = 0x87;
+const OP_EQUALVERIFY = 0x88;
+const OP_CHECKSIG = 0xac;
+
+// Bitcoin-derived chains store the scriptPubkey (ENSIP-9)
+const BITCOIN_LIKE = {
+  btc: { p2pkh: [0x00], p2sh: [0x05], hrp: 'bc' },
+  ltc: { p2pkh: [0x30], p2sh: [0x32, 0x05], hrp: 'ltc' },
+  doge: { p2pkh: [0x1e], p2sh: [0x16] }
+};
+
+// EVM chains addressed through ENSIP-11, keyed by the name used in the API
+const EVM_CHAINS = {
+  op: 10,
+  bsc: 56,
+  gno: 100,
+  matic: 137,
+  zksync: 324,
+  base: 8453,
+  arb1: 42161,
+  linea: 59144,
+  scr: 534352
+};
+
+/**
+ * Convert an EVM chain id to its ENSIP-11 coin type
+ * @param {number} chainId - EVM chain id
+ * @returns {number} - Coin type
+ */
+function evmChainIdToCoinType(chainId) {
+  if (chainId === 1) return 60;
+  if (!Number.isInteger(chainId) || chainId <= 0 || chainId >= EVM_COIN_TYPE_FLAG) {
+    throw new Error(`Invalid EVM chain id: ${chainId}`);
+  }
+  // Addition rather than | keeps the result a positive number
+  return EVM_COIN_TYPE_FLAG + chainId;
+}
+
+/**
+ * Convert an ENSIP-11 coin type back to its EVM chain id
+ * @param {number} coinType - Coin type
+ * @returns {number|null} - Chain id, or null if the coin type is not an EVM chain
+ */
+function coinTypeToEvmChainId(coinType) {
+  if (coinType === 60) return 1;
+  if (coinType > EVM_COIN_TYPE_FLAG && coinType < 2 * EVM_COIN_TYPE_FLAG) {
+    return coinType - EVM_COIN_TYPE_FLAG;
+  }
+  return null;
+}
+
+// Coin name → coin type lookup table
+const COIN_TYPES = {
+  btc: 0,
+  ltc: 2,
+  doge: 3,
+  eth: 60,
+  etc: 61,
+  sol: 501,
+  ...Object.fromEntries(Object.entries(EVM_CHAINS).map(([name, chainId]) => [name, evmChainIdToCoinType(chainId)]))
+};
+
+/**
+ * Resolve a coin name, number or numeric string to a coin type
+ * @param {string|number} coin - Coin type (e.g., 0) or name (e.g., 'btc', 'base')
+ * @returns {number} - Coin type
+ * @throws {Error} - If the coin name is unknown
+ */
+function getCoinType(coin) {
+  if (typeof coin === 'number') return coin;
+  if (/^\d+$/.test(coin)) return Number(coin);
+
+  const coinType = COIN_TYPES[coin.toLowerCase()];
+  if (coinType === undefined) {
+    throw new Error(`Unknown coin: ${coin}. Use a coin type number or one of ${Object.keys(COIN_TYPES).join(', ')}`);
+  }
+  return coinType;
+}
+
+/**
+ * Get the name for a coin type
+ * @param {number} coinType - Coin type
+ * @returns {string} - Coin name, or "evm-<chainId>"/"coin-<coinType>" if it has none
+ */
+function getCoinName(coinType) {
+  const entry = Object.entries(COIN_TYPES).find(([, value]) => value === coinType);
+  if (entry) return entry[0];
+
+  const chainId = coinTypeToEvmChainId(coinType);
+  return chainId ? `evm-${chainId}` : `coin-${coinType}`;
+}
+
+/**
+ * Decode base58check, verifying the double-SHA256 checksum
+ * @param {string} text - Base58check string
+ * @returns {Uint8Array} - Payload without checksum
+ */
+function fromBase58Check(text) {
+  const bytes = ethers.utils.base58.decode(text);
+  if (bytes.length < 5) {
+    throw new Error('Base58check payload too short');
+  }
+
+  const payload = bytes.slice(0, -4);
+  const checksum = ethers.utils.arrayify(ethers.utils.sha256(ethers.utils.sha256(payload))).slice(0, 4);
+  if (!checksum.every((byte, index) => byte === bytes[bytes.length - 4 + index])) {
+    throw new Error('Invalid base58check checksum');
+  }
+
+  return payload;
+}
+
+/**
+ * Encode bytes as base58check
+ * @param {Uint8Array} payload - Bytes to encode
+ * @returns {string} - Base58check string
+ */
+function toBase58Check(payload) {
+  const checksum = ethers.utils.arrayify(ethers.utils.sha256(ethers.utils.sha256(payload))).slice(0, 4);
+  return ethers.utils.base58.encode(ethers.utils.concat([payload, checksum]));
+}
+
+/**
+ * BIP-173 checksum polynomial
+ * @param {number[]} values - 5-bit values
+ * @returns {number} - Checksum state
+ */
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let bit = 0; bit < 5; bit++) {
+      if ((top >>> bit) & 1) checksum ^= generators[bit];
+    }
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Expand the human-readable part for checksumming
+ * @param {string} hrp - Human-readable part
+ * @returns {number[]} - Expanded values
+ */
+function bech32HrpExpand(hrp) {
+  const chars = [...hrp].map(char => char.charCodeAt(0));
+  return [...chars.map(code => code >> 5), 0, ...chars.map(code => code & 31)];
+}
+
+/**
+ * Regroup bits (e.g., 8-bit bytes to 5-bit words)
+ * @param {number[]} data - Input values
+ * @param {number} fromBits - Bits per input value
+ * @param {number} toBits - Bits per output value
+ * @param {boolean} pad - Pad the final group with zeros
+ * @returns {number[]} - Output values
+ */
+function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const output = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      output.push((accumulator >> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) output.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid padding in bech32 data');
+  }
+
+  return output;
+}
+
+/**
+ * Decode a segwit address (BIP-173 bech32 for v0, BIP-350 bech32m for v1+)
+ * @param {string} expectedHrp - Human-readable part for the chain (e.g., 'bc')
+ * @param {string} address - Segwit address
+ * @returns {Object} - { version, program }
+ */
+function decodeSegwit(expectedHrp, address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    throw new Error('Mixed-case bech32 address');
+  }
+
+  const text = address.toLowerCase();
+  const separator = text.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > text.length || text.length > 90) {
+    throw new Error('Malformed bech32 address');
+  }
+
+  const hrp = text.slice(0, separator);
+  if (hrp !== expectedHrp) {
+    throw new Error(`Expected "${expectedHrp}" address prefix, got "${hrp}"`);
+  }
+
+  const values = [...text.slice(separator + 1)].map((char) => {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid bech32 character "${char}"`);
+    return value;
+  });
+
+  const version = values[0];
+  const checksum = bech32Polymod([...bech32HrpExpand(hrp), ...values]);
+  if (checksum !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) {
+    throw new Error('Invalid bech32 checksum');
+  }
+
+  const program = convertBits(values.slice(1, -6), 5, 8, false);
+  if (version > 16 || program.length < 2 || program.length > 40) {
+    throw new Error('Invalid witness program');
+  }
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    throw new Error('Invalid witness v0 program length');
+  }
+
+  return { version, program };
+}
+
+/**
+ * Encode a segwit address
+ * @param {string} hrp - Human-readable part
+ * @param {number} version - Witness version
+ * @param {number[]} program - Witness program
+ * @returns {string} - Segwit address
+ */
+function encodeSegwit(hrp, version, program) {
+  const values = [version, ...convertBits(program, 8, 5, true)];
+  const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...values, 0, 0, 0, 0, 0, 0]) ^
+    (version === 0 ? BECH32_CONST : BECH32M_CONST);
+  const checksum = [];
+  for (let index = 0; index < 6; index++) {
+    checksum.push((polymod >>> (5 * (5 - index))) & 31);
+  }
+  return `${hrp}1${[...values, ...checksum].map(value => BECH32_CHARSET[value]).join('')}`;
+}
+
+/**
+ * Encode a Bitcoin-style address as its scriptPubkey
+ * @param {Object} chain - Version bytes and bech32 prefix (see BITCOIN_LIKE)
+ * @param {string} address - P2PKH, P2SH or segwit address
+ * @returns {Uint8Array} - scriptPubkey
+ */
+function encodeBitcoinLike(chain, address) {
+  if (chain.hrp && address.toLowerCase().startsWith(`${chain.hrp}1`)) {
+    const { version, program } = decodeSegwit(chain.hrp, address);
+    return Uint8Array.from([version === 0 ? 0 : 0x50 + version, program.length, ...program]);
+  }
+
+  const payload = fromBase58Check(address);
+  if (payload.length !== 21) {
+    throw new Error('Invalid base58 address length');
+  }
+
+  const hash = payload.slice(1);
+  if (chain.p2pkh.includes(payload[0])) {
+    return Uint8Array.from([OP_DUP, OP_HASH160, 20, ...hash, OP_EQUALVERIFY, OP_CHECKSIG]);
+  }
+  if (chain.p2sh.includes(payload[0])) {
+    return Uint8Array.from([OP_HASH160, 20, ...hash, OP_EQUAL]);
+  }
+  throw new Error(`Unknown address version byte 0x${payload[0].toString(16)}`);
+}
+
+/**
+ * Decode a Bitcoin-style scriptPubkey back into an address
+ * @param {Object} chain - Version bytes and bech32 prefix (see BITCOIN_LIKE)
+ * @param {Uint8Array} script - scriptPubkey
+ * @returns {string} - Address
+ */
+function decodeBitcoinLike(chain, script) {
+  if (script.length === 25 && script[0] === OP_DUP && script[1] === OP_HASH160 && script[2] === 20 &&
+    script[23] === OP_EQUALVERIFY && script[24] === OP_CHECKSIG) {
+    return toBase58Check(Uint8Array.from([chain.p2pkh[0], ...script.slice(3, 23)]));
+  }
+
+  if (script.length === 23 && script[0] === OP_HASH160 && script[1] === 20 && script[22] === OP_EQUAL) {
+    return toBase58Check(Uint8Array.from([chain.p2sh[0], ...script.slice(2, 22)]));
+  }
+
+  const version = script[0] === 0 ? 0 : script[0] - 0x50;
+  if (chain.hrp && version >= 0 && version <= 16 && script[1] === script.length - 2) {
+    return encodeSegwit(chain.hrp, version, [...script.slice(2)]);
+  }
+
+  throw new Error('Unrecognised scriptPubkey');
+}
+
+/**
+ * Get the codec for a coin type
+ * @param {number} coinType - Coin type
+ * @returns {Object} - { encode(address) => Uint8Array, decode(bytes) => string }
+ */
+function getCodec(coinType) {
+  const name = getCoinName(coinType);
+
+  if (BITCOIN_LIKE[name]) {
+    const chain = BITCOIN_LIKE[name];
+    return {
+      encode: address => encodeBitcoinLike(chain, address),
+      decode: bytes => decodeBitcoinLike(chain, bytes)
+    };
+  }
+
+  // ETH, ETC and every ENSIP-11 EVM chain: 20 raw bytes, shown EIP-55 checksummed
+  if (coinType === 61 || coinTypeToEvmChainId(coinType) !== null) {
+    return {
+      encode: address => ethers.utils.arrayify(ethers.utils.getAddress(address)),
+      decode: (bytes) => {
+        if (bytes.length !== 20) throw new Error(`Expected 20 bytes, got ${bytes.length}`);
+        return ethers.utils.getAddress(ethers.utils.hexlify(bytes));
+      }
+    };
+  }
+
+  // Solana: base58-encoded 32-byte public key
+  if (coinType === COIN_TYPES.sol) {
+    return {
+      encode: (address) => {
+        const bytes = ethers.utils.base58.decode(address);
+        if (bytes.length !== 32) throw new Error(`Expected a 32-byte public key, got ${bytes.length} bytes`);
+        return bytes;
+      },
+      decode: (bytes) => {
+        if (bytes.length !== 32) throw new Error(`Expected 32 bytes, got ${bytes.length}`);
+        return ethers.utils.base58.encode(bytes);
+      }
+    };
+  }
+
+  throw new Error(`No address encoder for coin type ${coinType}`);
+}
+
+/**
+ * Encode a chain address into the binary form stored by addr(bytes32,uint256)
+ * @param {string|number} coin - Coin type or name (e.g., 'btc', 0, 'base')
+ * @param {string} address - Address in the chain's native text format
+ * @returns {string} - Encoded address as hex string
+ * @throws {Error} - If the address is malformed for that chain
+ */
+function encodeCoinAddress(coin, address) {
+  const coinType = getCoinType(coin);
+  const codec = getCodec(coinType);
+  try {
+    return ethers.utils.hexlify(codec.encode(address.trim()));
+  } catch (error) {
+    throw new Error(`Invalid ${getCoinName(coinType)} address "${address}": ${error.message}`);
+  }
+}
+
+/**
+ * Decode the binary form from addr(bytes32,uint256) into the chain's text format
+ * @param {string|number} coin - Coin type or name
+ * @param {string} data - Encoded address as hex string
+ * @returns {string|null} - Address, or null if the record is empty
+ */
+function decodeCoinAddress(coin, data) {
+  if (!data || data === '0x') return null;
+  return getCodec(getCoinType(coin)).decode(ethers.utils.arrayify(data));
+}
+
+/**
+ * Check whether an address is valid for a chain
+ * @param {string|number} coin - Coin type or name
+ * @param {string} address - Address to check
+ * @returns {boolean} - True if the address can be encoded
+ */
+function isValidCoinAddress(coin, address) {
+  try {
+    encodeCoinAddress(coin, address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  COIN_TYPES,
+  evmChainIdToCoinType,
+  coinTypeToEvmChainId,
+  getCoinType,
+  getCoinName,
+  encodeCoinAddress,
+  decodeCoinAddress,
+  isValidCoinAddress
+};
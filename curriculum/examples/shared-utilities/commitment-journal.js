@@ -0,0 +1,126 @@
+// ENS Commitment Journal
+// Persists commit/reveal registration state so an interrupted registration can be resumed
+
+const fs = require('fs');
+const path = require('path');
+
+// Holds registration secrets, so it must never be committed (see .gitignore)
+const DEFAULT_JOURNAL_FILE = '.ens-commitments.json';
+
+/**
+ * In-memory store (useful for tests and short-lived scripts)
+ */
+class MemoryCommitmentStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list() {
+    return [...this.entries.values()];
+  }
+}
+
+/**
+ * JSON file store
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated journal.
+ */
+class FileCommitmentStore {
+  constructor(filePath = process.env.ENS_COMMITMENT_JOURNAL || path.resolve(process.cwd(), DEFAULT_JOURNAL_FILE)) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read commitment journal ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async write(entries) {
+    const temporary = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temporary, this.filePath);
+  }
+
+  async get(key) {
+    const entries = await this.read();
+    return entries[key] || null;
+  }
+
+  async set(key, value) {
+    const entries = await this.read();
+    entries[key] = value;
+    await this.write(entries);
+  }
+
+  async delete(key) {
+    const entries = await this.read();
+    delete entries[key];
+    await this.write(entries);
+  }
+
+  async list() {
+    return Object.values(await this.read());
+  }
+}
+
+/**
+ * Registration commitments keyed by chain, label and owner
+ * Any store with async get/set/delete/list can be plugged in (e.g., Redis, a database).
+ */
+class CommitmentJournal {
+  constructor(store = new FileCommitmentStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Journal key for a registration
+   * @param {number} chainId - Chain id
+   * @param {string} label - Normalized label (without .eth)
+   * @param {string} owner - Owner address
+   * @returns {string} - Key
+   */
+  static key(chainId, label, owner) {
+    return `${chainId}:${label}:${owner.toLowerCase()}`;
+  }
+
+  async find(chainId, label, owner) {
+    return this.store.get(CommitmentJournal.key(chainId, label, owner));
+  }
+
+  async save(entry) {
+    const saved = { ...entry, updatedAt: new Date().toISOString() };
+    await this.store.set(CommitmentJournal.key(entry.chainId, entry.label, entry.owner), saved);
+    return saved;
+  }
+
+  async remove(entry) {
+    await this.store.delete(CommitmentJournal.key(entry.chainId, entry.label, entry.owner));
+  }
+
+  async list(chainId = null) {
+    const entries = await this.store.list();
+    return chainId === null ? entries : entries.filter(entry => entry.chainId === chainId);
+  }
+}
+
+module.exports = {
+  CommitmentJournal,
+  FileCommitmentStore,
+  MemoryCommitmentStore
+};
@@ -0,0 +1,475 @@
+// ENS Content Hash Codec
+// ENSIP-7 contenthash encoding/decoding for IPFS, IPNS, Swarm, Arweave and Onion
+
+const { ethers } = require('ethers');
+
+// Multicodec namespace codes (https://github.com/multiformats/multicodec)
+const NAMESPACES = {
+  ipfs: 0xe3,
+  swarm: 0xe4,
+  ipns: 0xe5,
+  onion: 0x01bc,
+  onion3: 0x01bd,
+  arweave: 0xb29910
+};
+
+// Content codecs and hash functions that appear inside CIDs
+const CODECS = {
+  dagPb: 0x70,
+  raw: 0x55,
+  libp2pKey: 0x72,
+  swarmManifest: 0xfa
+};
+
+const HASHES = {
+  identity: 0x00,
+  sha256: 0x12,
+  keccak256: 0x1b
+};
+
+// Default gateways used to build browsable URLs
+const DEFAULT_GATEWAYS = {
+  ipfs: 'https://ipfs.io',
+  ipns: 'https://ipfs.io',
+  swarm: 'https://api.gateway.ethswarm.org',
+  arweave: 'https://arweave.net'
+};
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Encode an unsigned integer as a multiformats varint
+ * @param {number} value - Integer to encode
+ * @returns {Uint8Array} - Varint bytes
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decode a multiformats varint
+ * @param {Uint8Array} bytes - Buffer to read from
+ * @param {number} offset - Position of the varint
+ * @returns {number[]} - [value, bytesRead]
+ */
+function decodeVarint(bytes, offset = 0) {
+  let value = 0;
+  let multiplier = 1;
+  let position = offset;
+
+  for (;;) {
+    if (position >= bytes.length) {
+      throw new Error('Truncated varint in content hash');
+    }
+    const byte = bytes[position++];
+    value += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) break;
+    multiplier *= 0x80;
+  }
+
+  return [value, position - offset];
+}
+
+/**
+ * Encode bytes as RFC 4648 lowercase base32 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+function toBase32(bytes) {
+  let bits = 0;
+  let buffer = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding optional)
+ * @param {string} text - Base32 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase32(text) {
+  const bytes = [];
+  let bits = 0;
+  let buffer = 0;
+
+  for (const char of text.toLowerCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode bytes as lowercase base36
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base36 string
+ */
+function toBase36(bytes) {
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+  let value = BigInt(ethers.utils.hexlify(bytes));
+  let output = '';
+  while (value > 0n) {
+    output = BASE36_ALPHABET[Number(value % 36n)] + output;
+    value /= 36n;
+  }
+
+  return '0'.repeat(zeros) + output;
+}
+
+/**
+ * Decode lowercase base36
+ * @param {string} text - Base36 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase36(text) {
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '0') zeros++;
+
+  let value = 0n;
+  for (const char of text.toLowerCase()) {
+    const index = BASE36_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base36 character "${char}"`);
+    }
+    value = value * 36n + BigInt(index);
+  }
+
+  const hex = value === 0n ? '' : value.toString(16);
+  const body = ethers.utils.arrayify(hex.length % 2 ? `0x0${hex}` : `0x${hex}`);
+  return ethers.utils.concat([new Uint8Array(zeros), body]);
+}
+
+/**
+ * Encode bytes as base64url without padding (Arweave transaction ids)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64url string
+ */
+function toBase64Url(bytes) {
+  return ethers.utils.base64.encode(bytes)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url with or without padding
+ * @param {string} text - Base64url string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return ethers.utils.base64.decode(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+/**
+ * Parse a multihash and check its digest length
+ * @param {Uint8Array} bytes - Multihash bytes
+ * @returns {Object} - { code, digest }
+ */
+function parseMultihash(bytes) {
+  const [code, codeLength] = decodeVarint(bytes, 0);
+  const [length, lengthLength] = decodeVarint(bytes, codeLength);
+  const digest = bytes.slice(codeLength + lengthLength);
+
+  if (digest.length !== length) {
+    throw new Error(`Multihash digest length mismatch: expected ${length}, got ${digest.length}`);
+  }
+
+  return { code, digest };
+}
+
+/**
+ * Build CIDv1 bytes
+ * @param {number} codec - Content codec
+ * @param {Uint8Array} multihash - Multihash bytes
+ * @returns {Uint8Array} - CID bytes
+ */
+function encodeCid(codec, multihash) {
+  return ethers.utils.concat([encodeVarint(1), encodeVarint(codec), multihash]);
+}
+
+/**
+ * Parse binary CID (v0 bare multihash or v1)
+ * @param {Uint8Array} bytes - CID bytes
+ * @returns {Object} - { version, codec, multihash, hash }
+ */
+function parseCid(bytes) {
+  // CIDv0 is a bare sha2-256 multihash
+  if (bytes.length === 34 && bytes[0] === HASHES.sha256 && bytes[1] === 0x20) {
+    return { version: 0, codec: CODECS.dagPb, multihash: bytes, hash: parseMultihash(bytes) };
+  }
+
+  const [version, versionLength] = decodeVarint(bytes, 0);
+  if (version !== 1) {
+    throw new Error(`Unsupported CID version ${version}`);
+  }
+
+  const [codec, codecLength] = decodeVarint(bytes, versionLength);
+  const multihash = bytes.slice(versionLength + codecLength);
+
+  return { version, codec, multihash, hash: parseMultihash(multihash) };
+}
+
+/**
+ * Parse a textual CID or peer id into binary CID form
+ * Accepts CIDv0 ("Qm..."), base58 peer ids ("12D3KooW..."), and multibase
+ * CIDv1 strings in base32 ("b..."), base36 ("k..."), base58btc ("z...") or base16 ("f...")
+ * @param {string} text - CID text
+ * @returns {Uint8Array} - Binary CID or bare multihash
+ */
+function cidFromString(text) {
+  if (/^(Qm|1)[1-9A-HJ-NP-Za-km-z]+$/.test(text)) {
+    return ethers.utils.base58.decode(text);
+  }
+
+  const prefix = text[0];
+  const body = text.slice(1);
+
+  switch (prefix) {
+    case 'b':
+    case 'B':
+      return fromBase32(body);
+    case 'k':
+    case 'K':
+      return fromBase36(body);
+    case 'z':
+      return ethers.utils.base58.decode(body);
+    case 'f':
+    case 'F':
+      return ethers.utils.arrayify(`0x${body}`);
+    default:
+      throw new Error(`Unsupported CID encoding: ${text}`);
+  }
+}
+
+/**
+ * Split a content URI into protocol and value
+ * Bare CIDs ("Qm...", "bafy...") are treated as IPFS for backwards compatibility
+ * @param {string} uri - Content URI (e.g., "ipfs://Qm...", "bzz://d1de...", "ar://...")
+ * @returns {Object} - { protocol, value }
+ */
+function parseContentUri(uri) {
+  const match = /^([a-z0-9]+):\/\/(.+)$/i.exec(uri.trim());
+
+  if (!match) {
+    if (/^(Qm|bafy|bafk)/.test(uri)) {
+      return { protocol: 'ipfs', value: uri.trim() };
+    }
+    throw new Error(`Unrecognised content URI: ${uri}`);
+  }
+
+  const aliases = { bzz: 'swarm', ar: 'arweave', arweave: 'arweave' };
+  const scheme = match[1].toLowerCase();
+
+  return { protocol: aliases[scheme] || scheme, value: match[2].replace(/\/+$/, '') };
+}
+
+/**
+ * Encode a content URI as an ENSIP-7 contenthash
+ * @param {string} uri - Content URI, e.g. "ipfs://Qm...", "ipfs://bafy...", "ipns://k51...",
+ *   "bzz://<64 hex>", "ar://<tx id>", "onion3://<56 chars>" or a bare IPFS CID
+ * @returns {string} - Contenthash as hex string
+ */
+function encodeContentHash(uri) {
+  const { protocol, value } = parseContentUri(uri);
+  let payload;
+
+  switch (protocol) {
+    case 'ipfs': {
+      const cid = parseCid(cidFromString(value));
+      payload = encodeCid(cid.codec, cid.multihash);
+      break;
+    }
+
+    case 'ipns': {
+      const bytes = cidFromString(value);
+      // Bare multihash peer ids are wrapped as libp2p-key CIDs
+      const isMultihash = bytes[0] === HASHES.identity || bytes[0] === HASHES.sha256;
+      let multihash = bytes;
+      if (isMultihash) {
+        parseMultihash(bytes);
+      } else {
+        const cid = parseCid(bytes);
+        if (cid.codec !== CODECS.libp2pKey) {
+          throw new Error('IPNS names must be libp2p-key CIDs or peer ids');
+        }
+        multihash = cid.multihash;
+      }
+      payload = encodeCid(CODECS.libp2pKey, multihash);
+      break;
+    }
+
+    case 'swarm': {
+      if (!/^(0x)?[0-9a-f]{64}$/i.test(value)) {
+        throw new Error('Swarm references must be 32-byte hex hashes');
+      }
+      const digest = ethers.utils.arrayify(value.startsWith('0x') ? value : `0x${value}`);
+      const multihash = ethers.utils.concat([encodeVarint(HASHES.keccak256), encodeVarint(32), digest]);
+      payload = encodeCid(CODECS.swarmManifest, multihash);
+      break;
+    }
+
+    case 'arweave': {
+      if (!/^[A-Za-z0-9_-]{43}$/.test(value)) {
+        throw new Error('Arweave transaction ids must be 43 base64url characters');
+      }
+      payload = fromBase64Url(value);
+      break;
+    }
+
+    case 'onion': {
+      const address = value.replace(/\.onion$/, '');
+      if (!/^[a-z2-7]{16}$/.test(address)) {
+        throw new Error('Onion (v2) addresses must be 16 base32 characters');
+      }
+      payload = ethers.utils.toUtf8Bytes(address);
+      break;
+    }
+
+    case 'onion3': {
+      const address = value.replace(/\.onion$/, '');
+      if (!/^[a-z2-7]{56}$/.test(address)) {
+        throw new Error('Onion v3 addresses must be 56 base32 characters');
+      }
+      payload = ethers.utils.toUtf8Bytes(address);
+      break;
+    }
+
+    default:
+      throw new Error(`Unsupported content protocol: ${protocol}`);
+  }
+
+  return ethers.utils.hexlify(ethers.utils.concat([encodeVarint(NAMESPACES[protocol]), payload]));
+}
+
+/**
+ * Build a browsable URL for decoded content
+ * @param {string} protocol - Decoded protocol
+ * @param {string} value - Decoded value
+ * @param {Object} gateways - Gateway overrides keyed by protocol
+ * @returns {string|null} - URL or null if the protocol has no gateway
+ */
+function getContentGatewayUrl(protocol, value, gateways = {}) {
+  const gateway = { ...DEFAULT_GATEWAYS, ...gateways };
+
+  switch (protocol) {
+    case 'ipfs':
+      return `${gateway.ipfs}/ipfs/${value}`;
+    case 'ipns':
+      return `${gateway.ipns}/ipns/${value}`;
+    case 'swarm':
+      return `${gateway.swarm}/bzz/${value}/`;
+    case 'arweave':
+      return `${gateway.arweave}/${value}`;
+    case 'onion':
+    case 'onion3':
+      return `http://${value}.onion`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decode an ENSIP-7 contenthash
+ * @param {string} contentHash - Contenthash hex string as returned by resolver.contenthash()
+ * @param {Object} options - Decode options
+ * @param {Object} options.gateways - Gateway overrides keyed by protocol
+ * @returns {Object|null} - { protocol, value, uri, gatewayUrl } or null if empty
+ */
+function decodeContentHash(contentHash, { gateways } = {}) {
+  const bytes = ethers.utils.arrayify(contentHash);
+  if (bytes.length === 0) return null;
+
+  const [namespace, namespaceLength] = decodeVarint(bytes, 0);
+  const payload = bytes.slice(namespaceLength);
+  const protocol = Object.keys(NAMESPACES).find(key => NAMESPACES[key] === namespace);
+  let value;
+
+  switch (protocol) {
+    case 'ipfs': {
+      const cid = parseCid(payload);
+      const isV0 = cid.codec === CODECS.dagPb && cid.hash.code === HASHES.sha256 && cid.hash.digest.length === 32;
+      value = isV0
+        ? ethers.utils.base58.encode(cid.multihash)
+        : `b${toBase32(encodeCid(cid.codec, cid.multihash))}`;
+      break;
+    }
+
+    case 'ipns': {
+      const cid = parseCid(payload);
+      if (cid.codec !== CODECS.libp2pKey) {
+        throw new Error('IPNS contenthash does not contain a libp2p-key CID');
+      }
+      value = `k${toBase36(encodeCid(cid.codec, cid.multihash))}`;
+      break;
+    }
+
+    case 'swarm': {
+      const cid = parseCid(payload);
+      if (cid.hash.code !== HASHES.keccak256) {
+        throw new Error('Swarm contenthash must use a keccak-256 multihash');
+      }
+      value = ethers.utils.hexlify(cid.hash.digest).slice(2);
+      break;
+    }
+
+    case 'arweave':
+      value = toBase64Url(payload);
+      break;
+
+    case 'onion':
+    case 'onion3':
+      value = ethers.utils.toUtf8String(payload);
+      break;
+
+    default:
+      throw new Error(`Unsupported contenthash codec 0x${namespace.toString(16)}`);
+  }
+
+  const scheme = { swarm: 'bzz', arweave: 'ar' }[protocol] || protocol;
+
+  return {
+    protocol,
+    value,
+    uri: `${scheme}://${value}`,
+    gatewayUrl: getContentGatewayUrl(protocol, value, gateways)
+  };
+}
+
+module.exports = {
+  encodeContentHash,
+  decodeContentHash,
+  getContentGatewayUrl,
+  parseContentUri
+};
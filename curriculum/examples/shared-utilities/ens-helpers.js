@@ -2,23 +2,76 @@
 // Common helper functions used across all modules
 
 const { ethers } = require('ethers');
+const { ens_normalize, ens_beautify, ens_split, safe_str_from_cps } = require('@adraffy/ens-normalize');
+const { encodeContentHash, decodeContentHash, getContentGatewayUrl } = require('./content-hash');
+const { COIN_TYPES, getCoinType, getCoinName, encodeCoinAddress, decodeCoinAddress, isValidCoinAddress } = require('./coin-types');
+const { getNetwork, registerNetwork, detectNetwork } = require('./networks');
+
+/**
+ * Normalize an ENS name according to ENSIP-15
+ * Handles case folding, emoji sequences and confusable/whole-script checks
+ * @param {string} name - ENS name in any form (e.g., "Vitalik.ETH")
+ * @returns {string} - Normalized name (e.g., "vitalik.eth")
+ * @throws {Error} - If any label cannot be normalized
+ */
+function normalizeName(name) {
+  return ens_normalize(name);
+}
+
+/**
+ * Beautify an ENS name for display (e.g., fully-qualified emoji)
+ * Only use the result for display; always hash the normalized form
+ * @param {string} name - ENS name
+ * @returns {string} - Beautified name
+ * @throws {Error} - If any label cannot be normalized
+ */
+function beautifyName(name) {
+  return ens_beautify(name);
+}
+
+/**
+ * Inspect every label of an ENS name against ENSIP-15
+ * @param {string} name - ENS name
+ * @returns {Object[]} - One entry per label with input, normalized output, script type, emoji flag and error
+ */
+function inspectLabels(name) {
+  return ens_split(name).map((label, index) => ({
+    index,
+    offset: label.offset,
+    input: safe_str_from_cps(label.input),
+    normalized: label.error ? null : String.fromCodePoint(...label.output),
+    type: label.type || null,
+    emoji: !!label.emoji,
+    error: label.error ? label.error.message : null
+  }));
+}
+
+/**
+ * Calculate labelhash for a single ENS label
+ * @param {string} label - Normalized label (e.g., "vitalik")
+ * @returns {string} - Labelhash as hex string
+ */
+function labelhash(label) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+}
 
 /**
  * Calculate namehash for ENS name
+ * The name is normalized first so every consumer hashes the same node
  * @param {string} name - ENS name (e.g., "vitalik.eth")
  * @returns {string} - Namehash as hex string
  */
 function namehash(name) {
   if (name === '') return ethers.constants.HashZero;
   
-  const labels = name.split('.').reverse();
+  const labels = normalizeName(name).split('.').reverse();
   let node = ethers.constants.HashZero;
   
   for (const label of labels) {
     node = ethers.utils.keccak256(
       ethers.utils.concat([
         node,
-        ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label))
+        labelhash(label)
       ])
     );
   }
@@ -26,116 +79,182 @@ function namehash(name) {
   return node;
 }
 
+// Byte limits for names, matching the one-byte length prefixes of DNS wire encoding
+// used by the NameWrapper and UniversalResolver
+const MAX_LABEL_BYTES = 255;
+const MAX_NAME_BYTES = 255;
+
+// The .eth registrar controller only accepts second-level labels of 3+ characters
+const MIN_ETH_REGISTRATION_LENGTH = 3;
+
+/**
+ * Describe where a label sits in a name
+ * @param {number} index - Label index from the left
+ * @param {number} count - Total number of labels
+ * @returns {string} - 'tld', 'sld' or 'subname'
+ */
+function labelRole(index, count) {
+  if (index === count - 1) return 'tld';
+  if (index === count - 2) return 'sld';
+  return 'subname';
+}
+
 /**
- * Validate ENS name format
- * @param {string} name - ENS name to validate
- * @returns {Object} - Validation result with valid boolean and errors array
+ * Validate a single ENS label
+ * @param {string} label - Label without dots (e.g., "vitalik")
+ * @param {Object} options - Validation options
+ * @param {number} options.minLength - Minimum length in characters (code points) of the normalized label
+ * @returns {Object} - Validation result with valid boolean, errors array, normalized label, character and byte length
  */
-function validateENSName(name) {
+function validateLabel(label, { minLength = 0 } = {}) {
   const errors = [];
   
-  if (typeof name !== 'string') {
-    errors.push('Name must be a string');
-    return { valid: false, errors };
+  if (typeof label !== 'string') {
+    errors.push('Label must be a string');
+    return { label, valid: false, errors };
   }
   
-  if (name.length < 3 || name.length > 63) {
-    errors.push('Name must be between 3 and 63 characters');
+  if (label.includes('.')) {
+    errors.push('Label cannot contain a dot');
+    return { label, valid: false, errors };
   }
   
-  if (!/^[a-z0-9-]+$/.test(name)) {
-    errors.push('Name can only contain lowercase letters, numbers, and hyphens');
+  // inspectLabels('') yields no labels at all
+  if (label.length === 0) {
+    errors.push('Label cannot be empty');
+    return { label, valid: false, errors, normalized: null };
   }
   
-  if (/--/.test(name)) {
-    errors.push('Name cannot contain consecutive hyphens');
+  const [inspected] = inspectLabels(label);
+  
+  if (inspected.error) {
+    errors.push(inspected.error);
+    return { label, valid: false, errors };
   }
   
-  if (!/^[a-z0-9]/.test(name) || !/[a-z0-9]$/.test(name)) {
-    errors.push('Name must start and end with alphanumeric character');
+  const normalized = inspected.normalized;
+  const length = [...normalized].length;
+  const bytes = ethers.utils.toUtf8Bytes(normalized).length;
+  
+  if (length < minLength) {
+    errors.push(`Label must be at least ${minLength} characters`);
   }
   
-  const reserved = ['eth', 'xyz', 'com', 'org', 'net', 'io', 'app'];
-  if (reserved.includes(name.toLowerCase())) {
-    errors.push('This name is reserved');
+  if (bytes > MAX_LABEL_BYTES) {
+    errors.push(`Label cannot exceed ${MAX_LABEL_BYTES} bytes (got ${bytes})`);
   }
   
   return {
+    label,
     valid: errors.length === 0,
-    errors
+    errors,
+    normalized,
+    type: inspected.type,
+    emoji: inspected.emoji,
+    length,
+    bytes
   };
 }
 
 /**
- * Convert IPFS hash to ENS content hash
- * @param {string} ipfsHash - IPFS hash (e.g., "Qm...")
- * @returns {string} - ENS content hash
+ * Validate a full ENS name label by label
+ * The 3-character minimum is only applied to the second-level label of a
+ * .eth name, and only when validating for registration.
+ * @param {string} name - ENS name to validate (e.g., "vitalik.eth", "pay.duka.eth", "eth")
+ * @param {Object} options - Validation options
+ * @param {boolean} options.registration - Apply .eth registration rules
+ * @returns {Object} - Validation result with valid boolean, flat errors array, normalized and beautified names, and per-label results
  */
-function encodeContentHash(ipfsHash) {
-  if (!ipfsHash.startsWith('Qm') && !ipfsHash.startsWith('bafy')) {
-    throw new Error('Invalid IPFS hash format');
+function validateENSName(name, { registration = false } = {}) {
+  const errors = [];
+  
+  if (typeof name !== 'string') {
+    errors.push('Name must be a string');
+    return { valid: false, errors, labels: [] };
+  }
+  
+  if (name === '') {
+    errors.push('Name cannot be empty');
+    return { valid: false, errors, labels: [] };
   }
   
-  // Simple IPFS content hash encoding
-  const hashBytes = ethers.utils.toUtf8Bytes(ipfsHash);
-  const contentHash = ethers.utils.concat([
-    ethers.utils.arrayify('0x01'), // IPFS protocol code
-    ethers.utils.arrayify(hashBytes.length),
-    hashBytes
-  ]);
+  const inspected = inspectLabels(name);
+  const tld = inspected[inspected.length - 1].normalized;
+  
+  if (registration && tld !== 'eth') {
+    errors.push('Only .eth names can be registered');
+  }
+  
+  if (registration && inspected.length !== 2) {
+    errors.push('Only second-level .eth names can be registered (e.g., "name.eth")');
+  }
   
-  return ethers.utils.hexlify(contentHash);
+  const labels = inspected.map((label) => {
+    const role = labelRole(label.index, inspected.length);
+    const minLength = registration && role === 'sld' && tld === 'eth' ? MIN_ETH_REGISTRATION_LENGTH : 0;
+    
+    const result = label.error
+      ? { valid: false, errors: [label.error], normalized: null }
+      : validateLabel(label.normalized, { minLength });
+    
+    return {
+      index: label.index,
+      offset: label.offset,
+      role,
+      input: label.input,
+      normalized: result.normalized,
+      valid: result.valid,
+      errors: result.errors
+    };
+  });
+  
+  for (const label of labels) {
+    for (const error of label.errors) {
+      errors.push(`Label "${label.input}": ${error}`);
+    }
+  }
+  
+  const normalized = labels.every(label => label.normalized !== null)
+    ? labels.map(label => label.normalized).join('.')
+    : null;
+  
+  if (normalized !== null) {
+    const bytes = dnsEncodedLength(normalized);
+    if (bytes > MAX_NAME_BYTES) {
+      errors.push(`Name cannot exceed ${MAX_NAME_BYTES} bytes when DNS-encoded (got ${bytes})`);
+    }
+  }
+  
+  const valid = errors.length === 0;
+  
+  return {
+    valid,
+    errors,
+    normalized,
+    beautified: normalized !== null ? beautifyName(normalized) : null,
+    labels
+  };
 }
 
 /**
- * Decode ENS content hash to IPFS hash
- * @param {string} contentHash - ENS content hash
- * @returns {string} - IPFS hash or original content
+ * Length of a name in DNS wire format (length-prefixed labels plus the root byte)
+ * @param {string} name - Normalized ENS name
+ * @returns {number} - Encoded length in bytes
  */
-function decodeContentHash(contentHash) {
-  try {
-    const bytes = ethers.utils.arrayify(contentHash);
-    
-    if (bytes[0] === 0x01) { // IPFS
-      const length = bytes[1];
-      const hashBytes = bytes.slice(2, 2 + length);
-      return ethers.utils.toUtf8String(hashBytes);
-    }
-    
-    return contentHash; // Return as-is if not IPFS
-  } catch (error) {
-    return contentHash; // Return original on error
-  }
+function dnsEncodedLength(name) {
+  return name.split('.').reduce(
+    (total, label) => total + 1 + ethers.utils.toUtf8Bytes(label).length,
+    1
+  );
 }
 
 /**
  * Get contract addresses for different networks
- * @param {string} network - Network name ('mainnet', 'goerli', 'sepolia')
- * @returns {Object} - Contract addresses
+ * @param {string|number} network - Network name ('mainnet', 'sepolia', 'holesky', 'localhost') or chainId
+ * @returns {Object} - Contract addresses (registry, baseRegistrar, ethRegistrarController, publicResolver, nameWrapper, ...)
  */
 function getContractAddresses(network = 'mainnet') {
-  const addresses = {
-    mainnet: {
-      registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
-      publicResolver: '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
-      baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
-      ethController: '0x253553366Da8546fC250F225fe3d25d0C782303b'
-    },
-    goerli: {
-      registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
-      publicResolver: '0x4B1488B7a6B320d2D721406204aBc3eeAa9AD329',
-      baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
-      ethController: '0xCc5e7dB10E2b927549dbcEacE848CC1D52f1fD101'
-    },
-    sepolia: {
-      registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
-      publicResolver: '0x8FADE66B79cC9f707aB26799354482EB93a5B7dD',
-      baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
-      ethController: '0xFED6a969AaA60E4961FCD3EBF1A2e8913ac65B72'
-    }
-  };
-  
-  return addresses[network] || addresses.mainnet;
+  return getNetwork(network).contracts;
 }
 
 /**
@@ -175,6 +294,45 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Wait until the chain's latest block timestamp reaches a target
+ * Uses block time rather than wall-clock time, so Hardhat time travel
+ * (evm_increaseTime + evm_mine) is picked up immediately. Local nodes only
+ * mine when there are transactions, so with options.mine an empty block is
+ * mined after each poll to move the timestamp forward.
+ * @param {ethers.providers.JsonRpcProvider} provider - Connected provider
+ * @param {number} target - Unix timestamp (seconds) to wait for
+ * @param {Object} options - Options
+ * @param {number} options.pollInterval - Milliseconds between checks (default 5000)
+ * @param {boolean} options.timeTravel - Jump straight to the target with evm_increaseTime (local nodes only)
+ * @param {boolean} options.mine - Mine an empty block after each poll (local nodes only)
+ * @param {Function} options.onWait - Called with the remaining seconds before each sleep
+ * @returns {Promise<number>} - Timestamp of the block that reached the target
+ */
+async function waitForBlockTimestamp(provider, target, options = {}) {
+  const { pollInterval = 5000, timeTravel = false, mine = false, onWait } = options;
+
+  for (;;) {
+    const { timestamp } = await provider.getBlock('latest');
+    if (timestamp >= target) return timestamp;
+
+    const remaining = target - timestamp;
+
+    if (timeTravel) {
+      await provider.send('evm_increaseTime', [remaining]);
+      await provider.send('evm_mine', []);
+      continue;
+    }
+
+    onWait && onWait(remaining);
+    await sleep(Math.min(pollInterval, remaining * 1000));
+
+    if (mine) {
+      await provider.send('evm_mine', []);
+    }
+  }
+}
+
 /**
  * Retry utility for operations
  * @param {Function} operation - Async operation to retry
@@ -202,13 +360,29 @@ async function retry(operation, maxRetries = 3, delay = 1000) {
 }
 
 module.exports = {
+  normalizeName,
+  beautifyName,
+  inspectLabels,
+  labelhash,
   namehash,
+  validateLabel,
   validateENSName,
   encodeContentHash,
   decodeContentHash,
+  getContentGatewayUrl,
+  COIN_TYPES,
+  getCoinType,
+  getCoinName,
+  encodeCoinAddress,
+  decodeCoinAddress,
+  isValidCoinAddress,
   getContractAddresses,
+  getNetwork,
+  registerNetwork,
+  detectNetwork,
   formatEther,
   parseEther,
   sleep,
+  waitForBlockTimestamp,
   retry
 };
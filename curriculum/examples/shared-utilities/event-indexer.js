@@ -0,0 +1,379 @@
+// ENS Event Indexer
+// Scans registry, resolver and registrar logs into a local store and answers "what changed on this name and when"
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { normalizeName, labelhash, namehash } = require('./ens-helpers');
+const { FileJsonStore, MemoryJsonStore } = require('./json-store');
+const { decodeContentHash } = require('./content-hash');
+const { detectNetwork } = require('./networks');
+
+const DEFAULT_STORE_FILE = '.ens-events.json';
+const STORE_VERSION = 1;
+
+const ETH_NODE = namehash('eth');
+
+const REGISTRY_EVENTS = new ethers.utils.Interface([
+  'event Transfer(bytes32 indexed node, address owner)',
+  'event NewOwner(bytes32 indexed node, bytes32 indexed label, address owner)',
+  'event NewResolver(bytes32 indexed node, address resolver)'
+]);
+
+// Older PublicResolvers emit TextChanged without the value; both are indexed
+const RESOLVER_EVENTS = new ethers.utils.Interface([
+  'event AddrChanged(bytes32 indexed node, address a)',
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key)',
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key, string value)',
+  'event ContenthashChanged(bytes32 indexed node, bytes hash)'
+]);
+
+const REGISTRAR_EVENTS = new ethers.utils.Interface([
+  'event NameRegistered(uint256 indexed id, address indexed owner, uint256 expires)',
+  'event NameRenewed(uint256 indexed id, uint256 expires)'
+]);
+
+const topics = (events) => Object.values(events.events).map(fragment => events.getEventTopic(fragment));
+
+// In-memory event store (useful for tests and short-lived scripts)
+const MemoryEventStore = MemoryJsonStore;
+
+/**
+ * Event store in a JSON file (ENS_EVENT_STORE, default .ens-events.json)
+ * Any object with async load()/save(state) can replace it (e.g., a SQLite table per event type).
+ */
+class FileEventStore extends FileJsonStore {
+  constructor(filePath = process.env.ENS_EVENT_STORE || path.resolve(process.cwd(), DEFAULT_STORE_FILE)) {
+    super(filePath, { description: 'event store' });
+  }
+}
+
+/**
+ * Indexes ENS history for a set of names (or for every name when none are given)
+ * Resolver events are read from the network's public resolvers, options.resolvers, and
+ * every resolver seen in a NewResolver event. Records written to a resolver before the
+ * indexer first saw it are not backfilled.
+ */
+class ENSEventIndexer {
+  /**
+   * @param {ethers.providers.Provider} provider - Connected provider
+   * @param {Object} options - Indexer options
+   * @param {string[]} options.names - Names to index (default: every name)
+   * @param {Object} options.store - Store with load()/save() (default: FileEventStore)
+   * @param {number} options.fromBlock - First block of a new index (default 0)
+   * @param {number} options.blockRange - Blocks per getLogs request (default 5000)
+   * @param {number} options.confirmations - Blocks kept back from the head to avoid reorgs (default 12, 0 on a local chain)
+   * @param {string[]} options.resolvers - Extra resolver addresses to watch
+   * @param {Object} options.network - Network entry (default: detected from the provider)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.names = options.names ? [...new Set(options.names.map(normalizeName))] : null;
+    this.store = options.store || new FileEventStore();
+    this.fromBlock = options.fromBlock || 0;
+    this.blockRange = options.blockRange || 5000;
+    this.confirmations = options.confirmations;
+    this.extraResolvers = options.resolvers || [];
+    this.network = options.network || null;
+    this.state = null;
+  }
+
+  // Load the store once, checking it belongs to this chain and covers the configured names
+  async load() {
+    if (this.state) return this.state;
+
+    if (!this.network) {
+      this.network = await detectNetwork(this.provider);
+    }
+    const { contracts } = this.network;
+
+    const state = await this.store.load() || {
+      version: STORE_VERSION,
+      chainId: this.network.chainId,
+      names: this.names,
+      fromBlock: this.fromBlock,
+      lastBlock: null,
+      resolvers: [],
+      events: []
+    };
+
+    if (state.chainId !== this.network.chainId) {
+      throw new Error(`Event store belongs to chain ${state.chainId}, provider is on chain ${this.network.chainId}`);
+    }
+    if (state.names && !this.names) {
+      throw new Error('Event store only covers selected names; use a new store to index every name');
+    }
+
+    const resolvers = [
+      contracts.publicResolver,
+      contracts.legacyPublicResolver,
+      ...this.extraResolvers,
+      ...state.resolvers
+    ].filter(Boolean).map(address => ethers.utils.getAddress(address));
+    state.resolvers = [...new Set(resolvers)];
+
+    this.state = state;
+    return state;
+  }
+
+  // Bring the store up to the chain head (minus confirmations), resuming from the last synced block
+  async sync(options = {}) {
+    const state = await this.load();
+    const confirmations = this.confirmations !== undefined
+      ? this.confirmations
+      : (this.network.chainId === 31337 ? 0 : 12);
+    const head = await this.provider.getBlockNumber();
+    const toBlock = Math.max(0, options.toBlock !== undefined ? Math.min(options.toBlock, head) : head - confirmations);
+    let added = 0;
+
+    // Names added since the last run are backfilled over the range already synced,
+    // in blockRange chunks like the main loop since providers cap getLogs ranges
+    if (state.names && state.lastBlock !== null) {
+      const missing = this.names.filter(name => !state.names.includes(name));
+      if (missing.length > 0) {
+        for (let start = state.fromBlock; start <= state.lastBlock; start += this.blockRange) {
+          added += await this.scan(start, Math.min(start + this.blockRange - 1, state.lastBlock), missing);
+        }
+        state.names = [...state.names, ...missing];
+        await this.store.save(state);
+      }
+    }
+
+    const fromBlock = state.lastBlock === null ? state.fromBlock : state.lastBlock + 1;
+
+    for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, toBlock);
+      added += await this.scan(start, end, state.names);
+      state.lastBlock = end;
+      // Saved per range so an interrupted sync resumes where it stopped
+      await this.store.save(state);
+    }
+
+    return { fromBlock, toBlock, lastBlock: state.lastBlock, added };
+  }
+
+  // Read and store every relevant log in [fromBlock, toBlock]; returns the number of new events
+  async scan(fromBlock, toBlock, names) {
+    const { contracts } = this.network;
+    const nodes = names ? names.map(namehash) : null;
+    const range = { fromBlock, toBlock };
+    const records = [];
+
+    // Registry: ownership and resolver changes of the names themselves
+    const registryLogs = await this.provider.getLogs({
+      ...range,
+      address: contracts.registry,
+      topics: nodes
+        ? [[REGISTRY_EVENTS.getEventTopic('Transfer'), REGISTRY_EVENTS.getEventTopic('NewResolver')], nodes]
+        : [topics(REGISTRY_EVENTS)]
+    });
+
+    // NewOwner is indexed by the parent: fetch it for the names (subnames created under
+    // them) and for their parents (the name itself being created or reassigned)
+    if (nodes) {
+      const parents = names.map(name => namehash(name.split('.').slice(1).join('.')));
+      const newOwnerLogs = await this.provider.getLogs({
+        ...range,
+        address: contracts.registry,
+        topics: [REGISTRY_EVENTS.getEventTopic('NewOwner'), [...new Set([...nodes, ...parents])]]
+      });
+      registryLogs.push(...newOwnerLogs);
+    }
+
+    for (const log of registryLogs) {
+      const parsed = REGISTRY_EVENTS.parseLog(log);
+      if (parsed.name === 'NewOwner') {
+        const node = ethers.utils.keccak256(ethers.utils.concat([parsed.args.node, parsed.args.label]));
+        if (nodes && !nodes.includes(node) && !nodes.includes(parsed.args.node)) continue;
+        records.push(this.toRecord(log, 'registry', parsed.name, node, {
+          parent: parsed.args.node,
+          labelhash: parsed.args.label,
+          owner: parsed.args.owner
+        }));
+      } else if (parsed.name === 'Transfer') {
+        records.push(this.toRecord(log, 'registry', parsed.name, parsed.args.node, { owner: parsed.args.owner }));
+      } else {
+        records.push(this.toRecord(log, 'registry', parsed.name, parsed.args.node, { resolver: parsed.args.resolver }));
+        if (parsed.args.resolver !== ethers.constants.AddressZero && !this.state.resolvers.includes(parsed.args.resolver)) {
+          this.state.resolvers.push(parsed.args.resolver);
+        }
+      }
+    }
+
+    // BaseRegistrar: registrations and renewals of .eth second-level names
+    const ids = names
+      ? names.filter(name => /^[^.]+\.eth$/.test(name)).map(name => labelhash(name.split('.')[0]))
+      : null;
+
+    if (!ids || ids.length > 0) {
+      const registrarLogs = await this.provider.getLogs({
+        ...range,
+        address: contracts.baseRegistrar,
+        topics: ids ? [topics(REGISTRAR_EVENTS), ids] : [topics(REGISTRAR_EVENTS)]
+      });
+
+      for (const log of registrarLogs) {
+        const parsed = REGISTRAR_EVENTS.parseLog(log);
+        const id = ethers.utils.hexZeroPad(parsed.args.id.toHexString(), 32);
+        const node = ethers.utils.keccak256(ethers.utils.concat([ETH_NODE, id]));
+        records.push(this.toRecord(log, 'registrar', parsed.name, node, {
+          labelhash: id,
+          ...(parsed.args.owner ? { owner: parsed.args.owner } : {}),
+          expires: parsed.args.expires.toNumber()
+        }));
+      }
+    }
+
+    // Resolvers, including any first seen in this range
+    for (const resolver of this.state.resolvers) {
+      const resolverLogs = await this.provider.getLogs({
+        ...range,
+        address: resolver,
+        topics: nodes ? [topics(RESOLVER_EVENTS), nodes] : [topics(RESOLVER_EVENTS)]
+      });
+
+      for (const log of resolverLogs) {
+        const parsed = RESOLVER_EVENTS.parseLog(log);
+        // ethers v5 drops argument names for events with an indexed string, so
+        // TextChanged is read by position: (node, indexedKey, key[, value])
+        const data = parsed.name === 'AddrChanged'
+          ? { address: parsed.args.a }
+          : parsed.name === 'ContenthashChanged'
+            ? { contenthash: parsed.args.hash }
+            : { key: parsed.args[2], ...(parsed.args.length > 3 ? { value: parsed.args[3] } : {}) };
+        records.push(this.toRecord(log, 'resolver', parsed.name, parsed.args[0], data));
+      }
+    }
+
+    // Block timestamps, fetched once per block
+    const timestamps = new Map();
+    for (const blockNumber of new Set(records.map(record => record.blockNumber))) {
+      const block = await this.provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block.timestamp);
+    }
+
+    const known = new Set(this.state.events.map(event => event.id));
+    let added = 0;
+    for (const record of records) {
+      if (known.has(record.id)) continue;
+      record.timestamp = timestamps.get(record.blockNumber);
+      this.state.events.push(record);
+      known.add(record.id);
+      added++;
+    }
+
+    this.state.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    return added;
+  }
+
+  // Stored shape of a log
+  toRecord(log, contract, event, node, data) {
+    return {
+      id: `${log.transactionHash}:${log.logIndex}`,
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+      contract,
+      address: log.address,
+      event,
+      node,
+      data
+    };
+  }
+
+  /**
+   * Timeline of everything the index knows about a name, oldest first
+   * Resolver events only count while their resolver is the name's resolver; before the
+   * first NewResolver seen for the name they are kept, since the active resolver is unknown.
+   * @param {string} name - ENS name
+   * @param {Object} options - Filters
+   * @param {string[]} options.types - Entry types to keep (e.g., ['text-changed'])
+   * @param {number} options.fromBlock - First block to include
+   * @param {number} options.toBlock - Last block to include
+   * @param {boolean} options.includeSubnames - Include subname creation under the name (default true)
+   * @returns {Promise<Object[]>} - [{ type, blockNumber, timestamp, date, transactionHash, ... }]
+   */
+  async getHistory(name, options = {}) {
+    const state = await this.load();
+    const node = namehash(name);
+    const includeSubnames = options.includeSubnames !== false;
+    const timeline = [];
+    let resolver = null;
+
+    for (const event of state.events) {
+      const own = event.node === node;
+      const subname = event.event === 'NewOwner' && event.data.parent === node;
+      if (!own && !(subname && includeSubnames)) continue;
+
+      if (own && event.event === 'NewResolver') {
+        resolver = event.data.resolver;
+      }
+      if (event.contract === 'resolver' && resolver !== null && event.address !== resolver) continue;
+      if (options.fromBlock !== undefined && event.blockNumber < options.fromBlock) continue;
+      if (options.toBlock !== undefined && event.blockNumber > options.toBlock) continue;
+
+      const entry = this.toTimelineEntry(event, own);
+      if (options.types && !options.types.includes(entry.type)) continue;
+      timeline.push(entry);
+    }
+
+    return timeline;
+  }
+
+  // Readable timeline entry for a stored event
+  toTimelineEntry(event, own) {
+    const base = {
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      date: new Date(event.timestamp * 1000).toISOString(),
+      transactionHash: event.transactionHash
+    };
+
+    switch (event.event) {
+      case 'Transfer':
+        return { type: 'transfer', ...base, owner: event.data.owner };
+      case 'NewOwner':
+        return own
+          ? { type: 'owner-set', ...base, owner: event.data.owner }
+          : { type: 'subname-created', ...base, node: event.node, labelhash: event.data.labelhash, owner: event.data.owner };
+      case 'NewResolver':
+        return { type: 'resolver-changed', ...base, resolver: event.data.resolver };
+      case 'NameRegistered':
+        return { type: 'registered', ...base, owner: event.data.owner, expires: event.data.expires };
+      case 'NameRenewed':
+        return { type: 'renewed', ...base, expires: event.data.expires };
+      case 'AddrChanged':
+        return { type: 'addr-changed', ...base, resolver: event.address, address: event.data.address };
+      case 'TextChanged':
+        return { type: 'text-changed', ...base, resolver: event.address, key: event.data.key, value: event.data.value };
+      case 'ContenthashChanged': {
+        let decoded = null;
+        try {
+          decoded = decodeContentHash(event.data.contenthash);
+        } catch (error) {
+          // Unknown codec: keep the raw bytes only
+        }
+        return {
+          type: 'contenthash-changed',
+          ...base,
+          resolver: event.address,
+          contenthash: event.data.contenthash,
+          uri: decoded ? decoded.uri : null
+        };
+      }
+      default:
+        return { type: event.event, ...base, data: event.data };
+    }
+  }
+
+  // Drop everything indexed so far
+  async reset() {
+    this.state = null;
+    await this.store.save(null);
+  }
+}
+
+module.exports = {
+  ENSEventIndexer,
+  FileEventStore,
+  MemoryEventStore
+};
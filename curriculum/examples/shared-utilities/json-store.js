@@ -0,0 +1,61 @@
+// JSON State Stores
+// Keep one JSON document (e.g., an event index or snapshot names) in memory or in a file
+
+const fs = require('fs');
+
+/**
+ * In-memory store (useful for tests and short-lived scripts)
+ */
+class MemoryJsonStore {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state;
+  }
+
+  async save(state) {
+    this.state = state;
+  }
+}
+
+/**
+ * JSON file store
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated file. A missing file loads as null.
+ * Any object with async load()/save(state) can replace it (e.g., a database row).
+ */
+class FileJsonStore {
+  /**
+   * @param {string} filePath - File holding the state
+   * @param {Object} options - Options
+   * @param {string} options.description - What the file holds, for error messages (default: 'store')
+   * @param {number} options.indent - JSON indentation (default: none)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.description = options.description || 'store';
+    this.indent = options.indent;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read ${this.description} ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async save(state) {
+    const temporary = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(state, null, this.indent));
+    await fs.promises.rename(temporary, this.filePath);
+  }
+}
+
+module.exports = {
+  FileJsonStore,
+  MemoryJsonStore
+};
@@ -0,0 +1,48 @@
+// Local ENS Deployment
+// Node only: registers the deployment written by hardhat/scripts/00-deploy-ens.js so detectNetwork
+// uses it on a plain local chain. Kept out of networks.js so browser and React Native bundles never see fs.
+
+const fs = require('fs');
+const path = require('path');
+const { registerNetwork } = require('./networks');
+
+const DEFAULT_DEPLOYMENT_FILE = path.resolve(__dirname, '../../../hardhat/deployments/localhost.json');
+
+/**
+ * Read the ENS deployment written by hardhat/scripts/00-deploy-ens.js
+ * @param {string} file - Deployment file (default: ENS_LOCAL_DEPLOYMENT or hardhat/deployments/localhost.json)
+ * @returns {Object|null} - { chainId, blockNumber, blockHash, contracts } or null if there is none
+ */
+function readLocalDeployment(file = process.env.ENS_LOCAL_DEPLOYMENT || DEFAULT_DEPLOYMENT_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read local ENS deployment ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Register a local deployment, pinned to the block it was deployed at
+ * detectNetwork only uses it while that block is on the node, so a restarted node or a
+ * mainnet fork (same chainId) keeps the mainnet addresses.
+ * @param {Object} deployment - Deployment record (default: read from the deployment file)
+ * @returns {Object|null} - The registered network, or null if there is no deployment
+ */
+function registerLocalDeployment(deployment = readLocalDeployment()) {
+  if (!deployment) return null;
+
+  return registerNetwork(deployment.chainId, {
+    name: 'localhost',
+    contracts: deployment.contracts,
+    deployment: { blockNumber: deployment.blockNumber, blockHash: deployment.blockHash }
+  });
+}
+
+// Requiring this module is enough for Node examples and scripts to pick up the deployment
+registerLocalDeployment();
+
+module.exports = {
+  readLocalDeployment,
+  registerLocalDeployment
+};
@@ -0,0 +1,94 @@
+// Multicall3 Batching
+// Packs many read calls into a few aggregate3 eth_calls, chunked by calldata size
+
+const { ethers } = require('ethers');
+const { detectNetwork } = require('./networks');
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const multicall3Interface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// Keeps each eth_call well under common RPC request size and gas caps
+const DEFAULT_MAX_CALLDATA_BYTES = 64 * 1024;
+
+// ABI overhead of one Call3 tuple (target, allowFailure, offset, length)
+const CALL3_OVERHEAD_BYTES = 4 * 32;
+
+/**
+ * Split calls into chunks whose encoded size stays under a byte limit
+ * @param {Object[]} calls - Calls with callData
+ * @param {number} maxBytes - Maximum calldata bytes per chunk
+ * @returns {Object[][]} - Chunks of calls
+ */
+function chunkCalls(calls, maxBytes) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  for (const call of calls) {
+    const callSize = CALL3_OVERHEAD_BYTES + Math.ceil(ethers.utils.hexDataLength(call.callData) / 32) * 32;
+    if (current.length > 0 && size + callSize > maxBytes) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(call);
+    size += callSize;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Run read calls through Multicall3.aggregate3
+ * Each call may fail on its own (allowFailure defaults to true); its revert data
+ * is returned rather than failing the whole batch.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object[]} calls - [{ target, callData, allowFailure }]
+ * @param {Object} options - Options
+ * @param {string} options.multicall3 - Multicall3 address (defaults to the detected network's)
+ * @param {number} options.maxCalldataBytes - Maximum calldata per eth_call
+ * @returns {Promise<Object[]>} - [{ success, returnData }] in call order
+ */
+async function aggregate3(provider, calls, options = {}) {
+  if (calls.length === 0) return [];
+
+  let multicall3 = options.multicall3;
+  if (!multicall3) {
+    const network = await detectNetwork(provider);
+    multicall3 = network.contracts.multicall3;
+    if (!multicall3) {
+      throw new Error(`No Multicall3 registered for ${network.name}`);
+    }
+  }
+
+  const maxBytes = options.maxCalldataBytes || DEFAULT_MAX_CALLDATA_BYTES;
+  const results = [];
+
+  for (const chunk of chunkCalls(calls, maxBytes)) {
+    const data = multicall3Interface.encodeFunctionData('aggregate3', [
+      chunk.map(call => ({
+        target: call.target,
+        allowFailure: call.allowFailure !== false,
+        callData: call.callData
+      }))
+    ]);
+
+    const returned = await provider.call({ to: multicall3, data });
+    if (returned === '0x') {
+      throw new Error(`No Multicall3 contract at ${multicall3}`);
+    }
+
+    const [chunkResults] = multicall3Interface.decodeFunctionResult('aggregate3', returned);
+    results.push(...chunkResults.map(({ success, returnData }) => ({ success, returnData })));
+  }
+
+  return results;
+}
+
+module.exports = {
+  aggregate3
+};
@@ -0,0 +1,386 @@
+// ENS NameWrapper
+// Wrapped ownership, wrapping/unwrapping .eth names, fuses and wrapped subnames
+
+const { ethers } = require('ethers');
+const { normalizeName, labelhash, namehash } = require('./ens-helpers');
+const { detectNetwork } = require('./networks');
+
+// Fuses the owner can burn (lower 16 bits)
+const OWNER_FUSES = {
+  CANNOT_UNWRAP: 1,
+  CANNOT_BURN_FUSES: 2,
+  CANNOT_TRANSFER: 4,
+  CANNOT_SET_RESOLVER: 8,
+  CANNOT_SET_TTL: 16,
+  CANNOT_CREATE_SUBDOMAIN: 32,
+  CANNOT_APPROVE: 64
+};
+
+// Fuses only the parent can burn (upper 16 bits)
+const PARENT_FUSES = {
+  PARENT_CANNOT_CONTROL: 1 << 16,
+  IS_DOT_ETH: 1 << 17,
+  CAN_EXTEND_EXPIRY: 1 << 18
+};
+
+const FUSES = { ...OWNER_FUSES, ...PARENT_FUSES };
+
+const NAME_WRAPPER_ABI = [
+  'function getData(uint256 id) view returns (address owner, uint32 fuses, uint64 expiry)',
+  'function wrapETH2LD(string label, address wrappedOwner, uint16 ownerControlledFuses, address resolver) returns (uint64 expiry)',
+  'function unwrapETH2LD(bytes32 labelhash, address registrant, address controller)',
+  'function setFuses(bytes32 node, uint16 ownerControlledFuses) returns (uint32 newFuses)',
+  'function setChildFuses(bytes32 parentNode, bytes32 labelhash, uint32 fuses, uint64 expiry)',
+  'function setSubnodeRecord(bytes32 parentNode, string label, address owner, address resolver, uint64 ttl, uint32 fuses, uint64 expiry) returns (bytes32 node)',
+  'function setSubnodeOwner(bytes32 parentNode, string label, address owner, uint32 fuses, uint64 expiry) returns (bytes32 node)'
+];
+
+const REGISTRY_ABI = [
+  'function owner(bytes32 node) view returns (address)'
+];
+
+const BASE_REGISTRAR_ABI = [
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address to, uint256 tokenId)'
+];
+
+/**
+ * Combine fuse names or numbers into a fuse bitmask
+ * @param {Array<string|number>|number} fuses - e.g. ['CANNOT_UNWRAP', 'CANNOT_SET_RESOLVER'] or a bitmask
+ * @returns {number} - Fuse bitmask
+ * @throws {Error} - If a fuse name is unknown
+ */
+function encodeFuses(fuses) {
+  if (typeof fuses === 'number') return fuses;
+
+  return fuses.reduce((mask, fuse) => {
+    if (typeof fuse === 'number') return mask | fuse;
+    const bit = FUSES[fuse.toUpperCase()];
+    if (bit === undefined) {
+      throw new Error(`Unknown fuse "${fuse}". Known fuses: ${Object.keys(FUSES).join(', ')}`);
+    }
+    return mask | bit;
+  }, 0);
+}
+
+/**
+ * List the names of the fuses burned in a bitmask
+ * @param {number} fuses - Fuse bitmask
+ * @returns {string[]} - Fuse names (unknown bits as "0x...")
+ */
+function decodeFuses(fuses) {
+  const names = Object.entries(FUSES).filter(([, bit]) => (fuses & bit) !== 0).map(([name]) => name);
+  const unknown = Object.values(FUSES).reduce((rest, bit) => rest & ~bit, fuses);
+  if (unknown) names.push(`0x${unknown.toString(16)}`);
+  return names;
+}
+
+/**
+ * Resolve the contract addresses used here, preferring explicit options
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object} options - { nameWrapper, registry, baseRegistrar }
+ * @returns {Promise<Object>} - { nameWrapper, registry, baseRegistrar }
+ */
+async function getAddresses(provider, options = {}) {
+  if (options.nameWrapper && options.registry && options.baseRegistrar) {
+    return options;
+  }
+
+  const { contracts } = await detectNetwork(provider);
+  if (!contracts.nameWrapper && !options.nameWrapper) {
+    throw new Error('No NameWrapper registered for this network');
+  }
+
+  return {
+    nameWrapper: options.nameWrapper || contracts.nameWrapper,
+    registry: options.registry || contracts.registry,
+    baseRegistrar: options.baseRegistrar || contracts.baseRegistrar
+  };
+}
+
+/**
+ * Wrapped status of a name
+ * A name is wrapped when the registry owner is the NameWrapper; the real owner,
+ * fuses and expiry then live in the wrapper. For wrapped .eth names the wrapper
+ * expiry is the registration expiry plus the 90-day grace period.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object} options - Contract address overrides (nameWrapper, registry)
+ * @returns {Promise<Object>} - { name, node, wrapped, owner, registryOwner, fuses, fuseNames, expiry, expiryDate, expired, state }
+ */
+async function getWrappedStatus(provider, name, options = {}) {
+  const normalized = normalizeName(name);
+  const node = namehash(normalized);
+  const addresses = await getAddresses(provider, options);
+
+  const registry = new ethers.Contract(addresses.registry, REGISTRY_ABI, provider);
+  const registryOwner = await registry.owner(node);
+
+  const status = {
+    name: normalized,
+    node,
+    wrapped: false,
+    owner: registryOwner === ethers.constants.AddressZero ? null : registryOwner,
+    registryOwner,
+    fuses: 0,
+    fuseNames: [],
+    expiry: null,
+    expiryDate: null,
+    expired: false,
+    state: 'unwrapped'
+  };
+
+  if (registryOwner !== ethers.utils.getAddress(addresses.nameWrapper)) {
+    return status;
+  }
+
+  const wrapper = new ethers.Contract(addresses.nameWrapper, NAME_WRAPPER_ABI, provider);
+  const [owner, fuses, expiry] = await wrapper.getData(node);
+  const { timestamp } = await provider.getBlock('latest');
+
+  // getData reports no owner and no fuses once the wrapped name has expired
+  const expiryNumber = expiry.toNumber();
+  Object.assign(status, {
+    wrapped: true,
+    owner: owner === ethers.constants.AddressZero ? null : owner,
+    fuses,
+    fuseNames: decodeFuses(fuses),
+    expiry: expiryNumber,
+    expiryDate: expiryNumber === 0 ? null : new Date(expiryNumber * 1000).toISOString(),
+    expired: expiryNumber !== 0 && expiryNumber <= timestamp,
+    state: 'wrapped'
+  });
+
+  // Emancipated: the parent can no longer replace it; locked: it can no longer be unwrapped
+  if (fuses & FUSES.CANNOT_UNWRAP) {
+    status.state = 'locked';
+  } else if (fuses & FUSES.PARENT_CANNOT_CONTROL) {
+    status.state = 'emancipated';
+  }
+
+  return status;
+}
+
+/**
+ * Split a .eth second-level name into its label
+ * @param {string} name - 'label' or 'label.eth'
+ * @returns {string} - Normalized label
+ */
+function toETH2LDLabel(name) {
+  const normalized = normalizeName(name.endsWith('.eth') ? name : `${name}.eth`);
+  const labels = normalized.split('.');
+  if (labels.length !== 2) {
+    throw new Error(`${normalized} is not a .eth second-level name`);
+  }
+  return labels[0];
+}
+
+/**
+ * Wrap a .eth name the signer holds in the BaseRegistrar
+ * Approves the NameWrapper for this one token first if it is not already approved.
+ * Wrapping a .eth name always burns PARENT_CANNOT_CONTROL.
+ * @param {ethers.Signer} signer - Registrant of the name
+ * @param {string} name - 'label' or 'label.eth'
+ * @param {Object} options - Options
+ * @param {string} options.owner - Wrapped owner (defaults to the signer)
+ * @param {Array<string|number>|number} options.fuses - Owner-controlled fuses to burn while wrapping
+ * @param {string} options.resolver - Resolver to set (the zero address default keeps the current one)
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted wrap transaction
+ */
+async function wrapETH2LD(signer, name, options = {}) {
+  const label = toETH2LDLabel(name);
+  const signerAddress = await signer.getAddress();
+  const addresses = await getAddresses(signer.provider, options);
+  const fuses = encodeFuses(options.fuses || 0);
+
+  if (fuses & ~0xffff) {
+    throw new Error(`Only owner-controlled fuses can be burned while wrapping, got ${decodeFuses(fuses & ~0xffff).join(', ')}`);
+  }
+
+  const registrar = new ethers.Contract(addresses.baseRegistrar, BASE_REGISTRAR_ABI, signer);
+  const tokenId = labelhash(label);
+  const [approved, approvedForAll] = await Promise.all([
+    registrar.getApproved(tokenId),
+    registrar.isApprovedForAll(signerAddress, addresses.nameWrapper)
+  ]);
+
+  if (!approvedForAll && approved !== ethers.utils.getAddress(addresses.nameWrapper)) {
+    await (await registrar.approve(addresses.nameWrapper, tokenId)).wait();
+  }
+
+  const wrapper = new ethers.Contract(addresses.nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.wrapETH2LD(
+    label,
+    options.owner || signerAddress,
+    fuses,
+    options.resolver || ethers.constants.AddressZero
+  );
+}
+
+/**
+ * Unwrap a .eth name back to the BaseRegistrar
+ * Fails if CANNOT_UNWRAP has been burned.
+ * @param {ethers.Signer} signer - Wrapped owner of the name
+ * @param {string} name - 'label' or 'label.eth'
+ * @param {Object} options - Options
+ * @param {string} options.registrant - New registrant (defaults to the signer)
+ * @param {string} options.controller - New registry controller (defaults to the signer)
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function unwrapETH2LD(signer, name, options = {}) {
+  const label = toETH2LDLabel(name);
+  const signerAddress = await signer.getAddress();
+  const addresses = await getAddresses(signer.provider, options);
+
+  const status = await getWrappedStatus(signer.provider, `${label}.eth`, addresses);
+  if (!status.wrapped) {
+    throw new Error(`${label}.eth is not wrapped`);
+  }
+  if (status.fuses & FUSES.CANNOT_UNWRAP) {
+    throw new Error(`${label}.eth has burned CANNOT_UNWRAP and can never be unwrapped`);
+  }
+
+  const wrapper = new ethers.Contract(addresses.nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.unwrapETH2LD(
+    labelhash(label),
+    options.registrant || signerAddress,
+    options.controller || signerAddress
+  );
+}
+
+/**
+ * Burn owner-controlled fuses on a wrapped name (irreversible until the name expires)
+ * Any fuse other than CANNOT_UNWRAP requires CANNOT_UNWRAP, and CANNOT_UNWRAP
+ * requires PARENT_CANNOT_CONTROL; the wrapper enforces both.
+ * @param {ethers.Signer} signer - Wrapped owner of the name
+ * @param {string} name - ENS name
+ * @param {Array<string|number>|number} fuses - Fuses to burn
+ * @param {Object} options - Contract address overrides
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function burnFuses(signer, name, fuses, options = {}) {
+  const mask = encodeFuses(fuses);
+  if (mask & ~0xffff) {
+    throw new Error(`${decodeFuses(mask & ~0xffff).join(', ')} can only be burned by the parent (use setChildFuses)`);
+  }
+
+  const status = await getWrappedStatus(signer.provider, name, options);
+  if (!status.wrapped) {
+    throw new Error(`${status.name} is not wrapped`);
+  }
+  if (mask !== FUSES.CANNOT_UNWRAP && !((status.fuses | mask) & FUSES.CANNOT_UNWRAP)) {
+    throw new Error('CANNOT_UNWRAP must be burned before (or with) any other fuse');
+  }
+  if ((mask & FUSES.CANNOT_UNWRAP) && !(status.fuses & FUSES.PARENT_CANNOT_CONTROL)) {
+    throw new Error(`${status.name} needs PARENT_CANNOT_CONTROL from its parent before CANNOT_UNWRAP can be burned`);
+  }
+
+  const { nameWrapper } = await getAddresses(signer.provider, options);
+  const wrapper = new ethers.Contract(nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.setFuses(status.node, mask);
+}
+
+/**
+ * Burn fuses (including parent-controlled ones) on a wrapped subname as its parent's owner
+ * @param {ethers.Signer} signer - Wrapped owner of the parent
+ * @param {string} parentName - Parent name
+ * @param {string} label - Child label
+ * @param {Array<string|number>|number} fuses - Fuses to burn
+ * @param {number} expiry - Child expiry (capped by the wrapper at the parent's expiry)
+ * @param {Object} options - Contract address overrides
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function setChildFuses(signer, parentName, label, fuses, expiry, options = {}) {
+  const { nameWrapper } = await getAddresses(signer.provider, options);
+  const wrapper = new ethers.Contract(nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.setChildFuses(namehash(normalizeName(parentName)), labelhash(normalizeName(label)), encodeFuses(fuses), expiry);
+}
+
+/**
+ * Create or update a wrapped subname (owner, resolver, TTL, fuses and expiry in one call)
+ * The parent must be wrapped and the signer must be its wrapped owner (or approved).
+ * @param {ethers.Signer} signer - Wrapped owner of the parent
+ * @param {string} parentName - Parent name (e.g., 'mycompany.eth')
+ * @param {string} label - Subname label (e.g., 'alice')
+ * @param {Object} options - Options
+ * @param {string} options.owner - Subname owner (defaults to the signer)
+ * @param {string} options.resolver - Resolver (defaults to the network's PublicResolver)
+ * @param {number} options.ttl - TTL (default 0)
+ * @param {Array<string|number>|number} options.fuses - Fuses to burn on the subname
+ * @param {number} options.expiry - Subname expiry (defaults to the parent's; never later than it)
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function setSubnodeRecord(signer, parentName, label, options = {}) {
+  const parent = await getWrappedStatus(signer.provider, parentName, options);
+  if (!parent.wrapped) {
+    throw new Error(`${parent.name} is not wrapped; create the subname through the registry instead`);
+  }
+
+  const normalizedLabel = normalizeName(label);
+  if (normalizedLabel.includes('.')) {
+    throw new Error(`"${label}" must be a single label`);
+  }
+
+  let resolver = options.resolver;
+  if (!resolver) {
+    resolver = (await detectNetwork(signer.provider)).contracts.publicResolver;
+  }
+
+  const { nameWrapper } = await getAddresses(signer.provider, options);
+  const wrapper = new ethers.Contract(nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.setSubnodeRecord(
+    parent.node,
+    normalizedLabel,
+    options.owner || await signer.getAddress(),
+    resolver,
+    options.ttl || 0,
+    encodeFuses(options.fuses || 0),
+    options.expiry === undefined ? parent.expiry : options.expiry
+  );
+}
+
+/**
+ * Change the owner of a wrapped subname as its parent's owner (optionally burning fuses)
+ * Not possible once the subname is emancipated (PARENT_CANNOT_CONTROL burned).
+ * The zero address as owner deletes the subname.
+ * @param {ethers.Signer} signer - Wrapped owner of the parent
+ * @param {string} parentName - Parent name
+ * @param {string} label - Subname label
+ * @param {Object} options - Options
+ * @param {string} options.owner - New owner
+ * @param {Array<string|number>|number} options.fuses - Fuses to burn on the subname
+ * @param {number} options.expiry - Subname expiry (the wrapper never shortens an existing one)
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function setSubnodeOwner(signer, parentName, label, options = {}) {
+  const parent = await getWrappedStatus(signer.provider, parentName, options);
+  if (!parent.wrapped) {
+    throw new Error(`${parent.name} is not wrapped; change the owner through the registry instead`);
+  }
+
+  const { nameWrapper } = await getAddresses(signer.provider, options);
+  const wrapper = new ethers.Contract(nameWrapper, NAME_WRAPPER_ABI, signer);
+  return wrapper.setSubnodeOwner(
+    parent.node,
+    normalizeName(label),
+    options.owner,
+    encodeFuses(options.fuses || 0),
+    options.expiry === undefined ? parent.expiry : options.expiry
+  );
+}
+
+module.exports = {
+  FUSES,
+  OWNER_FUSES,
+  PARENT_FUSES,
+  encodeFuses,
+  decodeFuses,
+  getWrappedStatus,
+  wrapETH2LD,
+  unwrapETH2LD,
+  burnFuses,
+  setChildFuses,
+  setSubnodeRecord,
+  setSubnodeOwner
+};
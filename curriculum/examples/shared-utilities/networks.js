@@ -0,0 +1,187 @@
+// ENS Network Registry
+// Contract addresses for every supported chain, keyed by chainId
+
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on every chain (https://www.multicall3.com)
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Mainnet deployment (https://docs.ens.domains/learn/deployments)
+const MAINNET_CONTRACTS = {
+  registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+  baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
+  ethRegistrarController: '0x253553366Da8546fC250F225fe3d25d0C782303b',
+  publicResolver: '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63',
+  // Resolver used by most names registered before 2023
+  legacyPublicResolver: '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
+  nameWrapper: '0xD4416b13d2b3a9aBae7AcD5D6C2BbDBE25686401',
+  universalResolver: '0xce01f8eee7E479C928F8919abD53E553a36CeF67',
+  reverseRegistrar: '0xa58E81fe9b61B5c3fE2AFD33CF304c454AbFc7Cb',
+  bulkRenewal: '0xa12159e5131b1eEf6B4857EEE3e1954744b5033A',
+  multicall3: MULTICALL3
+};
+
+const NETWORKS = {
+  1: {
+    chainId: 1,
+    name: 'mainnet',
+    contracts: MAINNET_CONTRACTS
+  },
+  11155111: {
+    chainId: 11155111,
+    name: 'sepolia',
+    contracts: {
+      registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+      baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
+      ethRegistrarController: '0x4477cAc137F3353Ca35060E01E5aEb777a1Ca01B',
+      publicResolver: '0x8948458626811dd0c23EB25Cc74291247077cC51',
+      nameWrapper: '0x0635513f179D50A207757E05759CbD106d7dFcE8',
+      universalResolver: '0xc8Af999e38273D658BE1b921b88A9Ddf005769cC',
+      reverseRegistrar: '0xCF75B92126B02C9811d8c632144288a3eb84afC8',
+      bulkRenewal: '0x4EF77b90762Eddb33C8Eba5B5a19558DaE53D7a1',
+      multicall3: MULTICALL3
+    }
+  },
+  17000: {
+    chainId: 17000,
+    name: 'holesky',
+    contracts: {
+      registry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+      baseRegistrar: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
+      ethRegistrarController: '0xF404D2F84BC1735f7D9948F032D61F5fFfD9D3C3',
+      publicResolver: '0x5a692ffe769A9B3D0e61F7446F5cAED650044C36',
+      nameWrapper: '0xab50971078225D365994dc1Edcb9b7FD72Bb4862',
+      universalResolver: '0xa6AC935D4971E3CD133b950aE053bECD16fE7f3b',
+      reverseRegistrar: '0x65EE0b0B030a76c95a7ff046C0e0c8f7A2d1B004',
+      bulkRenewal: '0xbc4cfB363F948E64Cd73Da6438F64CB37E2e33d1',
+      multicall3: MULTICALL3
+    }
+  },
+  // Local Hardhat node forking mainnet, so the mainnet deployment is present.
+  // A plain local chain uses the addresses from hardhat/scripts/00-deploy-ens.js instead (see local-deployment.js)
+  31337: {
+    chainId: 31337,
+    name: 'localhost',
+    contracts: MAINNET_CONTRACTS
+  }
+};
+
+/**
+ * Look up a network by chainId or name
+ * @param {number|string} chainIdOrName - Chain id (e.g., 1) or name (e.g., 'sepolia')
+ * @returns {Object} - Network with chainId, name and checksummed contract addresses
+ * @throws {Error} - If the network is not registered
+ */
+function getNetwork(chainIdOrName) {
+  const network = NETWORKS[chainIdOrName] ||
+    Object.values(NETWORKS).find(candidate => candidate.name === chainIdOrName);
+
+  if (!network) {
+    throw new Error(`Unsupported network: ${chainIdOrName}. Register it with registerNetwork()`);
+  }
+
+  return { chainId: network.chainId, name: network.name, contracts: checksumContracts(network.contracts) };
+}
+
+// Checksum every address in a contracts map
+function checksumContracts(addresses) {
+  const contracts = {};
+  for (const [key, address] of Object.entries(addresses)) {
+    contracts[key] = ethers.utils.getAddress(address);
+  }
+  return contracts;
+}
+
+// Deployments pinned to a block, keyed by chainId (see registerNetwork)
+const DEPLOYMENTS = {};
+
+/**
+ * Register (or override) a network, e.g. a custom deployment or an L2 testnet
+ * Missing contracts are inherited from an existing entry for the same chainId.
+ * With `deployment`, the entry is only used by detectNetwork when the provider's chain
+ * has that block (a plain local chain); other nodes with the same chainId, such as a
+ * mainnet fork or a restarted node, keep the regular entry. Pinned entries inherit nothing.
+ * @param {number} chainId - Chain id
+ * @param {Object} network - Network details
+ * @param {string} network.name - Human-readable network name
+ * @param {Object} network.contracts - Contract addresses keyed like the built-in networks
+ * @param {Object} network.deployment - { blockNumber, blockHash } the contracts were deployed at
+ * @returns {Object} - The registered network
+ */
+function registerNetwork(chainId, { name, contracts = {}, deployment }) {
+  const existing = NETWORKS[chainId];
+
+  if (deployment) {
+    const pinned = {
+      chainId,
+      name: name || (existing && existing.name) || `chain-${chainId}`,
+      contracts: checksumContracts(contracts),
+      deployment: { blockNumber: deployment.blockNumber, blockHash: deployment.blockHash }
+    };
+    DEPLOYMENTS[chainId] = pinned;
+    return pinned;
+  }
+
+  NETWORKS[chainId] = {
+    chainId,
+    name: name || (existing && existing.name) || `chain-${chainId}`,
+    contracts: { ...(existing ? existing.contracts : {}), ...contracts }
+  };
+
+  return getNetwork(chainId);
+}
+
+// Pinned deployments already matched to a provider
+const matchedDeployments = new WeakMap();
+
+/**
+ * Use the pinned deployment for this chain if its block is on the provider's node
+ * The block hash recorded at deploy time must match, so a restarted node or a
+ * mainnet fork (same chainId) never picks up stale addresses.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {number} chainId - The provider's chain id
+ * @returns {Promise<Object|null>} - Network entry or null
+ */
+async function detectDeployment(provider, chainId) {
+  const pinned = DEPLOYMENTS[chainId];
+  if (!pinned) return null;
+  if (matchedDeployments.get(provider) === pinned) return pinned;
+
+  const block = await provider.getBlock(pinned.deployment.blockNumber).catch(() => null);
+  if (!block || block.hash !== pinned.deployment.blockHash) return null;
+
+  matchedDeployments.set(provider, pinned);
+  return pinned;
+}
+
+/**
+ * Detect the network a provider is connected to
+ * A deployment pinned with registerNetwork (e.g. the local deployment registered by
+ * local-deployment.js on chain 31337) wins when its block is on the node; otherwise
+ * the regular entry is used, so a local node is assumed to fork mainnet.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @returns {Promise<Object>} - Network from the registry
+ */
+async function detectNetwork(provider) {
+  const { chainId } = await provider.getNetwork();
+
+  const deployment = await detectDeployment(provider, chainId);
+  if (deployment) return deployment;
+
+  return getNetwork(chainId);
+}
+
+/**
+ * List the chain ids currently in the registry
+ * @returns {number[]} - Supported chain ids
+ */
+function getSupportedChainIds() {
+  return Object.keys(NETWORKS).map(Number);
+}
+
+module.exports = {
+  getNetwork,
+  registerNetwork,
+  detectNetwork,
+  getSupportedChainIds
+};
@@ -0,0 +1,132 @@
+// ENS Price Oracle
+// Rent price breakdown, USD conversion through the oracle's own feed, and the expired-name premium curve
+
+const { ethers } = require('ethers');
+
+// Expired names can only be renewed by their owner for 90 days before release
+const GRACE_PERIOD = 90 * 24 * 60 * 60;
+
+// ExponentialPremiumPriceOracle on mainnet: the premium starts at $100M when a name
+// is released and halves every day, reaching zero after 21 days
+const PREMIUM_START_USD = 100000000;
+const PREMIUM_DECAY_DAYS = 21;
+
+const DAY = 24 * 60 * 60;
+
+const CONTROLLER_PRICES_ABI = [
+  'function prices() view returns (address)'
+];
+
+const PRICE_ORACLE_ABI = [
+  'function usdOracle() view returns (address)'
+];
+
+// Chainlink aggregator: ETH/USD with 8 decimals
+const USD_ORACLE_ABI = [
+  'function latestAnswer() view returns (int256)'
+];
+
+const USD_DECIMALS = 8;
+
+/**
+ * Get the ETH/USD price the controller's oracle uses
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} controllerAddress - ETHRegistrarController address
+ * @returns {Promise<ethers.BigNumber>} - ETH price in USD with 8 decimals
+ */
+async function getEthUsdPrice(provider, controllerAddress) {
+  const controller = new ethers.Contract(controllerAddress, CONTROLLER_PRICES_ABI, provider);
+  const oracle = new ethers.Contract(await controller.prices(), PRICE_ORACLE_ABI, provider);
+  const usdOracle = new ethers.Contract(await oracle.usdOracle(), USD_ORACLE_ABI, provider);
+  return usdOracle.latestAnswer();
+}
+
+/**
+ * Convert wei to USD at a given ETH/USD price
+ * @param {ethers.BigNumber} wei - Amount in wei
+ * @param {ethers.BigNumber} ethUsdPrice - ETH price with 8 decimals
+ * @returns {string} - USD amount with 2 decimals
+ */
+function weiToUsd(wei, ethUsdPrice) {
+  const cents = ethers.BigNumber.from(wei).mul(ethUsdPrice).div(ethers.constants.WeiPerEther).div(10 ** (USD_DECIMALS - 2));
+  return (cents.toNumber() / 100).toFixed(2);
+}
+
+/**
+ * Convert USD to wei at a given ETH/USD price
+ * @param {number} usd - Amount in USD
+ * @param {ethers.BigNumber} ethUsdPrice - ETH price with 8 decimals
+ * @returns {ethers.BigNumber} - Amount in wei
+ */
+function usdToWei(usd, ethUsdPrice) {
+  const micros = ethers.BigNumber.from(Math.round(usd * 1e6));
+  return micros.mul(ethers.constants.WeiPerEther).mul(10 ** (USD_DECIMALS - 6)).div(ethUsdPrice);
+}
+
+/**
+ * Premium in USD at a given time after release (mirrors ExponentialPremiumPriceOracle)
+ * @param {number} elapsed - Seconds since the name was released
+ * @returns {number} - Premium in USD
+ */
+function premiumUsdAt(elapsed) {
+  if (elapsed < 0) return 0;
+  const endValue = PREMIUM_START_USD / 2 ** PREMIUM_DECAY_DAYS;
+  const premium = PREMIUM_START_USD * 0.5 ** (elapsed / DAY) - endValue;
+  return premium > 0 ? premium : 0;
+}
+
+/**
+ * Project the premium of a released name over the coming days
+ * Returns an empty schedule if the name is not (or no longer) in its premium period.
+ * @param {Object} params - Projection parameters
+ * @param {number} params.expires - Registration expiry (seconds, from BaseRegistrar.nameExpires)
+ * @param {number} params.now - Current block timestamp
+ * @param {ethers.BigNumber} params.ethUsdPrice - ETH price with 8 decimals
+ * @param {number} params.days - Days to project (default 21)
+ * @param {number} params.stepHours - Hours between points (default 24)
+ * @returns {Object[]} - [{ timestamp, date, premiumUsd, premiumWei }]
+ */
+function projectPremium({ expires, now, ethUsdPrice, days = PREMIUM_DECAY_DAYS, stepHours = 24 }) {
+  const releasedAt = expires + GRACE_PERIOD;
+  const endsAt = releasedAt + PREMIUM_DECAY_DAYS * DAY;
+
+  if (!expires || now >= endsAt) return [];
+
+  const schedule = [];
+  const start = Math.max(now, releasedAt);
+  const end = Math.min(start + days * DAY, endsAt);
+
+  for (let timestamp = start; timestamp <= end; timestamp += stepHours * 60 * 60) {
+    const premiumUsd = premiumUsdAt(timestamp - releasedAt);
+    schedule.push({
+      timestamp,
+      date: new Date(timestamp * 1000).toISOString(),
+      premiumUsd: premiumUsd.toFixed(2),
+      premiumWei: usdToWei(premiumUsd, ethUsdPrice).toString()
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Add a slippage buffer to a price
+ * The controller refunds anything sent above the price, so the buffer only
+ * guards against the ETH/USD feed moving between quote and inclusion.
+ * @param {ethers.BigNumber} value - Price in wei
+ * @param {number} slippageBps - Buffer in basis points (100 = 1%)
+ * @returns {ethers.BigNumber} - Value to send
+ */
+function withSlippage(value, slippageBps) {
+  return ethers.BigNumber.from(value).mul(10000 + slippageBps).div(10000);
+}
+
+module.exports = {
+  GRACE_PERIOD,
+  PREMIUM_DECAY_DAYS,
+  getEthUsdPrice,
+  weiToUsd,
+  usdToWei,
+  projectPremium,
+  withSlippage
+};
@@ -0,0 +1,286 @@
+// ENS Record Updates
+// Writes many resolver records in one atomic multicall, skipping records that are already up to date
+
+const { ethers } = require('ethers');
+const { normalizeName, namehash } = require('./ens-helpers');
+const { encodeContentHash } = require('./content-hash');
+const { getCoinType, getCoinName, encodeCoinAddress } = require('./coin-types');
+const { findResolver, supportsInterface } = require('./resolution');
+
+// ERC-165 id of IMulticallable.multicall(bytes[])
+const MULTICALL_INTERFACE_ID = '0xac9650d8';
+
+// ENSIP-4 ABI content types (each a single bit)
+const ABI_CONTENT_TYPES = {
+  json: 1,
+  zlibJson: 2,
+  cbor: 4,
+  uri: 8
+};
+
+const RESOLVER_WRITE_ABI = [
+  'function multicall(bytes[] data) returns (bytes[] results)',
+  'function text(bytes32 node, string key) view returns (string)',
+  'function setText(bytes32 node, string key, string value)',
+  'function addr(bytes32 node, uint256 coinType) view returns (bytes)',
+  'function setAddr(bytes32 node, uint256 coinType, bytes a)',
+  'function contenthash(bytes32 node) view returns (bytes)',
+  'function setContenthash(bytes32 node, bytes hash)',
+  'function ABI(bytes32 node, uint256 contentTypes) view returns (uint256, bytes)',
+  'function setABI(bytes32 node, uint256 contentType, bytes data)',
+  'function pubkey(bytes32 node) view returns (bytes32 x, bytes32 y)',
+  'function setPubkey(bytes32 node, bytes32 x, bytes32 y)'
+];
+
+const resolverWriteInterface = new ethers.utils.Interface(RESOLVER_WRITE_ABI);
+
+/**
+ * Turn an ABI record value into bytes
+ * @param {*} value - ABI array/object (JSON), string, or hex bytes
+ * @param {number} contentType - ENSIP-4 content type
+ * @returns {string} - Bytes as hex string
+ */
+function encodeAbiData(value, contentType) {
+  if (value === null || value === undefined || value === '') return '0x';
+  if (typeof value === 'string' && ethers.utils.isHexString(value)) return ethers.utils.hexlify(value);
+  if (typeof value !== 'string') {
+    if (contentType !== ABI_CONTENT_TYPES.json) {
+      throw new Error('Only JSON ABI records (content type 1) can be given as objects');
+    }
+    value = JSON.stringify(value);
+  }
+  return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(value));
+}
+
+/**
+ * Validate and encode one record update
+ * Records look like:
+ *   { type: 'text', key: 'com.twitter', value: 'ensdomains' }
+ *   { type: 'addr', coin: 'btc', value: 'bc1q...' }        (coin defaults to 'eth')
+ *   { type: 'contenthash', value: 'ipfs://...' }
+ *   { type: 'abi', value: [...], contentType: 1 }
+ *   { type: 'pubkey', x: '0x...', y: '0x...' }
+ * An empty value ('' or null) clears the record.
+ * @param {string} node - Namehash of the name
+ * @param {Object} record - Record update
+ * @returns {Object} - { label, data, read, expected, compare }
+ * @throws {Error} - If the record type is unknown or the value is malformed
+ */
+function prepareRecord(node, record) {
+  switch (record.type) {
+    case 'text': {
+      if (!record.key) throw new Error('Text records need a key');
+      const value = record.value || '';
+      return {
+        label: `text:${record.key}`,
+        data: resolverWriteInterface.encodeFunctionData('setText', [node, record.key, value]),
+        read: ['text', [node, record.key]],
+        expected: value,
+        compare: ([current]) => current === value
+      };
+    }
+
+    case 'addr': {
+      const coinType = getCoinType(record.coin === undefined ? 'eth' : record.coin);
+      const value = record.value ? encodeCoinAddress(coinType, record.value) : '0x';
+      return {
+        label: `addr:${getCoinName(coinType)}`,
+        data: resolverWriteInterface.encodeFunctionData('setAddr(bytes32,uint256,bytes)', [node, coinType, value]),
+        read: ['addr(bytes32,uint256)', [node, coinType]],
+        expected: value,
+        compare: ([current]) => current.toLowerCase() === value.toLowerCase()
+      };
+    }
+
+    case 'contenthash': {
+      const value = record.value ? encodeContentHash(record.value) : '0x';
+      return {
+        label: 'contenthash',
+        data: resolverWriteInterface.encodeFunctionData('setContenthash', [node, value]),
+        read: ['contenthash', [node]],
+        expected: value,
+        compare: ([current]) => current.toLowerCase() === value.toLowerCase()
+      };
+    }
+
+    case 'abi': {
+      const contentType = record.contentType || ABI_CONTENT_TYPES.json;
+      if (!Object.values(ABI_CONTENT_TYPES).includes(contentType)) {
+        throw new Error(`Invalid ABI content type ${contentType}; use 1 (JSON), 2 (zlib JSON), 4 (CBOR) or 8 (URI)`);
+      }
+      const value = encodeAbiData(record.value, contentType);
+      return {
+        label: `abi:${contentType}`,
+        data: resolverWriteInterface.encodeFunctionData('setABI', [node, contentType, value]),
+        read: ['ABI', [node, contentType]],
+        expected: value,
+        // ABI() returns content type 0 when nothing is stored for the requested type
+        compare: ([storedType, current]) => value === '0x'
+          ? storedType.isZero()
+          : storedType.eq(contentType) && current.toLowerCase() === value.toLowerCase()
+      };
+    }
+
+    case 'pubkey': {
+      const x = ethers.utils.hexZeroPad(record.x || ethers.constants.HashZero, 32);
+      const y = ethers.utils.hexZeroPad(record.y || ethers.constants.HashZero, 32);
+      return {
+        label: 'pubkey',
+        data: resolverWriteInterface.encodeFunctionData('setPubkey', [node, x, y]),
+        read: ['pubkey', [node]],
+        expected: { x, y },
+        compare: ([currentX, currentY]) => currentX.toLowerCase() === x.toLowerCase() && currentY.toLowerCase() === y.toLowerCase()
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported record type: ${record.type}`);
+  }
+}
+
+/**
+ * Encode record updates as resolver calldata without touching the chain
+ * Used for the `data` records passed to ETHRegistrarController.register, which
+ * the controller applies through the resolver's multicall.
+ * @param {string} name - ENS name
+ * @param {Object[]} records - Record updates (see prepareRecord)
+ * @returns {string[]} - Calldata, one entry per record
+ */
+function encodeRecordUpdates(name, records) {
+  const node = namehash(normalizeName(name));
+  return records.map(record => prepareRecord(node, record).data);
+}
+
+/**
+ * Get the resolver a name's records are written to
+ * Writes must go to the name's own resolver, not a wildcard resolver on a parent.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - Normalized ENS name
+ * @param {Object} options - { resolver, registry }
+ * @returns {Promise<string>} - Resolver address
+ */
+async function getWritableResolver(provider, name, options = {}) {
+  if (options.resolver) return options.resolver;
+
+  const found = await findResolver(provider, name, options);
+  if (!found || found.wildcard) {
+    throw new Error(`${name} has no resolver of its own; set one before writing records`);
+  }
+  return found.address;
+}
+
+/**
+ * Compare record updates against the values currently on the resolver
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object[]} records - Record updates (see prepareRecord)
+ * @param {Object} options - Options
+ * @param {string} options.resolver - Resolver address (defaults to the name's own resolver)
+ * @param {string} options.registry - Registry address used to find the resolver
+ * @returns {Promise<Object>} - { name, resolver, changes: [{ record, label, data, current, expected, changed }] }
+ */
+async function diffRecords(provider, name, records, options = {}) {
+  const normalized = normalizeName(name);
+  const node = namehash(normalized);
+
+  // Encode everything first so a malformed value fails before any network call
+  const prepared = records.map(record => ({ record, ...prepareRecord(node, record) }));
+
+  const resolverAddress = await getWritableResolver(provider, normalized, options);
+  const resolver = new ethers.Contract(resolverAddress, RESOLVER_WRITE_ABI, provider);
+
+  const changes = await Promise.all(prepared.map(async ({ record, label, data, read, expected, compare }) => {
+    const [method, args] = read;
+    let current = null;
+    let changed = true;
+
+    try {
+      current = await resolver[method](...args);
+      changed = !compare(Array.isArray(current) ? current : [current]);
+    } catch (error) {
+      // Resolver lacks this profile or the read failed: write it anyway
+    }
+
+    return { record, label, data, current, expected, changed };
+  }));
+
+  return { name: normalized, resolver: resolverAddress, changes };
+}
+
+/**
+ * Write record updates in a single PublicResolver.multicall transaction
+ * Unchanged records are skipped. Because multicall is one transaction, either
+ * every changed record is written or none is.
+ * @param {ethers.Signer} signer - Signer authorised to manage the name
+ * @param {string} name - ENS name
+ * @param {Object[]} records - Record updates (see prepareRecord)
+ * @param {Object} options - Options
+ * @param {string} options.resolver - Resolver address (defaults to the name's own resolver)
+ * @param {string} options.registry - Registry address used to find the resolver
+ * @param {boolean} options.dryRun - Only diff; don't send a transaction
+ * @returns {Promise<Object>} - { name, resolver, txHash, gasUsed, updated, unchanged, failed, results }
+ */
+async function setRecords(signer, name, records, options = {}) {
+  const diff = await diffRecords(signer.provider, name, records, options);
+  const pending = diff.changes.filter(change => change.changed);
+
+  const report = {
+    name: diff.name,
+    resolver: diff.resolver,
+    txHash: null,
+    gasUsed: null,
+    updated: 0,
+    unchanged: diff.changes.length - pending.length,
+    failed: 0,
+    results: diff.changes.map(change => ({
+      ...change.record,
+      label: change.label,
+      status: change.changed ? 'pending' : 'unchanged',
+      success: true
+    }))
+  };
+
+  if (pending.length === 0 || options.dryRun) {
+    return report;
+  }
+
+  if (!(await supportsInterface(signer.provider, diff.resolver, MULTICALL_INTERFACE_ID))) {
+    throw new Error(`Resolver ${diff.resolver} does not support multicall`);
+  }
+
+  const resolver = new ethers.Contract(diff.resolver, RESOLVER_WRITE_ABI, signer);
+
+  try {
+    const tx = await resolver.multicall(pending.map(change => change.data));
+    const receipt = await tx.wait();
+
+    report.txHash = tx.hash;
+    report.gasUsed = receipt.gasUsed.toString();
+    report.updated = pending.length;
+    report.results.forEach((result) => {
+      if (result.status === 'pending') {
+        result.status = 'updated';
+        result.txHash = tx.hash;
+      }
+    });
+  } catch (error) {
+    report.failed = pending.length;
+    report.results.forEach((result) => {
+      if (result.status === 'pending') {
+        result.status = 'failed';
+        result.success = false;
+        result.error = error.reason || error.message;
+      }
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  ABI_CONTENT_TYPES,
+  encodeRecordUpdates,
+  getWritableResolver,
+  diffRecords,
+  setRecords
+};
@@ -0,0 +1,407 @@
+// ENS Resolution
+// Finds a name's actual resolver (with ENSIP-10 wildcard lookup) and reads records through it
+
+const { ethers } = require('ethers');
+const { detectNetwork } = require('./networks');
+const { normalizeName, namehash } = require('./ens-helpers');
+const { ccipCall, isOffchainLookup } = require('./ccip-read');
+const { aggregate3 } = require('./multicall');
+const { getCoinType, decodeCoinAddress } = require('./coin-types');
+
+// ERC-165 interface ids for resolver profiles
+const INTERFACE_IDS = {
+  addr: '0x3b3b57de',
+  multicoinAddr: '0xf1cb7e06', // ENSIP-9 addr(bytes32,uint256)
+  text: '0x59d1d43c',
+  contenthash: '0xbc1c58d1',
+  name: '0x691f3431',
+  extendedResolver: '0x9061b923' // ENSIP-10 resolve(bytes,bytes)
+};
+
+// Record types readable through resolveRecord(), keyed by the name used in the API
+const RECORD_TYPES = {
+  addr: {
+    signature: 'addr(bytes32)',
+    interfaceId: INTERFACE_IDS.addr,
+    isEmpty: value => value === ethers.constants.AddressZero
+  },
+  multicoinAddr: {
+    signature: 'addr(bytes32,uint256)',
+    interfaceId: INTERFACE_IDS.multicoinAddr,
+    isEmpty: value => value === '0x'
+  },
+  text: {
+    signature: 'text(bytes32,string)',
+    interfaceId: INTERFACE_IDS.text,
+    isEmpty: value => value === ''
+  },
+  contenthash: {
+    signature: 'contenthash(bytes32)',
+    interfaceId: INTERFACE_IDS.contenthash,
+    isEmpty: value => value === '0x'
+  },
+  name: {
+    signature: 'name(bytes32)',
+    interfaceId: INTERFACE_IDS.name,
+    isEmpty: value => value === ''
+  }
+};
+
+const REGISTRY_ABI = [
+  'function resolver(bytes32 node) view returns (address)'
+];
+
+const RESOLVER_ABI = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function resolve(bytes name, bytes data) view returns (bytes)',
+  'function addr(bytes32 node) view returns (address)',
+  'function addr(bytes32 node, uint256 coinType) view returns (bytes)',
+  'function text(bytes32 node, string key) view returns (string)',
+  'function contenthash(bytes32 node) view returns (bytes)',
+  'function name(bytes32 node) view returns (string)'
+];
+
+const registryInterface = new ethers.utils.Interface(REGISTRY_ABI);
+const resolverInterface = new ethers.utils.Interface(RESOLVER_ABI);
+
+/**
+ * Encode a record read for a resolver
+ * @param {string} name - Normalized ENS name
+ * @param {string} record - Record type (see RECORD_TYPES)
+ * @param {Array} args - Extra arguments after the node
+ * @returns {string} - Calldata
+ */
+function encodeRecordCall(name, record, args = []) {
+  const type = RECORD_TYPES[record];
+  if (!type) {
+    throw new Error(`Unsupported record type: ${record}`);
+  }
+  return resolverInterface.encodeFunctionData(type.signature, [namehash(name), ...args]);
+}
+
+/**
+ * Decode a record read, mapping empty values to null
+ * @param {string} record - Record type (see RECORD_TYPES)
+ * @param {string} data - Return data from the resolver
+ * @returns {*} - Decoded value or null
+ */
+function decodeRecordResult(record, data) {
+  const type = RECORD_TYPES[record];
+  const [value] = resolverInterface.decodeFunctionResult(type.signature, data);
+  return type.isEmpty(value) ? null : value;
+}
+
+/**
+ * Get the registry address to use for a provider
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object} options - Options that may carry an explicit registry address
+ * @returns {Promise<string>} - Registry address
+ */
+async function getRegistryAddress(provider, options = {}) {
+  if (options.registry) return options.registry;
+  const network = await detectNetwork(provider);
+  return network.contracts.registry;
+}
+
+/**
+ * Check whether a resolver implements an interface (ERC-165)
+ * Resolvers that revert or do not implement ERC-165 are treated as unsupported
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} resolverAddress - Resolver contract address
+ * @param {string} interfaceId - 4-byte interface id
+ * @returns {Promise<boolean>} - True if supported
+ */
+async function supportsInterface(provider, resolverAddress, interfaceId) {
+  try {
+    const resolver = new ethers.Contract(resolverAddress, RESOLVER_ABI, provider);
+    return await resolver.supportsInterface(interfaceId);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the resolver responsible for a name (ENSIP-10)
+ * Walks up the name one label at a time until a resolver is set. A resolver
+ * found on a parent name only applies if it supports resolve(bytes,bytes).
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object} options - Lookup options
+ * @param {string} options.registry - Registry address (defaults to the detected network's)
+ * @returns {Promise<Object|null>} - { address, name, wildcard, extended } or null if there is no resolver
+ */
+async function findResolver(provider, name, options = {}) {
+  const normalized = normalizeName(name);
+  const registry = new ethers.Contract(await getRegistryAddress(provider, options), REGISTRY_ABI, provider);
+
+  let current = normalized;
+  while (current !== '') {
+    const address = await registry.resolver(namehash(current));
+
+    if (address !== ethers.constants.AddressZero) {
+      const extended = await supportsInterface(provider, address, INTERFACE_IDS.extendedResolver);
+      const wildcard = current !== normalized;
+
+      if (wildcard && !extended) {
+        return null;
+      }
+
+      return { address, name: current, wildcard, extended };
+    }
+
+    const dot = current.indexOf('.');
+    current = dot === -1 ? '' : current.slice(dot + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a record through the name's own resolver
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {string} record - Record type: 'addr', 'multicoinAddr', 'text', 'contenthash' or 'name'
+ * @param {Array} args - Extra arguments after the node (e.g., the key for 'text', the coin type for 'multicoinAddr')
+ * @param {Object} options - Lookup options (see findResolver); options.fetch is used for CCIP-Read,
+ *   options.requireInterface = false skips the supportsInterface check for pre-ERC-165 resolvers
+ * @returns {Promise<Object>} - { name, record, value, resolver, resolverName, wildcard, extended, supported }
+ */
+async function resolveRecord(provider, name, record, args = [], options = {}) {
+  const normalized = normalizeName(name);
+  const data = encodeRecordCall(normalized, record, args);
+  const found = await findResolver(provider, normalized, options);
+  const result = {
+    name: normalized,
+    record,
+    value: null,
+    resolver: found ? found.address : null,
+    resolverName: found ? found.name : null,
+    wildcard: found ? found.wildcard : false,
+    extended: found ? found.extended : false,
+    supported: false
+  };
+
+  if (!found) {
+    return result;
+  }
+
+  let response;
+
+  if (found.extended) {
+    // ENSIP-10: extended resolvers answer through resolve(dnsEncodedName, calldata),
+    // possibly via a CCIP-Read gateway
+    const resolveData = resolverInterface.encodeFunctionData('resolve', [ethers.utils.dnsEncode(normalized), data]);
+    const returned = await ccipCall(provider, { to: found.address, data: resolveData }, options);
+    [response] = resolverInterface.decodeFunctionResult('resolve', returned);
+  } else {
+    const requireInterface = options.requireInterface !== false;
+    if (requireInterface && !(await supportsInterface(provider, found.address, RECORD_TYPES[record].interfaceId))) {
+      return result;
+    }
+    try {
+      response = await provider.call({ to: found.address, data });
+    } catch (error) {
+      if (requireInterface) throw error;
+      return result;
+    }
+  }
+
+  result.supported = true;
+  result.value = decodeRecordResult(record, response);
+  return result;
+}
+
+/**
+ * Resolve a chain address (ENSIP-9) and decode it into the chain's text format
+ * Resolvers that predate ENSIP-9 only have addr(bytes32); for ETH (coin type 60)
+ * that record is used instead.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {string|number} coin - Coin type or name (e.g., 'btc', 0, 'base')
+ * @param {Object} options - Lookup options (see resolveRecord)
+ * @returns {Promise<Object>} - resolveRecord result plus coinType; value is the decoded address or null
+ */
+async function resolveCoinAddress(provider, name, coin, options = {}) {
+  const coinType = getCoinType(coin);
+  const result = await resolveRecord(provider, name, 'multicoinAddr', [coinType], options);
+
+  if (!result.supported && result.resolver && coinType === 60) {
+    const legacy = await resolveRecord(provider, name, 'addr', [], options);
+    return { ...legacy, coinType };
+  }
+
+  return { ...result, coinType, value: decodeCoinAddress(coinType, result.value) };
+}
+
+/**
+ * List a name and its parents, closest first (e.g., "a.b.eth", "b.eth", "eth")
+ * @param {string} name - Normalized ENS name
+ * @returns {string[]} - Candidate names for resolver lookup
+ */
+function nameAndParents(name) {
+  const names = [];
+  for (let current = name; current !== ''; ) {
+    names.push(current);
+    const dot = current.indexOf('.');
+    current = dot === -1 ? '' : current.slice(dot + 1);
+  }
+  return names;
+}
+
+/**
+ * Decode a single return value from an aggregate3 result
+ * @param {ethers.utils.Interface} contractInterface - Interface of the called contract
+ * @param {string} method - Function name or signature
+ * @param {Object} result - { success, returnData }
+ * @param {*} fallback - Value used when the call failed or returned garbage
+ * @returns {*} - Decoded value or fallback
+ */
+function decodeAggregated(contractInterface, method, result, fallback) {
+  if (!result.success) return fallback;
+  try {
+    return contractInterface.decodeFunctionResult(method, result.returnData)[0];
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Resolve one record for many names in a few Multicall3 round trips
+ * Follows the same rules as resolveRecord(): registry lookups (including parent
+ * names for ENSIP-10 wildcards), supportsInterface checks and record reads are
+ * each batched through aggregate3. Names whose resolver answers with a CCIP-Read
+ * OffchainLookup are resolved individually with resolveRecord().
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string[]} names - ENS names
+ * @param {string} record - Record type (see RECORD_TYPES)
+ * @param {Array} args - Extra arguments after the node
+ * @param {Object} options - Lookup options (see resolveRecord), plus multicall3 and maxCalldataBytes
+ * @returns {Promise<Object[]>} - One resolveRecord-shaped result per name, in order; failures carry error
+ */
+async function batchResolveRecords(provider, names, record = 'addr', args = [], options = {}) {
+  const registry = await getRegistryAddress(provider, options);
+  const type = RECORD_TYPES[record];
+  const multicallOptions = { multicall3: options.multicall3, maxCalldataBytes: options.maxCalldataBytes };
+
+  const entries = names.map((input) => {
+    try {
+      const name = normalizeName(input);
+      return { name, data: encodeRecordCall(name, record, args) };
+    } catch (error) {
+      return { name: input, error: error.message };
+    }
+  });
+  const valid = entries.filter(entry => !entry.error);
+
+  // 1. registry.resolver() for every name and its parents
+  const candidates = [...new Set(valid.flatMap(entry => nameAndParents(entry.name)))];
+  const registryResults = await aggregate3(provider, candidates.map(candidate => ({
+    target: registry,
+    callData: registryInterface.encodeFunctionData('resolver', [namehash(candidate)])
+  })), multicallOptions);
+
+  const resolverOf = new Map(candidates.map((candidate, index) => [
+    candidate,
+    decodeAggregated(registryInterface, 'resolver', registryResults[index], ethers.constants.AddressZero)
+  ]));
+
+  for (const entry of valid) {
+    const owner = nameAndParents(entry.name).find(candidate => resolverOf.get(candidate) !== ethers.constants.AddressZero);
+    if (owner) {
+      entry.found = { address: resolverOf.get(owner), name: owner, wildcard: owner !== entry.name };
+    }
+  }
+
+  // 2. supportsInterface(extendedResolver) and supportsInterface(record) per resolver
+  const resolvers = [...new Set(valid.filter(entry => entry.found).map(entry => entry.found.address))];
+  const interfaceIds = [INTERFACE_IDS.extendedResolver, type.interfaceId];
+  const interfaceResults = await aggregate3(provider, resolvers.flatMap(address => interfaceIds.map(interfaceId => ({
+    target: address,
+    callData: resolverInterface.encodeFunctionData('supportsInterface', [interfaceId])
+  }))), multicallOptions);
+
+  const supportOf = new Map(resolvers.map((address, index) => [address, {
+    extended: decodeAggregated(resolverInterface, 'supportsInterface', interfaceResults[index * 2], false),
+    record: decodeAggregated(resolverInterface, 'supportsInterface', interfaceResults[index * 2 + 1], false)
+  }]));
+
+  // 3. Record reads, through resolve(bytes,bytes) for extended resolvers
+  const reads = [];
+  const results = entries.map((entry) => {
+    const result = {
+      name: entry.name,
+      record,
+      value: null,
+      resolver: null,
+      resolverName: null,
+      wildcard: false,
+      extended: false,
+      supported: false
+    };
+
+    if (entry.error) return { ...result, error: entry.error };
+    if (!entry.found) return result;
+
+    const support = supportOf.get(entry.found.address);
+    if (entry.found.wildcard && !support.extended) return result;
+
+    Object.assign(result, {
+      resolver: entry.found.address,
+      resolverName: entry.found.name,
+      wildcard: entry.found.wildcard,
+      extended: support.extended
+    });
+
+    if (support.extended) {
+      reads.push({
+        result,
+        callData: resolverInterface.encodeFunctionData('resolve', [ethers.utils.dnsEncode(entry.name), entry.data])
+      });
+    } else if (support.record) {
+      reads.push({ result, callData: entry.data });
+    }
+
+    return result;
+  });
+
+  const readResults = await aggregate3(provider, reads.map(read => ({
+    target: read.result.resolver,
+    callData: read.callData
+  })), multicallOptions);
+
+  await Promise.all(reads.map(async ({ result }, index) => {
+    const { success, returnData } = readResults[index];
+
+    try {
+      if (!success && result.extended && isOffchainLookup(returnData)) {
+        Object.assign(result, await resolveRecord(provider, result.name, record, args, options));
+        return;
+      }
+      if (!success) {
+        throw new Error(`Resolver ${result.resolver} reverted`);
+      }
+
+      const data = result.extended
+        ? resolverInterface.decodeFunctionResult('resolve', returnData)[0]
+        : returnData;
+      result.supported = true;
+      result.value = decodeRecordResult(record, data);
+    } catch (error) {
+      result.error = error.message;
+    }
+  }));
+
+  return results;
+}
+
+module.exports = {
+  INTERFACE_IDS,
+  RECORD_TYPES,
+  encodeRecordCall,
+  decodeRecordResult,
+  supportsInterface,
+  findResolver,
+  resolveRecord,
+  resolveCoinAddress,
+  batchResolveRecords
+};
@@ -0,0 +1,210 @@
+// ENS Reverse Resolution
+// Address → primary name lookups, always verified against forward resolution
+
+const { ethers } = require('ethers');
+const { normalizeName, namehash } = require('./ens-helpers');
+const { detectNetwork } = require('./networks');
+const { resolveRecord } = require('./resolution');
+
+// Keep batch lookups from flooding the RPC endpoint
+const DEFAULT_CONCURRENCY = 10;
+
+const REVERSE_REGISTRAR_ABI = [
+  'function setName(string name) returns (bytes32)',
+  'function setNameForAddr(address addr, address owner, address resolver, string name) returns (bytes32)'
+];
+
+/**
+ * Reverse name for an address (e.g., "d8da6bf2...6045.addr.reverse")
+ * @param {string} address - Ethereum address
+ * @returns {string} - Reverse name
+ */
+function reverseName(address) {
+  return `${ethers.utils.getAddress(address).slice(2).toLowerCase()}.addr.reverse`;
+}
+
+/**
+ * Reverse node (namehash of the reverse name) for an address
+ * @param {string} address - Ethereum address
+ * @returns {string} - Reverse node as hex string
+ */
+function reverseNode(address) {
+  return namehash(reverseName(address));
+}
+
+/**
+ * Reverse-resolve an address and verify the result
+ * The reverse record is only a claim: anyone can set any name on their own
+ * reverse record. The name is accepted only if it is normalized and its addr
+ * record points back at the same address.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} address - Ethereum address
+ * @param {Object} options - Lookup options passed to resolveRecord (registry, fetch)
+ * @returns {Promise<Object>} - { address, name, claimedName, verified, reason }
+ */
+async function reverseResolve(provider, address, options = {}) {
+  const checksummed = ethers.utils.getAddress(address);
+  const result = { address: checksummed, name: null, claimedName: null, verified: false, reason: null };
+
+  // The original DefaultReverseResolver predates ERC-165, so don't require supportsInterface here
+  const reverse = await resolveRecord(provider, reverseName(checksummed), 'name', [], { ...options, requireInterface: false });
+  if (!reverse.value) {
+    result.reason = reverse.resolver ? 'no-name-record' : 'no-reverse-resolver';
+    return result;
+  }
+
+  result.claimedName = reverse.value;
+
+  let normalized;
+  try {
+    normalized = normalizeName(reverse.value);
+  } catch (error) {
+    result.reason = 'invalid-name';
+    return result;
+  }
+
+  if (normalized !== reverse.value) {
+    result.reason = 'not-normalized';
+    return result;
+  }
+
+  const forward = await resolveRecord(provider, normalized, 'addr', [], options);
+  if (!forward.value || ethers.utils.getAddress(forward.value) !== checksummed) {
+    result.reason = 'forward-mismatch';
+    return result;
+  }
+
+  result.name = normalized;
+  result.verified = true;
+  return result;
+}
+
+/**
+ * Look up the verified primary name of an address
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} address - Ethereum address
+ * @param {Object} options - Lookup options passed to resolveRecord (registry, fetch)
+ * @returns {Promise<string|null>} - Primary name, or null if unset or unverified
+ */
+async function lookupAddress(provider, address, options = {}) {
+  const result = await reverseResolve(provider, address, options);
+  return result.name;
+}
+
+/**
+ * Reverse-resolve many addresses (e.g., for a member list)
+ * Duplicate addresses are looked up once; failures, including malformed addresses, are reported per address.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string[]} addresses - Ethereum addresses
+ * @param {Object} options - Lookup options passed to resolveRecord, plus concurrency
+ * @param {number} options.concurrency - Maximum lookups in flight
+ * @returns {Promise<Object[]>} - One { address, name, verified, reason, error } per input address, in order
+ */
+async function batchLookupAddresses(provider, addresses, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, ...lookupOptions } = options;
+  const results = new Map();
+  const unique = [];
+  const keys = addresses.map((address) => {
+    try {
+      const checksummed = ethers.utils.getAddress(address);
+      if (!results.has(checksummed)) {
+        results.set(checksummed, null);
+        unique.push(checksummed);
+      }
+      return checksummed;
+    } catch (error) {
+      // A malformed address fails on its own instead of failing the whole batch
+      return { address, name: null, verified: false, reason: 'invalid-address', error: error.message };
+    }
+  });
+  let next = 0;
+
+  const worker = async () => {
+    while (next < unique.length) {
+      const address = unique[next++];
+      try {
+        results.set(address, await reverseResolve(provider, address, lookupOptions));
+      } catch (error) {
+        results.set(address, { address, name: null, verified: false, reason: 'error', error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, unique.length) }, worker));
+
+  return keys.map(key => (typeof key === 'string' ? results.get(key) : key));
+}
+
+/**
+ * Build the ReverseRegistrar call for setting (or clearing) a reverse record
+ * setName covers the signer's own address; setNameForAddr covers an address the
+ * signer controls (e.g. a contract it owns or an address that approved it).
+ * @param {ethers.Signer} signer - Signer sending the transaction
+ * @param {string} name - Name to store ('' clears the record)
+ * @param {Object} options - { address, reverseRegistrar, resolver }
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function sendReverseRecord(signer, name, options = {}) {
+  const signerAddress = await signer.getAddress();
+  const address = ethers.utils.getAddress(options.address || signerAddress);
+
+  let { reverseRegistrar, resolver } = options;
+  if (!reverseRegistrar || !resolver) {
+    const network = await detectNetwork(signer.provider);
+    reverseRegistrar = reverseRegistrar || network.contracts.reverseRegistrar;
+    resolver = resolver || network.contracts.publicResolver;
+  }
+
+  const registrar = new ethers.Contract(reverseRegistrar, REVERSE_REGISTRAR_ABI, signer);
+
+  if (address === signerAddress) {
+    return registrar.setName(name);
+  }
+  return registrar.setNameForAddr(address, signerAddress, resolver, name);
+}
+
+/**
+ * Set the primary name (reverse record) for the signer, or an address it controls
+ * Refuses to set a name that does not forward-resolve to the address, since
+ * reverseResolve() would never verify it.
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string} name - ENS name to use as primary name
+ * @param {Object} options - Options
+ * @param {string} options.address - Address to set the name for (defaults to the signer's)
+ * @param {string} options.reverseRegistrar - ReverseRegistrar address (defaults to the detected network's)
+ * @param {string} options.resolver - Resolver for setNameForAddr (defaults to the PublicResolver)
+ * @param {string} options.registry - Registry address used for the forward check
+ * @param {Function} options.fetch - fetch-compatible function for CCIP-Read during the forward check
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function setPrimaryName(signer, name, options = {}) {
+  const normalized = normalizeName(name);
+  const address = ethers.utils.getAddress(options.address || await signer.getAddress());
+
+  const forward = await resolveRecord(signer.provider, normalized, 'addr', [], options);
+  if (!forward.value || ethers.utils.getAddress(forward.value) !== address) {
+    throw new Error(`${normalized} resolves to ${forward.value || 'nothing'}, not ${address}. Set its addr record first`);
+  }
+
+  return sendReverseRecord(signer, normalized, { ...options, address });
+}
+
+/**
+ * Clear the primary name for the signer, or an address it controls
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {Object} options - Same as setPrimaryName (address, reverseRegistrar, resolver)
+ * @returns {Promise<ethers.providers.TransactionResponse>} - Submitted transaction
+ */
+async function clearPrimaryName(signer, options = {}) {
+  return sendReverseRecord(signer, '', options);
+}
+
+module.exports = {
+  reverseName,
+  reverseNode,
+  reverseResolve,
+  lookupAddress,
+  batchLookupAddresses,
+  setPrimaryName,
+  clearPrimaryName
+};
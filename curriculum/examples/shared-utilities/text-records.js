@@ -0,0 +1,135 @@
+// ENS Text Record Discovery
+// Lists every text key set on a name from its resolver's TextChanged logs and reads the values in one batch
+
+const { ethers } = require('ethers');
+const { normalizeName, namehash } = require('./ens-helpers');
+const { findResolver, resolveRecord, encodeRecordCall, decodeRecordResult } = require('./resolution');
+const { aggregate3 } = require('./multicall');
+
+// Probed when the keys can't be discovered: ENSIP-5 global keys and common service keys
+const DEFAULT_TEXT_KEYS = [
+  'avatar',
+  'description',
+  'display',
+  'email',
+  'url',
+  'location',
+  'keywords',
+  'com.twitter',
+  'com.github',
+  'com.discord',
+  'org.telegram'
+];
+
+// Older PublicResolvers emit TextChanged without the value; both carry the key
+const TEXT_CHANGED_EVENTS = new ethers.utils.Interface([
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key)',
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key, string value)'
+]);
+
+/**
+ * Find every text key ever set on a name at its current resolver
+ * Keys come from the resolver's TextChanged logs. DEFAULT_TEXT_KEYS (or options.keys) are
+ * used instead when the resolver is a wildcard (often offchain) resolver, the logs can't be read
+ * (e.g., the RPC limits the block range), or the resolver emitted no TextChanged for the name.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object} options - Lookup options (see findResolver)
+ * @param {number} options.fromBlock - First block searched (default 0)
+ * @param {string[]} options.keys - Fallback keys (default DEFAULT_TEXT_KEYS)
+ * @returns {Promise<Object>} - { resolver, extended, keys, source: 'events' | 'fallback' | 'none', reason }
+ */
+async function discoverTextKeys(provider, name, options = {}) {
+  const normalized = normalizeName(name);
+  const fallbackKeys = options.keys || DEFAULT_TEXT_KEYS;
+  const found = await findResolver(provider, normalized, options);
+
+  if (!found) {
+    return { resolver: null, extended: false, keys: [], source: 'none', reason: 'No resolver set' };
+  }
+
+  const fallback = reason => ({ resolver: found.address, extended: found.extended, keys: fallbackKeys, source: 'fallback', reason });
+
+  if (found.wildcard) {
+    return fallback('Wildcard resolvers do not log records per name');
+  }
+
+  let logs;
+  try {
+    logs = await provider.getLogs({
+      address: found.address,
+      topics: [
+        Object.values(TEXT_CHANGED_EVENTS.events).map(fragment => TEXT_CHANGED_EVENTS.getEventTopic(fragment)),
+        namehash(normalized)
+      ],
+      fromBlock: options.fromBlock || 0,
+      toBlock: 'latest'
+    });
+  } catch (error) {
+    return fallback(`Could not read TextChanged logs: ${error.message}`);
+  }
+
+  // ethers v5 drops argument names for events with an indexed string; the key is argument 2
+  const keys = [...new Set(logs.map(log => TEXT_CHANGED_EVENTS.parseLog(log).args[2]))];
+
+  if (keys.length === 0) {
+    return fallback('Resolver emitted no TextChanged events for this name');
+  }
+
+  return { resolver: found.address, extended: found.extended, keys, source: 'events', reason: null };
+}
+
+/**
+ * Read every text record of a name
+ * Discovered keys are read in one Multicall3 batch; extended resolvers are read key by
+ * key through resolveRecord() so CCIP-Read works. Empty values are left out.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {Object} options - Options for discoverTextKeys, plus multicall3 and fetch
+ * @returns {Promise<Object>} - { name, resolver, source, keys, records: { key: value } }
+ */
+async function getTextRecords(provider, name, options = {}) {
+  const normalized = normalizeName(name);
+  const discovered = await discoverTextKeys(provider, normalized, options);
+  const records = {};
+
+  if (discovered.extended) {
+    const results = await Promise.all(discovered.keys.map(key =>
+      resolveRecord(provider, normalized, 'text', [key], options).catch(() => null)
+    ));
+    discovered.keys.forEach((key, index) => {
+      if (results[index] && results[index].value) {
+        records[key] = results[index].value;
+      }
+    });
+  } else if (discovered.keys.length > 0) {
+    const results = await aggregate3(provider, discovered.keys.map(key => ({
+      target: discovered.resolver,
+      callData: encodeRecordCall(normalized, 'text', [key])
+    })), { multicall3: options.multicall3 });
+
+    discovered.keys.forEach((key, index) => {
+      if (!results[index].success) return;
+      try {
+        const value = decodeRecordResult('text', results[index].returnData);
+        if (value) records[key] = value;
+      } catch (error) {
+        // Not a text() response (e.g., the resolver lacks the profile)
+      }
+    });
+  }
+
+  return {
+    name: normalized,
+    resolver: discovered.resolver,
+    source: discovered.source,
+    keys: discovered.keys,
+    records
+  };
+}
+
+module.exports = {
+  DEFAULT_TEXT_KEYS,
+  discoverTextKeys,
+  getTextRecords
+};
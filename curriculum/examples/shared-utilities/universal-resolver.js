@@ -0,0 +1,110 @@
+// UniversalResolver Resolution
+// Single-call resolution through the UniversalResolver, with CCIP-Read for offchain/L2 names
+
+const { ethers } = require('ethers');
+const { detectNetwork } = require('./networks');
+const { normalizeName } = require('./ens-helpers');
+const { encodeRecordCall, decodeRecordResult } = require('./resolution');
+const { ccipCall } = require('./ccip-read');
+
+// Covers both the 2023 UniversalResolver and the newer error signatures
+const UNIVERSAL_RESOLVER_ABI = [
+  'function resolve(bytes name, bytes data) view returns (bytes, address)',
+  'error ResolverNotFound()',
+  'error ResolverNotFound(bytes name)',
+  'error ResolverWildcardNotSupported()',
+  'error ResolverNotContract(bytes name, address resolver)',
+  'error UnsupportedResolverProfile(bytes4 selector)',
+  'error ResolverError(bytes returnData)',
+  'error HttpError((uint16 status, string message)[] errors)',
+  'error HttpError(uint16 status, string message)'
+];
+
+const universalResolverInterface = new ethers.utils.Interface(UNIVERSAL_RESOLVER_ABI);
+
+// Errors that simply mean "this name has no such record"
+const EMPTY_RESULT_ERRORS = [
+  'ResolverNotFound',
+  'ResolverWildcardNotSupported',
+  'ResolverNotContract',
+  'UnsupportedResolverProfile'
+];
+
+/**
+ * Get the UniversalResolver address to use for a provider
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {Object} options - Options that may carry an explicit address
+ * @returns {Promise<string>} - UniversalResolver address
+ */
+async function getUniversalResolverAddress(provider, options = {}) {
+  if (options.universalResolver) return options.universalResolver;
+  const network = await detectNetwork(provider);
+  if (!network.contracts.universalResolver) {
+    throw new Error(`No UniversalResolver registered for ${network.name}`);
+  }
+  return network.contracts.universalResolver;
+}
+
+/**
+ * Resolve a record through the UniversalResolver
+ * The UniversalResolver finds the resolver (including ENSIP-10 wildcards) and,
+ * for offchain names, reverts with OffchainLookup; ccipCall follows the gateway
+ * and calls back into the UniversalResolver, which verifies the response.
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @param {string} name - ENS name
+ * @param {string} record - Record type: 'addr', 'text', 'contenthash' or 'name'
+ * @param {Array} args - Extra arguments after the node (e.g., the key for 'text')
+ * @param {Object} options - Resolution options
+ * @param {string} options.universalResolver - UniversalResolver address (defaults to the detected network's)
+ * @param {Function} options.fetch - fetch-compatible function used for CCIP-Read gateways
+ * @param {number} options.maxLookups - Maximum chained OffchainLookups
+ * @returns {Promise<Object>} - { name, record, value, resolver, via }
+ */
+async function resolveWithUniversalResolver(provider, name, record, args = [], options = {}) {
+  const normalized = normalizeName(name);
+  const universalResolver = await getUniversalResolverAddress(provider, options);
+  const data = universalResolverInterface.encodeFunctionData('resolve', [
+    ethers.utils.dnsEncode(normalized),
+    encodeRecordCall(normalized, record, args)
+  ]);
+
+  const result = {
+    name: normalized,
+    record,
+    value: null,
+    resolver: null,
+    via: 'universalResolver'
+  };
+
+  const returned = await ccipCall(provider, { to: universalResolver, data }, options);
+
+  let decoded;
+  try {
+    decoded = universalResolverInterface.decodeFunctionResult('resolve', returned);
+  } catch (error) {
+    let parsed;
+    try {
+      parsed = universalResolverInterface.parseError(returned);
+    } catch (parseError) {
+      throw error;
+    }
+
+    if (EMPTY_RESULT_ERRORS.includes(parsed.name)) {
+      return result;
+    }
+    if (parsed.name === 'ResolverError') {
+      throw new Error(`Resolver reverted while resolving ${normalized}: ${parsed.args.returnData}`);
+    }
+    throw new Error(`UniversalResolver error ${parsed.signature} while resolving ${normalized}`);
+  }
+
+  const [resolvedData, resolverAddress] = decoded;
+
+  result.resolver = resolverAddress;
+  result.value = decodeRecordResult(record, resolvedData);
+  return result;
+}
+
+module.exports = {
+  resolveWithUniversalResolver
+};
@@ -3,6 +3,12 @@ require('dotenv').config();
 // This example demonstrates advanced ENS operations and gas optimization techniques
 
 const { ethers } = require('ethers');
+const { detectNetwork } = require('../../../examples/shared-utilities/networks');
+require('../../../examples/shared-utilities/local-deployment');
+const { resolveRecord, batchResolveRecords } = require('../../../examples/shared-utilities/resolution');
+const { setRecords } = require('../../../examples/shared-utilities/record-updates');
+const { ENSEventIndexer } = require('../../../examples/shared-utilities/event-indexer');
+const { getTextRecords } = require('../../../examples/shared-utilities/text-records');
 
 class ENSAdvancedOperations {
   constructor(providerUrl, privateKey = null) {
@@ -11,6 +17,16 @@ class ENSAdvancedOperations {
     if (privateKey || process.env.PRIVATE_KEY) {
       this.signer = new ethers.Wallet(privateKey || process.env.PRIVATE_KEY, this.provider);
     }
+    
+    this.network = null;
+  }
+
+  // Contract addresses for the provider's chain (detected once)
+  async getContracts() {
+    if (!this.network) {
+      this.network = await detectNetwork(this.provider);
+    }
+    return this.network.contracts;
   }
 
   // Calculate namehash (same as basic example)
@@ -33,50 +49,33 @@ class ENSAdvancedOperations {
   }
 
   // Batch resolve multiple ENS names
-  async batchResolve(names) {
-    const nameHashes = names.map(name => this.namehash(name));
-    
-    // Create multicall data
-    const multicallData = nameHashes.map(nameHash => ({
-      target: '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41', // Public Resolver
-      callData: new ethers.utils.Interface([
-        'function addr(bytes32 node) view returns (address)'
-      ]).encodeFunctionData('addr', [nameHash])
-    }));
-
-    // Note: This would require a multicall contract for actual batching
-    // For demonstration, we'll resolve sequentially with concurrency
-    const results = await Promise.allSettled(
-      names.map(async (name) => {
-        try {
-          const nameHash = this.namehash(name);
-          const resolver = new ethers.Contract(
-            '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
-            ['function addr(bytes32 node) view returns (address)'],
-            this.provider
-          );
-          const address = await resolver.addr(nameHash);
-          return { name, address, success: true };
-        } catch (error) {
-          return { name, error: error.message, success: false };
-        }
-      })
-    );
+  // Registry lookups, interface checks and addr reads are each packed into
+  // Multicall3 aggregate3 calls, so 1,000 names take a handful of RPC round trips
+  async batchResolve(names, options = {}) {
+    const contracts = await this.getContracts();
+    const resolutions = await batchResolveRecords(this.provider, names, 'addr', [], {
+      registry: contracts.registry,
+      multicall3: contracts.multicall3,
+      ...options
+    });
 
-    return results.map(result => 
-      result.status === 'fulfilled' ? result.value : result.reason
-    );
+    return resolutions.map((resolution, index) => (
+      resolution.error
+        ? { name: names[index], error: resolution.error, success: false }
+        : { name: names[index], address: resolution.value || ethers.constants.AddressZero, success: true }
+    ));
   }
 
   // Estimate gas for ENS operations
   async estimateGas(operation, params) {
     try {
+      const contracts = await this.getContracts();
       let gasEstimate;
       
       switch (operation) {
         case 'setAddr':
           const resolverContractForAddr = new ethers.Contract(
-            '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
+            contracts.publicResolver,
             ['function setAddr(bytes32 node, address addr)'],
             this.signer
           );
@@ -88,7 +87,7 @@ class ENSAdvancedOperations {
           
         case 'setText':
           const resolverContractForText = new ethers.Contract(
-            '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
+            contracts.publicResolver,
             ['function setText(bytes32 node, string key, string value)'],
             this.signer
           );
@@ -125,60 +124,35 @@ class ENSAdvancedOperations {
     return ethers.utils.formatEther(cost);
   }
 
-  // Gas-optimized batch text record setting
-  async batchSetTextRecords(name, records) {
-    if (!this.signer) {
+  // Write any mix of records (text, addr/multicoin, contenthash, ABI, pubkey) in one
+  // resolver multicall transaction. Records already holding the new value are skipped,
+  // and the whole update lands atomically, so a profile is never left half-updated.
+  // Pass { dryRun: true } to see what would change without sending anything.
+  async batchSetRecords(name, records, options = {}) {
+    if (!this.signer && !options.dryRun) {
       throw new Error('Private key required for write operations');
     }
 
-    const nameHash = this.namehash(name);
-    const resolver = new ethers.Contract(
-      '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
-      ['function setText(bytes32 node, string key, string value)'],
-      this.signer
-    );
+    const contracts = await this.getContracts();
+    const report = await setRecords(this.signer || this.provider.getSigner(), name, records, {
+      registry: contracts.registry,
+      ...options
+    });
 
-    // Execute in batches to optimize gas
-    const batchSize = 3; // Limit concurrent transactions
-    const batches = [];
-    
-    for (let i = 0; i < records.length; i += batchSize) {
-      batches.push(records.slice(i, i + batchSize));
+    if (report.failed > 0) {
+      console.error(`Record update for ${name} reverted; no records were changed`);
     }
 
-    const results = [];
-    
-    for (const batch of batches) {
-      const batchPromises = batch.map(async (record) => {
-        try {
-          const tx = await resolver.setText(nameHash, record.key, record.value);
-          const receipt = await tx.wait();
-          return {
-            key: record.key,
-            value: record.value,
-            txHash: tx.hash,
-            gasUsed: receipt.gasUsed.toString(),
-            success: true
-          };
-        } catch (error) {
-          return {
-            key: record.key,
-            error: error.message,
-            success: false
-          };
-        }
-      });
-      
-      const batchResults = await Promise.allSettled(batchPromises);
-      results.push(...batchResults.map(result => 
-        result.status === 'fulfilled' ? result.value : result.reason
-      ));
-      
-      // Small delay between batches to avoid network congestion
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    return report;
+  }
 
-    return results;
+  // Set many text records at once (one transaction, unchanged keys skipped)
+  async batchSetTextRecords(name, records, options = {}) {
+    return this.batchSetRecords(
+      name,
+      records.map(record => ({ type: 'text', key: record.key, value: record.value })),
+      options
+    );
   }
 
   // Comprehensive ENS name analysis
@@ -193,23 +167,21 @@ class ENSAdvancedOperations {
       
       let address = null;
       let textRecords = {};
+      let textRecordSource = null;
       
       if (resolverAddress !== ethers.constants.AddressZero) {
         try {
           address = await this.resolveAddress(name);
           
-          // Common text records to check
-          const textKeys = ['email', 'url', 'avatar', 'com.twitter', 'com.github'];
-          const textPromises = textKeys.map(key => 
-            this.getTextRecord(name, key).catch(() => null)
-          );
-          const textValues = await Promise.all(textPromises);
-          
-          textKeys.forEach((key, index) => {
-            if (textValues[index]) {
-              textRecords[key] = textValues[index];
-            }
+          // Every key set on the resolver (from TextChanged logs), read in one batch;
+          // a list of common keys is probed when the logs can't tell
+          const contracts = await this.getContracts();
+          const text = await getTextRecords(this.provider, name, {
+            registry: contracts.registry,
+            multicall3: contracts.multicall3
           });
+          textRecords = text.records;
+          textRecordSource = text.source;
           
         } catch (error) {
           console.warn(`Could not resolve additional data for ${name}:`, error.message);
@@ -223,6 +195,7 @@ class ENSAdvancedOperations {
         resolver: resolverAddress,
         address,
         textRecords,
+        textRecordSource,
         hasResolver: resolverAddress !== ethers.constants.AddressZero,
         resolved: address !== null
       };
@@ -236,10 +209,26 @@ class ENSAdvancedOperations {
     }
   }
 
+  // History of a name from registry, resolver and registrar events
+  // The index lives in options.store (default .ens-events.json) and each call only
+  // scans blocks added since the previous one
+  async getNameHistory(name, options = {}) {
+    await this.getContracts();
+    const indexer = options.indexer || new ENSEventIndexer(this.provider, {
+      names: [name],
+      network: this.network,
+      ...options
+    });
+
+    await indexer.sync();
+    return indexer.getHistory(name, options);
+  }
+
   // Helper methods (same as basic example)
   async getOwner(name) {
+    const contracts = await this.getContracts();
     const registry = new ethers.Contract(
-      '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+      contracts.registry,
       ['function owner(bytes32 node) view returns (address)'],
       this.provider
     );
@@ -247,30 +236,26 @@ class ENSAdvancedOperations {
   }
 
   async getResolver(name) {
+    const contracts = await this.getContracts();
     const registry = new ethers.Contract(
-      '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+      contracts.registry,
       ['function resolver(bytes32 node) view returns (address)'],
       this.provider
     );
     return await registry.resolver(this.namehash(name));
   }
 
+  // Reads go through the name's own resolver (ENSIP-10 wildcard aware)
   async resolveAddress(name) {
-    const resolver = new ethers.Contract(
-      '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
-      ['function addr(bytes32 node) view returns (address)'],
-      this.provider
-    );
-    return await resolver.addr(this.namehash(name));
+    const contracts = await this.getContracts();
+    const result = await resolveRecord(this.provider, name, 'addr', [], { registry: contracts.registry });
+    return result.value || ethers.constants.AddressZero;
   }
 
   async getTextRecord(name, key) {
-    const resolver = new ethers.Contract(
-      '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
-      ['function text(bytes32 node, string key) view returns (string)'],
-      this.provider
-    );
-    return await resolver.text(this.namehash(name), key);
+    const contracts = await this.getContracts();
+    const result = await resolveRecord(this.provider, name, 'text', [key], { registry: contracts.registry });
+    return result.value || '';
   }
 }
 
@@ -296,7 +281,34 @@ async function demonstrateAdvancedOperations() {
   const analysis = await ens.analyzeENSName(process.env.TEST_ENS_NAME || 'vitalik.eth');
   console.log(JSON.stringify(analysis, null, 2));
   
-  console.log('\n3. Gas Estimation Example:');
+  console.log('\n3. Record Update Preview (dry run):');
+  const preview = await ens.batchSetRecords(process.env.TEST_ENS_NAME || 'vitalik.eth', [
+    { type: 'text', key: 'url', value: 'https://ens.domains' },
+    { type: 'text', key: 'com.twitter', value: 'ensdomains' },
+    { type: 'addr', coin: 'btc', value: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' }
+  ], { dryRun: true }).catch(error => ({ error: error.message }));
+  if (preview.error) {
+    console.log('Could not preview:', preview.error);
+  } else {
+    preview.results.forEach(result => console.log(`${result.label}: ${result.status}`));
+  }
+  
+  console.log('\n4. Name History:');
+  // Indexing from genesis takes a while on mainnet; by default only recent blocks are scanned
+  const latestBlock = await ens.provider.getBlockNumber();
+  const history = await ens.getNameHistory(process.env.TEST_ENS_NAME || 'vitalik.eth', {
+    fromBlock: Number(process.env.INDEX_FROM_BLOCK || Math.max(0, latestBlock - 10000))
+  }).catch(error => ({ error: error.message }));
+  if (history.error) {
+    console.log('Could not index:', history.error);
+  } else {
+    history.forEach(entry => {
+      const { type, date, blockNumber, transactionHash, ...details } = entry;
+      console.log(`${date} #${blockNumber} ${type}`, JSON.stringify(details));
+    });
+  }
+  
+  console.log('\n5. Gas Estimation Example:');
   // Note: This would require a signer for actual gas estimation
   console.log('Gas estimation requires a connected wallet with ENS ownership');
 }
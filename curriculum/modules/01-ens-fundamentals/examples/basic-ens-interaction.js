@@ -3,12 +3,14 @@ require('dotenv').config();
 // This example demonstrates basic interaction with ENS smart contracts
 
 const { ethers } = require('ethers');
-
-// ENS Contract Addresses (Mainnet)
-const ENS_ADDRESSES = {
-  REGISTRY: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
-  PUBLIC_RESOLVER: '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41'
-};
+const { detectNetwork } = require('../../../examples/shared-utilities/networks');
+const { normalizeName } = require('../../../examples/shared-utilities/ens-helpers');
+require('../../../examples/shared-utilities/local-deployment');
+const { resolveRecord, resolveCoinAddress } = require('../../../examples/shared-utilities/resolution');
+const { getCoinType, encodeCoinAddress } = require('../../../examples/shared-utilities/coin-types');
+const { resolveWithUniversalResolver } = require('../../../examples/shared-utilities/universal-resolver');
+const { reverseResolve, batchLookupAddresses, setPrimaryName, clearPrimaryName } = require('../../../examples/shared-utilities/reverse-resolution');
+const { getWritableResolver } = require('../../../examples/shared-utilities/record-updates');
 
 // ENS Registry ABI (simplified for demonstration)
 const ENS_REGISTRY_ABI = [
@@ -23,30 +25,50 @@ const ENS_REGISTRY_ABI = [
 const PUBLIC_RESOLVER_ABI = [
   'function addr(bytes32 node) view returns (address)',
   'function setAddr(bytes32 node, address addr)',
+  'function addr(bytes32 node, uint256 coinType) view returns (bytes)',
+  'function setAddr(bytes32 node, uint256 coinType, bytes a)',
   'function text(bytes32 node, string key) view returns (string)',
   'function setText(bytes32 node, string key, string value)'
 ];
 
 class ENSInteraction {
-  constructor(providerUrl, privateKey = null) {
+  // options.fetch: fetch-compatible function for CCIP-Read gateways (defaults to global fetch)
+  constructor(providerUrl, privateKey = null, options = {}) {
     this.provider = new ethers.providers.JsonRpcProvider(providerUrl || (process.env.RPC_URL || 'http://127.0.0.1:8545'));
     
     if (privateKey || process.env.PRIVATE_KEY) {
       this.signer = new ethers.Wallet(privateKey || process.env.PRIVATE_KEY, this.provider);
     }
     
-    // Initialize contract instances
-    this.registry = new ethers.Contract(
-      ENS_ADDRESSES.REGISTRY,
-      ENS_REGISTRY_ABI,
-      (privateKey || process.env.PRIVATE_KEY) ? this.signer : this.provider
-    );
+    this.ccipFetch = options.fetch;
+    this.network = null;
+    this.contractsReady = null;
+  }
+
+  // Initialize contract instances for the provider's chain (runs once)
+  async loadContracts() {
+    if (!this.contractsReady) {
+      this.contractsReady = detectNetwork(this.provider).then((network) => {
+        this.network = network;
+        
+        this.registry = new ethers.Contract(
+          network.contracts.registry,
+          ENS_REGISTRY_ABI,
+          this.signer || this.provider
+        );
+        
+        this.resolver = new ethers.Contract(
+          network.contracts.publicResolver,
+          PUBLIC_RESOLVER_ABI,
+          this.signer || this.provider
+        );
+      }).catch((error) => {
+        this.contractsReady = null;
+        throw error;
+      });
+    }
     
-    this.resolver = new ethers.Contract(
-      ENS_ADDRESSES.PUBLIC_RESOLVER,
-      PUBLIC_RESOLVER_ABI,
-      (privateKey || process.env.PRIVATE_KEY) ? this.signer : this.provider
-    );
+    return this.contractsReady;
   }
 
   // Convert ENS name to namehash
@@ -71,6 +93,7 @@ class ENSInteraction {
   // Get owner of an ENS name
   async getOwner(name) {
     try {
+      await this.loadContracts();
       const nameHash = this.namehash(name);
       const owner = await this.registry.owner(nameHash);
       return owner;
@@ -83,6 +106,7 @@ class ENSInteraction {
   // Get resolver for an ENS name
   async getResolver(name) {
     try {
+      await this.loadContracts();
       const nameHash = this.namehash(name);
       const resolver = await this.registry.resolver(nameHash);
       return resolver;
@@ -92,39 +116,165 @@ class ENSInteraction {
     }
   }
 
+  // Resolve any record through the name's own resolver (ENSIP-10 wildcard aware)
+  // Returns the value plus which resolver answered and how it was found
+  async resolve(name, record = 'addr', args = []) {
+    try {
+      await this.loadContracts();
+      return await resolveRecord(this.provider, name, record, args, {
+        registry: this.network.contracts.registry,
+        fetch: this.ccipFetch
+      });
+    } catch (error) {
+      console.error(`Error resolving ${record} record:`, error);
+      throw error;
+    }
+  }
+
+  // Resolve through the UniversalResolver in a single call
+  // Works for offchain/L2 names (e.g. cb.id subnames) by following CCIP-Read gateways
+  async resolveUniversal(name, record = 'addr', args = []) {
+    try {
+      await this.loadContracts();
+      return await resolveWithUniversalResolver(this.provider, name, record, args, {
+        universalResolver: this.network.contracts.universalResolver,
+        fetch: this.ccipFetch
+      });
+    } catch (error) {
+      console.error(`Error resolving ${record} record via UniversalResolver:`, error);
+      throw error;
+    }
+  }
+
   // Resolve ENS name to Ethereum address
   async resolveAddress(name) {
+    const result = await this.resolve(name, 'addr');
+    return result.value || ethers.constants.AddressZero;
+  }
+
+  // Resolve an ENS name to an address on any chain (ENSIP-9/11)
+  // coin is a coin type (0, 501, 2147492101) or name ('btc', 'sol', 'base')
+  async getAddress(name, coin = 'eth') {
     try {
-      const nameHash = this.namehash(name);
-      const address = await this.resolver.addr(nameHash);
-      return address;
+      await this.loadContracts();
+      const result = await resolveCoinAddress(this.provider, name, coin, {
+        registry: this.network.contracts.registry,
+        fetch: this.ccipFetch
+      });
+      return result.value;
     } catch (error) {
-      console.error('Error resolving address:', error);
+      console.error(`Error resolving ${coin} address:`, error);
       throw error;
     }
   }
 
   // Get text record from ENS name
   async getTextRecord(name, key) {
+    const result = await this.resolve(name, 'text', [key]);
+    return result.value || '';
+  }
+
+  // Reverse-resolve an address to its primary name
+  // The name is only returned if it resolves forward to the same address
+  async reverseResolve(address) {
     try {
-      const nameHash = this.namehash(name);
-      const text = await this.resolver.text(nameHash, key);
-      return text;
+      await this.loadContracts();
+      return await reverseResolve(this.provider, address, {
+        registry: this.network.contracts.registry,
+        fetch: this.ccipFetch
+      });
     } catch (error) {
-      console.error('Error getting text record:', error);
+      console.error('Error reverse resolving address:', error);
       throw error;
     }
   }
 
-  // Set address for ENS name (requires ownership)
-  async setAddress(name, address) {
+  // Get the verified primary name for an address, or null
+  async lookupAddress(address) {
+    const result = await this.reverseResolve(address);
+    return result.name;
+  }
+
+  // Get verified primary names for a list of addresses
+  async lookupAddresses(addresses) {
+    await this.loadContracts();
+    return batchLookupAddresses(this.provider, addresses, {
+      registry: this.network.contracts.registry,
+      fetch: this.ccipFetch
+    });
+  }
+
+  // Set the signer's primary name (reverse record) through the ReverseRegistrar
+  // Pass an address to set it for a contract/account the signer controls (setNameForAddr)
+  // The name must already resolve to that address, or the reverse record could never verify
+  async setPrimaryName(name, address = null) {
     if (!this.signer) {
       throw new Error('Private key required for write operations');
     }
 
     try {
-      const nameHash = this.namehash(name);
-      const tx = await this.resolver.setAddr(nameHash, address);
+      await this.loadContracts();
+      const tx = await setPrimaryName(this.signer, name, {
+        address,
+        registry: this.network.contracts.registry,
+        reverseRegistrar: this.network.contracts.reverseRegistrar,
+        resolver: this.network.contracts.publicResolver,
+        fetch: this.ccipFetch
+      });
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error setting primary name:', error);
+      throw error;
+    }
+  }
+
+  // Clear the signer's primary name (or that of an address it controls)
+  async clearPrimaryName(address = null) {
+    if (!this.signer) {
+      throw new Error('Private key required for write operations');
+    }
+
+    try {
+      await this.loadContracts();
+      const tx = await clearPrimaryName(this.signer, {
+        address,
+        reverseRegistrar: this.network.contracts.reverseRegistrar,
+        resolver: this.network.contracts.publicResolver
+      });
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error clearing primary name:', error);
+      throw error;
+    }
+  }
+
+  // Set an address on any chain for ENS name (requires ownership)
+  // setAddress(name, address) without a coin still sets the ETH address
+  async setAddress(name, coin, value) {
+    if (value === undefined) {
+      [coin, value] = ['eth', coin];
+    }
+
+    if (!this.signer) {
+      throw new Error('Private key required for write operations');
+    }
+
+    try {
+      // Encode first so a malformed address fails before any transaction is sent
+      const coinType = getCoinType(coin);
+      const encoded = encodeCoinAddress(coinType, value);
+
+      await this.loadContracts();
+      const normalized = normalizeName(name);
+      
+      // Write to the name's own resolver, the one getAddress reads from
+      const resolverAddress = await getWritableResolver(this.provider, normalized, {
+        registry: this.network.contracts.registry
+      });
+      const resolver = this.resolver.attach(resolverAddress);
+      const tx = await resolver['setAddr(bytes32,uint256,bytes)'](this.namehash(normalized), coinType, encoded);
       await tx.wait();
       return tx;
     } catch (error) {
@@ -140,6 +290,7 @@ class ENSInteraction {
     }
 
     try {
+      await this.loadContracts();
       const nameHash = this.namehash(name);
       const tx = await this.resolver.setText(nameHash, key, value);
       await tx.wait();
@@ -158,8 +309,9 @@ async function main() {
   
   try {
     // Example: Resolve vitalik.eth
-    const address = await ens.resolveAddress(process.env.TEST_ENS_NAME || 'vitalik.eth');
-    console.log((process.env.TEST_ENS_NAME || 'vitalik.eth') + ' resolves to:', address);
+    const resolution = await ens.resolve(process.env.TEST_ENS_NAME || 'vitalik.eth', 'addr');
+    console.log((process.env.TEST_ENS_NAME || 'vitalik.eth') + ' resolves to:', resolution.value);
+    console.log('Answered by resolver', resolution.resolver, resolution.wildcard ? `(wildcard via ${resolution.resolverName})` : '');
     
     // Example: Get owner
     const owner = await ens.getOwner(process.env.TEST_ENS_NAME || 'vitalik.eth');
@@ -169,6 +321,16 @@ async function main() {
     const twitter = await ens.getTextRecord(process.env.TEST_ENS_NAME || 'vitalik.eth', 'com.twitter');
     console.log('Twitter handle:', twitter);
     
+    // Example: Get the Bitcoin address (ENSIP-9 multicoin record)
+    const btc = await ens.getAddress(process.env.TEST_ENS_NAME || 'vitalik.eth', 'btc');
+    console.log('BTC address:', btc || 'not set');
+    
+    // Example: Reverse-resolve the address back to its primary name
+    if (resolution.value) {
+      const primary = await ens.reverseResolve(resolution.value);
+      console.log('Primary name of ' + resolution.value + ':', primary.name || `none (${primary.reason})`);
+    }
+    
   } catch (error) {
     console.error('ENS interaction failed:', error);
   }
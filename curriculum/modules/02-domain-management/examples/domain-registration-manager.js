@@ -4,13 +4,27 @@ require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
 // Complete example for .eth domain lifecycle management
 
 const { ethers } = require('ethers');
+const { validateLabel, detectNetwork, waitForBlockTimestamp } = require('../../../examples/shared-utilities/ens-helpers');
+require('../../../examples/shared-utilities/local-deployment');
+const { encodeRecordUpdates } = require('../../../examples/shared-utilities/record-updates');
+const { CommitmentJournal } = require('../../../examples/shared-utilities/commitment-journal');
+const { getWrappedStatus, wrapETH2LD, unwrapETH2LD, burnFuses: burnWrappedFuses } = require('../../../examples/shared-utilities/name-wrapper');
+const { GRACE_PERIOD, getEthUsdPrice, weiToUsd, projectPremium, withSlippage } = require('../../../examples/shared-utilities/price-oracle');
 
-// ENS Contract Addresses (Mainnet)
-const ENS_CONTRACTS = {
-  BASE_REGISTRAR: '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85',
-  ETH_CONTROLLER: '0x253553366Da8546fC250F225fe3d25d0C782303b',
-  PUBLIC_RESOLVER: '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41'
-};
+// The controller rejects second-level labels shorter than this
+const MIN_LABEL_LENGTH = 3;
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Chains where blocks are only mined on demand (local Hardhat node)
+const LOCAL_CHAIN_IDS = [31337];
+
+// Extra value sent with register/renew in case the ETH/USD feed moves before the
+// transaction lands; the controller refunds whatever is not needed
+const DEFAULT_SLIPPAGE_BPS = 300;
+
+// Typical register() gas with a resolver, a few records and a reverse record
+const REGISTER_GAS_FALLBACK = 300000;
 
 // ABIs (simplified for demonstration)
 const BASE_REGISTRAR_ABI = [
@@ -19,34 +33,74 @@ const BASE_REGISTRAR_ABI = [
   'function ownerOf(uint256 id) view returns (address)'
 ];
 
+// ETHRegistrarController (NameWrapper-era): registration takes resolver records,
+// the reverse record flag and fuses, and rentPrice returns { base, premium }
 const ETH_CONTROLLER_ABI = [
   'function available(string name) view returns (bool)',
-  'function rentPrice(string name, uint256 duration) view returns (uint256)',
-  'function makeCommitment(string name, address owner, uint256 secret) pure returns (bytes32)',
+  'function rentPrice(string name, uint256 duration) view returns (tuple(uint256 base, uint256 premium) price)',
+  'function makeCommitment(string name, address owner, uint256 duration, bytes32 secret, address resolver, bytes[] data, bool reverseRecord, uint16 ownerControlledFuses) pure returns (bytes32)',
   'function commit(bytes32 commitment)',
-  'function register(string name, address owner, uint256 duration, uint256 secret) payable',
+  'function commitments(bytes32 commitment) view returns (uint256)',
+  'function register(string name, address owner, uint256 duration, bytes32 secret, address resolver, bytes[] data, bool reverseRecord, uint16 ownerControlledFuses) payable',
   'function renew(string name, uint256 duration) payable',
   'function minCommitmentAge() view returns (uint256)',
   'function maxCommitmentAge() view returns (uint256)'
 ];
 
+// BulkRenewal: prices and renews many names in one transaction, refunding any excess
+const BULK_RENEWAL_ABI = [
+  'function rentPrice(string[] names, uint256 duration) view returns (uint256 total)',
+  'function renewAll(string[] names, uint256 duration) payable'
+];
+
+// Multicall3, used to send many commit() calls in one transaction
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
 class ENSDomainManager {
-  constructor(providerUrl, privateKey) {
+  // options.journal: CommitmentJournal for commit/reveal state (defaults to a JSON file, see commitment-journal.js)
+  constructor(providerUrl, privateKey, options = {}) {
     this.provider = new ethers.providers.JsonRpcProvider(providerUrl || (process.env.RPC_URL || 'http://127.0.0.1:8545'));
     this.signer = new ethers.Wallet(privateKey || process.env.PRIVATE_KEY, this.provider);
     
-    // Initialize contract instances
-    this.baseRegistrar = new ethers.Contract(
-      ENS_CONTRACTS.BASE_REGISTRAR,
-      BASE_REGISTRAR_ABI,
-      this.signer
-    );
+    this.journal = options.journal || new CommitmentJournal();
+    this.network = null;
+    this.contractsReady = null;
+  }
+
+  // Initialize contract instances for the provider's chain (runs once)
+  async loadContracts() {
+    if (!this.contractsReady) {
+      this.contractsReady = detectNetwork(this.provider).then((network) => {
+        this.network = network;
+        
+        this.baseRegistrar = new ethers.Contract(
+          network.contracts.baseRegistrar,
+          BASE_REGISTRAR_ABI,
+          this.signer
+        );
+        
+        this.ethController = new ethers.Contract(
+          network.contracts.ethRegistrarController,
+          ETH_CONTROLLER_ABI,
+          this.signer
+        );
+        
+        this.bulkRenewal = network.contracts.bulkRenewal
+          ? new ethers.Contract(network.contracts.bulkRenewal, BULK_RENEWAL_ABI, this.signer)
+          : null;
+        
+        this.multicall3 = network.contracts.multicall3
+          ? new ethers.Contract(network.contracts.multicall3, MULTICALL3_ABI, this.signer)
+          : null;
+      }).catch((error) => {
+        this.contractsReady = null;
+        throw error;
+      });
+    }
     
-    this.ethController = new ethers.Contract(
-      ENS_CONTRACTS.ETH_CONTROLLER,
-      ETH_CONTROLLER_ABI,
-      this.signer
-    );
+    return this.contractsReady;
   }
 
   // Convert domain name to token ID
@@ -59,6 +113,7 @@ class ENSDomainManager {
   // Check domain availability
   async checkAvailability(name) {
     try {
+      await this.loadContracts();
       const available = await this.ethController.available(name);
       return {
         name,
@@ -75,26 +130,74 @@ class ENSDomainManager {
     }
   }
 
-  // Get registration cost estimate
-  async getRegistrationCost(name, durationYears = 1) {
+  // Get a registration quote: base rent and premium in ETH and USD, the value to send
+  // (with a slippage buffer), gas from estimateGas, and the premium curve for released names
+  // options: slippageBps, premiumDays, plus buildRegistration options for the gas estimate
+  async getRegistrationCost(name, durationYears = 1, options = {}) {
     try {
-      const duration = durationYears * 365 * 24 * 60 * 60; // Convert to seconds
-      const cost = await this.ethController.rentPrice(name, duration);
+      await this.loadContracts();
+      const duration = Math.round(durationYears * SECONDS_PER_YEAR);
+      const slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+      
+      // Price and expiry are read for the normalized label, the token register() will mint
+      const validation = validateDomainName(name);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      const label = validation.normalized;
       
-      // Estimate gas costs
-      const gasPrice = await this.provider.getGasPrice();
-      const estimatedGas = 200000; // Rough estimate for registration
-      const gasCost = gasPrice.mul(estimatedGas);
+      const [price, expires, block, gasPrice, ethUsdPrice] = await Promise.all([
+        this.ethController.rentPrice(label, duration),
+        this.baseRegistrar.nameExpires(this.nameToTokenId(label)),
+        this.provider.getBlock('latest'),
+        this.provider.getGasPrice(),
+        // Not every deployment exposes the oracle's feed; quote in ETH only then
+        getEthUsdPrice(this.provider, this.ethController.address).catch(() => null)
+      ]);
+      
+      const cost = price.base.add(price.premium);
+      const value = withSlippage(cost, slippageBps);
       
+      const gas = await this.estimateRegistrationGas(label, durationYears, value, options);
+      const gasCost = gasPrice.mul(gas.total);
       const totalCost = cost.add(gasCost);
       
+      const toUsd = wei => (ethUsdPrice ? weiToUsd(wei, ethUsdPrice) : null);
+      
       return {
-        name,
+        name: label,
         duration: `${durationYears} year${durationYears > 1 ? 's' : ''}`,
+        baseCost: ethers.utils.formatEther(price.base),
+        premium: ethers.utils.formatEther(price.premium),
         registrationCost: ethers.utils.formatEther(cost),
+        value: ethers.utils.formatEther(value),
+        slippageBps,
+        gas: {
+          commit: gas.commit.toString(),
+          register: gas.register.toString(),
+          source: gas.source,
+          gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei')
+        },
         estimatedGasCost: ethers.utils.formatEther(gasCost),
         totalEstimatedCost: ethers.utils.formatEther(totalCost),
+        usd: ethUsdPrice && {
+          ethPrice: ethers.utils.formatUnits(ethUsdPrice, 8),
+          baseCost: toUsd(price.base),
+          premium: toUsd(price.premium),
+          registrationCost: toUsd(cost),
+          estimatedGasCost: toUsd(gasCost),
+          totalEstimatedCost: toUsd(totalCost)
+        },
+        premiumSchedule: ethUsdPrice ? projectPremium({
+          expires: expires.toNumber(),
+          now: block.timestamp,
+          ethUsdPrice,
+          days: options.premiumDays
+        }) : [],
+        baseCostWei: price.base,
+        premiumWei: price.premium,
         costWei: cost,
+        valueWei: value,
         gasCostWei: gasCost,
         totalCostWei: totalCost
       };
@@ -103,57 +206,210 @@ class ENSDomainManager {
     }
   }
 
-  // Register a domain with proper commitment flow
-  async registerDomain(name, owner, durationYears = 1) {
+  // Estimate commit and register gas with estimateGas on the real calls
+  // register() only simulates once a commitment is old enough, so it is estimated from a
+  // ready journaled commitment when there is one and falls back to a typical figure otherwise
+  async estimateRegistrationGas(name, durationYears, value, options = {}) {
+    await this.loadContracts();
+    const commit = await this.ethController.estimateGas.commit(ethers.utils.hexlify(ethers.utils.randomBytes(32)));
+    
+    // The journal is keyed by the normalized label, as registerDomain stores it
+    const validation = validateDomainName(name);
+    const entry = validation.valid
+      ? await this.journal.find(this.network.chainId, validation.normalized, options.owner || this.signer.address)
+      : null;
+    if (entry && (await this.getCommitmentStatus(entry)).status === 'ready') {
+      const registration = entry.registration;
+      try {
+        const register = await this.ethController.estimateGas.register(
+          registration.label,
+          registration.owner,
+          registration.duration,
+          registration.secret,
+          registration.resolver,
+          registration.data,
+          registration.reverseRecord,
+          registration.ownerControlledFuses,
+          { value }
+        );
+        return { commit, register, total: commit.add(register), source: 'estimateGas' };
+      } catch (error) {
+        // Fall through to the typical figure
+      }
+    }
+    
+    const register = ethers.BigNumber.from(REGISTER_GAS_FALLBACK);
+    return { commit, register, total: commit.add(register), source: 'fallback' };
+  }
+
+  // Registration parameters as the controller hashes them into the commitment
+  // options: resolver (defaults to the PublicResolver), records (see record-updates.js),
+  // reverseRecord (set the owner's primary name), ownerControlledFuses (NameWrapper fuses)
+  buildRegistration(label, owner, durationYears, options = {}) {
+    const resolver = options.resolver || this.network.contracts.publicResolver;
+    const records = options.records || [];
+    
+    if (records.length > 0 && resolver === ethers.constants.AddressZero) {
+      throw new Error('A resolver is required to set records during registration');
+    }
+    
+    return {
+      label,
+      owner: ethers.utils.getAddress(owner),
+      duration: Math.round(durationYears * SECONDS_PER_YEAR),
+      secret: options.secret || ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+      resolver,
+      data: encodeRecordUpdates(`${label}.eth`, records),
+      reverseRecord: Boolean(options.reverseRecord),
+      ownerControlledFuses: options.ownerControlledFuses || 0
+    };
+  }
+
+  // Hash registration parameters the same way the controller does
+  async makeCommitment(registration) {
+    await this.loadContracts();
+    return this.ethController.makeCommitment(
+      registration.label,
+      registration.owner,
+      registration.duration,
+      registration.secret,
+      registration.resolver,
+      registration.data,
+      registration.reverseRecord,
+      registration.ownerControlledFuses
+    );
+  }
+
+  // Where a journaled commitment stands, judged by block time:
+  // 'uncommitted' (commit tx never landed), 'waiting', 'ready' or 'expired'
+  async getCommitmentStatus(entry) {
+    await this.loadContracts();
+    const [committedAt, minAge, maxAge, block] = await Promise.all([
+      this.ethController.commitments(entry.commitment),
+      this.ethController.minCommitmentAge(),
+      this.ethController.maxCommitmentAge(),
+      this.provider.getBlock('latest')
+    ]);
+    
+    if (committedAt.eq(0)) {
+      return { status: 'uncommitted' };
+    }
+    
+    const readyAt = committedAt.add(minAge).toNumber();
+    const expiresAt = committedAt.add(maxAge).toNumber();
+    let status = 'ready';
+    if (block.timestamp >= expiresAt) {
+      status = 'expired';
+    } else if (block.timestamp < readyAt) {
+      status = 'waiting';
+    }
+    
+    return { status, committedAt: committedAt.toNumber(), readyAt, expiresAt, now: block.timestamp };
+  }
+
+  // Registrations committed but not yet completed on this chain (e.g. after a crash)
+  async listPendingRegistrations() {
+    await this.loadContracts();
+    const entries = await this.journal.list(this.network.chainId);
+    
+    return Promise.all(entries.map(async (entry) => ({
+      label: entry.label,
+      owner: entry.owner,
+      commitTxHash: entry.commitTxHash || null,
+      ...(await this.getCommitmentStatus(entry))
+    })));
+  }
+
+  // Register a domain with the commit/reveal flow
+  // The commitment (including its secret) is journaled before it is sent, so calling
+  // registerDomain again after an interruption resumes instead of starting over.
+  // options: see buildRegistration, plus timeTravel (skip the wait on a local node)
+  async registerDomain(name, owner, durationYears = 1, options = {}) {
     try {
+      await this.loadContracts();
       console.log(`Starting registration process for ${name}...`);
       
-      // Step 1: Check availability
-      const availability = await this.checkAvailability(name);
-      if (!availability.available) {
-        throw new Error(`Domain ${name} is not available for registration`);
+      const validation = validateDomainName(name);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      const label = validation.normalized;
+      const chainId = this.network.chainId;
+      
+      // Step 1: A registration that landed just before a crash leaves its journal entry behind;
+      // once the name belongs to the committed owner, clear the entry and report it as done
+      const landed = await this.findLandedRegistration(label, owner);
+      if (landed) {
+        return landed;
       }
       
-      // Step 2: Get cost estimate
-      const costInfo = await this.getRegistrationCost(name, durationYears);
-      console.log(`Estimated cost: ${costInfo.totalEstimatedCost} ETH`);
+      // Step 2: Check availability
+      const availability = await this.checkAvailability(label);
+      if (!availability.available) {
+        throw new Error(`Domain ${label} is not available for registration`);
+      }
       
-      // Step 3: Generate commitment
-      const salt = ethers.utils.randomBytes(32);
-      const commitment = await this.ethController.makeCommitment(name, owner, salt);
+      // Step 3: Resume a journaled commitment if it matches this request
+      const resumed = await this.resumeCommitment(label, owner, durationYears, options);
+      let entry = resumed && resumed.entry;
+      let registration = resumed && entry.registration;
+      if (resumed && resumed.status === 'uncommitted') {
+        entry = await this.sendCommitment(entry);
+      }
       
-      console.log('Submitting commitment...');
-      const commitTx = await this.ethController.commit(commitment);
-      await commitTx.wait();
-      console.log(`Commitment submitted: ${commitTx.hash}`);
+      // Step 4: Commit
+      if (!entry) {
+        registration = this.buildRegistration(label, owner, durationYears, options);
+        const commitment = await this.makeCommitment(registration);
+        
+        // Journal first: if the process dies after commit(), the secret is not lost
+        entry = await this.journal.save({ chainId, label, owner: registration.owner, commitment, registration });
+        entry = await this.sendCommitment(entry);
+      }
       
-      // Step 4: Wait for minimum commitment age
-      const minAge = await this.ethController.minCommitmentAge();
-      console.log(`Waiting ${minAge} seconds for commitment...`);
-      await new Promise(resolve => setTimeout(resolve, minAge * 1000));
+      // Step 5: Wait until the commitment is old enough, by block time
+      const status = await this.getCommitmentStatus(entry);
+      if (status.status === 'waiting') {
+        console.log(`Waiting ${status.readyAt - status.now} seconds (block time) for the commitment...`);
+        await waitForBlockTimestamp(this.provider, status.readyAt, {
+          timeTravel: options.timeTravel,
+          mine: LOCAL_CHAIN_IDS.includes(chainId)
+        });
+      } else if (status.status !== 'ready') {
+        throw new Error(`Commitment for ${label} is ${status.status}`);
+      }
       
-      // Step 5: Register the domain
-      const duration = durationYears * 365 * 24 * 60 * 60;
+      // Step 6: Register the domain (priced now, since the premium decays while waiting)
+      const price = await this.ethController.rentPrice(label, registration.duration);
+      const cost = price.base.add(price.premium);
+      const value = withSlippage(cost, options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps);
+      console.log(`Registration cost: ${ethers.utils.formatEther(cost)} ETH (base ${ethers.utils.formatEther(price.base)}, premium ${ethers.utils.formatEther(price.premium)})`);
       console.log('Registering domain...');
       
       const registerTx = await this.ethController.register(
-        name,
-        owner,
-        duration,
-        salt,
-        { value: costInfo.costWei }
+        registration.label,
+        registration.owner,
+        registration.duration,
+        registration.secret,
+        registration.resolver,
+        registration.data,
+        registration.reverseRecord,
+        registration.ownerControlledFuses,
+        { value }
       );
       
       const receipt = await registerTx.wait();
+      await this.journal.remove(entry);
       console.log(`Domain registered successfully: ${registerTx.hash}`);
       
       return {
-        name,
-        owner,
+        name: `${label}.eth`,
+        owner: registration.owner,
         transactionHash: registerTx.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
-        cost: costInfo
+        cost: ethers.utils.formatEther(cost),
+        valueSent: ethers.utils.formatEther(value)
       };
       
     } catch (error) {
@@ -162,33 +418,91 @@ class ENSDomainManager {
     }
   }
 
+  // Journaled registration for this label and owner that already completed: clears the entry
+  // and returns { name, owner, alreadyRegistered: true }, or null if there is nothing to clear
+  async findLandedRegistration(label, owner) {
+    const entry = await this.journal.find(this.network.chainId, label, owner);
+    if (!entry) return null;
+    
+    const info = await this.getDomainInfo(label);
+    if (!info.registered || !info.owner || ethers.utils.getAddress(info.owner) !== entry.registration.owner) {
+      return null;
+    }
+    
+    console.log(`${label}.eth is already registered to ${entry.registration.owner}; clearing its journal entry`);
+    await this.journal.remove(entry);
+    return { name: `${label}.eth`, owner: entry.registration.owner, alreadyRegistered: true };
+  }
+
+  // Journaled commitment for this label and owner that can still be used: { entry, status } or null
+  // Entries that expired or were made with different parameters are dropped
+  async resumeCommitment(label, owner, durationYears, options = {}) {
+    const entry = await this.journal.find(this.network.chainId, label, owner);
+    if (!entry) return null;
+    
+    const requested = this.buildRegistration(label, owner, durationYears, { ...options, secret: entry.registration.secret });
+    const status = await this.getCommitmentStatus(entry);
+    
+    if (status.status === 'expired') {
+      console.log(`Commitment for ${label} expired at ${new Date(status.expiresAt * 1000).toISOString()}; starting over`);
+      await this.journal.remove(entry);
+      return null;
+    }
+    if ((await this.makeCommitment(requested)) !== entry.commitment) {
+      console.log(`Journaled commitment for ${label} used different parameters; starting over`);
+      await this.journal.remove(entry);
+      return null;
+    }
+    
+    console.log(`Resuming registration of ${label} (commitment ${status.status})`);
+    return { entry, status: status.status };
+  }
+
+  // Send commit() for a journaled entry and record the transaction
+  async sendCommitment(entry) {
+    console.log('Submitting commitment...');
+    const commitTx = await this.ethController.commit(entry.commitment);
+    entry = await this.journal.save({ ...entry, commitTxHash: commitTx.hash });
+    await commitTx.wait();
+    console.log(`Commitment submitted: ${commitTx.hash}`);
+    return entry;
+  }
+
   // Renew a domain
-  async renewDomain(name, durationYears = 1) {
+  async renewDomain(name, durationYears = 1, options = {}) {
     try {
+      await this.loadContracts();
       console.log(`Renewing ${name} for ${durationYears} year${durationYears > 1 ? 's' : ''}...`);
       
+      const validation = validateDomainName(name);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      const label = validation.normalized;
+      
       // Check if domain exists and get current expiration
-      const tokenId = this.nameToTokenId(name);
+      const tokenId = this.nameToTokenId(label);
       const expiration = await this.baseRegistrar.nameExpires(tokenId);
       
       if (expiration.eq(0)) {
-        throw new Error(`Domain ${name} does not exist or has expired`);
+        throw new Error(`Domain ${label} does not exist or has expired`);
       }
       
-      // Get renewal cost
-      const duration = durationYears * 365 * 24 * 60 * 60;
-      const cost = await this.ethController.rentPrice(name, duration);
+      // Get renewal cost (no premium applies to renewals)
+      const duration = durationYears * SECONDS_PER_YEAR;
+      const { base: cost } = await this.ethController.rentPrice(label, duration);
+      const value = withSlippage(cost, options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps);
       
       console.log(`Renewal cost: ${ethers.utils.formatEther(cost)} ETH`);
       
       // Execute renewal
-      const renewTx = await this.ethController.renew(name, duration, { value: cost });
+      const renewTx = await this.ethController.renew(label, duration, { value });
       const receipt = await renewTx.wait();
       
       console.log(`Domain renewed successfully: ${renewTx.hash}`);
       
       return {
-        name,
+        name: label,
         duration: `${durationYears} year${durationYears > 1 ? 's' : ''}`,
         newExpiration: expiration.add(duration),
         transactionHash: renewTx.hash,
@@ -205,25 +519,40 @@ class ENSDomainManager {
   // Get domain information
   async getDomainInfo(name) {
     try {
-      const tokenId = this.nameToTokenId(name);
+      await this.loadContracts();
+      const validation = validateDomainName(name);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      const label = validation.normalized;
+      const tokenId = this.nameToTokenId(label);
       
-      const [available, expiration, owner] = await Promise.all([
-        this.ethController.available(name),
+      // Expiry is judged by block time, which runs ahead of the clock on a fast-forwarded node
+      const [available, expiration, owner, { timestamp: now }] = await Promise.all([
+        this.ethController.available(label),
         this.baseRegistrar.nameExpires(tokenId),
-        this.baseRegistrar.ownerOf(tokenId).catch(() => ethers.constants.AddressZero)
+        this.baseRegistrar.ownerOf(tokenId).catch(() => ethers.constants.AddressZero),
+        this.provider.getBlock('latest')
       ]);
       
-      const now = Math.floor(Date.now() / 1000);
+      // Wrapped names are held by the NameWrapper; the real owner and fuses live there
+      const wrapped = owner === ethers.utils.getAddress(this.network.contracts.nameWrapper)
+        ? await getWrappedStatus(this.provider, `${label}.eth`)
+        : null;
+      
       const isExpired = expiration.lt(now) && !expiration.eq(0);
       const daysUntilExpiration = expiration.eq(0) ? 0 : 
         Math.max(0, Math.floor((expiration.toNumber() - now) / (24 * 60 * 60)));
       
       return {
-        name,
+        name: label,
         tokenId: tokenId.toString(),
         available,
         registered: !available,
-        owner: owner === ethers.constants.AddressZero ? null : owner,
+        owner: wrapped ? wrapped.owner : (owner === ethers.constants.AddressZero ? null : owner),
+        wrapped: Boolean(wrapped),
+        fuses: wrapped ? wrapped.fuseNames : [],
+        wrapperState: wrapped ? wrapped.state : 'unwrapped',
         expiration: expiration.toNumber(),
         expirationDate: expiration.eq(0) ? null : new Date(expiration.toNumber() * 1000),
         daysUntilExpiration,
@@ -240,6 +569,73 @@ class ENSDomainManager {
     }
   }
 
+  // Wrap a .eth name the signer holds into the NameWrapper
+  // options: owner (wrapped owner), fuses (e.g. ['CANNOT_UNWRAP']), resolver
+  async wrapDomain(name, options = {}) {
+    try {
+      await this.loadContracts();
+      console.log(`Wrapping ${name}.eth...`);
+      
+      const wrapTx = await wrapETH2LD(this.signer, name, options);
+      const receipt = await wrapTx.wait();
+      console.log(`Domain wrapped successfully: ${wrapTx.hash}`);
+      
+      return {
+        ...(await getWrappedStatus(this.provider, `${name}.eth`)),
+        transactionHash: wrapTx.hash,
+        gasUsed: receipt.gasUsed.toString()
+      };
+      
+    } catch (error) {
+      console.error('Wrapping failed:', error);
+      throw error;
+    }
+  }
+
+  // Unwrap a .eth name back to the BaseRegistrar (impossible once CANNOT_UNWRAP is burned)
+  // options: registrant, controller (both default to the signer)
+  async unwrapDomain(name, options = {}) {
+    try {
+      await this.loadContracts();
+      console.log(`Unwrapping ${name}.eth...`);
+      
+      const unwrapTx = await unwrapETH2LD(this.signer, name, options);
+      const receipt = await unwrapTx.wait();
+      console.log(`Domain unwrapped successfully: ${unwrapTx.hash}`);
+      
+      return {
+        name: `${name}.eth`,
+        transactionHash: unwrapTx.hash,
+        gasUsed: receipt.gasUsed.toString()
+      };
+      
+    } catch (error) {
+      console.error('Unwrapping failed:', error);
+      throw error;
+    }
+  }
+
+  // Burn owner-controlled fuses on a wrapped name, e.g. ['CANNOT_UNWRAP', 'CANNOT_SET_RESOLVER']
+  // Burned fuses cannot be restored until the name expires
+  async burnFuses(name, fuses) {
+    try {
+      await this.loadContracts();
+      console.log(`Burning fuses on ${name}.eth: ${[].concat(fuses).join(', ')}...`);
+      
+      const fuseTx = await burnWrappedFuses(this.signer, `${name}.eth`, fuses);
+      await fuseTx.wait();
+      
+      const status = await getWrappedStatus(this.provider, `${name}.eth`);
+      console.log(`Fuses now burned on ${status.name}: ${status.fuseNames.join(', ')}`);
+      
+      return { ...status, transactionHash: fuseTx.hash };
+      
+    } catch (error) {
+      console.error('Burning fuses failed:', error);
+      throw error;
+    }
+  }
+
   // Bulk domain operations
   async bulkCheckAvailability(names) {
     const results = await Promise.allSettled(
@@ -247,7 +643,7 @@ class ENSDomainManager {
     );
     
     return results.map((result, index) => ({
-      ...names[index],
+      name: names[index],
       ...(result.status === 'fulfilled' ? result.value : { error: result.reason.message })
     }));
   }
@@ -259,11 +655,290 @@ class ENSDomainManager {
     );
     
     return results.map((result, index) => ({
-      ...names[index],
+      name: names[index],
       ...(result.status === 'fulfilled' ? result.value : { error: result.reason.message })
     }));
   }
 
+  // Register many names: a single Multicall3 transaction commits them all, then each
+  // name is registered once the shared wait is over. Commitments are journaled exactly
+  // as in registerDomain, so an interrupted batch resumes where it stopped.
+  // options: see registerDomain, plus dryRun (validate and price without sending anything)
+  async bulkRegister(names, owner, durationYears = 1, options = {}) {
+    try {
+      await this.loadContracts();
+      owner = ethers.utils.getAddress(owner);
+      const chainId = this.network.chainId;
+      const slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+      const results = [];
+      const pending = [];
+      const seen = new Set();
+      
+      // Step 1: Validate, check availability, price and prepare commitments
+      for (const name of names) {
+        const validation = validateDomainName(name);
+        if (!validation.valid) {
+          results.push({ name, status: 'invalid', error: validation.errors.join(', ') });
+          continue;
+        }
+        
+        const label = validation.normalized;
+        const result = { name: `${label}.eth`, status: 'pending' };
+        results.push(result);
+        
+        if (seen.has(label)) {
+          result.status = 'duplicate';
+          continue;
+        }
+        seen.add(label);
+        
+        try {
+          // Registered in an earlier run that stopped before clearing its journal entry
+          if (await this.findLandedRegistration(label, owner)) {
+            Object.assign(result, { status: 'registered', alreadyRegistered: true });
+            continue;
+          }
+          
+          if (!(await this.ethController.available(label))) {
+            result.status = 'unavailable';
+            continue;
+          }
+          
+          const registration = this.buildRegistration(label, owner, durationYears, options);
+          const price = await this.ethController.rentPrice(label, registration.duration);
+          result.costWei = price.base.add(price.premium);
+          result.cost = ethers.utils.formatEther(result.costWei);
+          
+          if (options.dryRun) {
+            result.status = 'planned';
+            continue;
+          }
+          
+          const resumed = await this.resumeCommitment(label, owner, durationYears, options);
+          if (resumed) {
+            pending.push({ result, entry: resumed.entry, committed: resumed.status !== 'uncommitted' });
+          } else {
+            const commitment = await this.makeCommitment(registration);
+            const entry = await this.journal.save({ chainId, label, owner, commitment, registration });
+            pending.push({ result, entry, committed: false });
+          }
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.reason || error.message;
+        }
+      }
+      
+      // Step 2: Commit everything not already on chain in one transaction
+      const toCommit = pending.filter(item => !item.committed);
+      let commitTxHash = null;
+      
+      if (toCommit.length > 0) {
+        if (!this.multicall3) {
+          throw new Error(`No Multicall3 registered for ${this.network.name}`);
+        }
+        
+        console.log(`Committing ${toCommit.length} name${toCommit.length > 1 ? 's' : ''} in one transaction...`);
+        const commitTx = await this.multicall3.aggregate3(toCommit.map(item => ({
+          target: this.ethController.address,
+          allowFailure: false,
+          callData: this.ethController.interface.encodeFunctionData('commit', [item.entry.commitment])
+        })));
+        commitTxHash = commitTx.hash;
+        
+        for (const item of toCommit) {
+          item.entry = await this.journal.save({ ...item.entry, commitTxHash });
+        }
+        await commitTx.wait();
+        console.log(`Commitments submitted: ${commitTxHash}`);
+      }
+      
+      // Step 3: Wait for the youngest commitment, by block time
+      const statuses = await Promise.all(pending.map(item => this.getCommitmentStatus(item.entry)));
+      const readyAt = Math.max(0, ...statuses.filter(status => status.status === 'waiting').map(status => status.readyAt));
+      
+      if (readyAt > 0) {
+        console.log(`Waiting ${readyAt - Math.min(...statuses.map(status => status.now))} seconds (block time) for the commitments...`);
+        await waitForBlockTimestamp(this.provider, readyAt, {
+          timeTravel: options.timeTravel,
+          mine: LOCAL_CHAIN_IDS.includes(chainId)
+        });
+      }
+      
+      // Step 4: Register each name (priced now, since premiums decay while waiting)
+      for (const [index, { result, entry }] of pending.entries()) {
+        const registration = entry.registration;
+        
+        if (!['waiting', 'ready'].includes(statuses[index].status)) {
+          result.status = 'failed';
+          result.error = `Commitment is ${statuses[index].status}`;
+          continue;
+        }
+        
+        try {
+          const price = await this.ethController.rentPrice(registration.label, registration.duration);
+          const cost = price.base.add(price.premium);
+          
+          console.log(`Registering ${result.name} for ${ethers.utils.formatEther(cost)} ETH...`);
+          const registerTx = await this.ethController.register(
+            registration.label,
+            registration.owner,
+            registration.duration,
+            registration.secret,
+            registration.resolver,
+            registration.data,
+            registration.reverseRecord,
+            registration.ownerControlledFuses,
+            { value: withSlippage(cost, slippageBps) }
+          );
+          
+          const receipt = await registerTx.wait();
+          await this.journal.remove(entry);
+          
+          Object.assign(result, {
+            status: 'registered',
+            cost: ethers.utils.formatEther(cost),
+            costWei: cost,
+            transactionHash: registerTx.hash,
+            gasUsed: receipt.gasUsed.toString()
+          });
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.reason || error.message;
+        }
+      }
+      
+      const totalCostWei = results
+        .filter(result => ['planned', 'registered'].includes(result.status) && result.costWei)
+        .reduce((total, result) => total.add(result.costWei), ethers.BigNumber.from(0));
+      
+      return {
+        owner,
+        duration: `${durationYears} year${durationYears > 1 ? 's' : ''}`,
+        dryRun: Boolean(options.dryRun),
+        commitTxHash,
+        planned: results.filter(result => result.status === 'planned').length,
+        registered: results.filter(result => result.status === 'registered').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        skipped: results.filter(result => ['invalid', 'duplicate', 'unavailable'].includes(result.status)).length,
+        totalCost: ethers.utils.formatEther(totalCostWei),
+        totalCostWei,
+        results
+      };
+      
+    } catch (error) {
+      console.error('Bulk registration failed:', error);
+      throw error;
+    }
+  }
+
+  // Renew many names in a single BulkRenewal transaction
+  // Names that are unregistered or past their grace period are skipped, since one
+  // failing renewal would revert the whole batch.
+  // options: dryRun (price without sending anything), slippageBps
+  async bulkRenew(names, durationYears = 1, options = {}) {
+    try {
+      await this.loadContracts();
+      if (!this.bulkRenewal) {
+        throw new Error(`No BulkRenewal contract registered for ${this.network.name}`);
+      }
+      
+      const duration = Math.round(durationYears * SECONDS_PER_YEAR);
+      const slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+      const { timestamp: now } = await this.provider.getBlock('latest');
+      const results = [];
+      const renewable = [];
+      const seen = new Set();
+      
+      for (const name of names) {
+        const validation = validateDomainName(name);
+        if (!validation.valid) {
+          results.push({ name, status: 'invalid', error: validation.errors.join(', ') });
+          continue;
+        }
+        
+        const label = validation.normalized;
+        const result = { name: `${label}.eth`, label, status: 'pending' };
+        results.push(result);
+        
+        if (seen.has(label)) {
+          result.status = 'duplicate';
+          continue;
+        }
+        seen.add(label);
+        
+        try {
+          const expires = await this.baseRegistrar.nameExpires(this.nameToTokenId(label));
+          if (expires.eq(0)) {
+            result.status = 'not-registered';
+            continue;
+          }
+          if (expires.add(GRACE_PERIOD).lte(now)) {
+            result.status = 'released';
+            result.expiration = expires.toNumber();
+            continue;
+          }
+          
+          // No premium applies to renewals
+          const { base } = await this.ethController.rentPrice(label, duration);
+          Object.assign(result, {
+            expiration: expires.toNumber(),
+            newExpiration: expires.add(duration).toNumber(),
+            cost: ethers.utils.formatEther(base),
+            costWei: base
+          });
+          renewable.push(result);
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.reason || error.message;
+        }
+      }
+      
+      const labels = renewable.map(result => result.label);
+      const totalCostWei = labels.length > 0
+        ? await this.bulkRenewal.rentPrice(labels, duration)
+        : ethers.BigNumber.from(0);
+      let transactionHash = null;
+      
+      if (options.dryRun) {
+        renewable.forEach((result) => { result.status = 'planned'; });
+      } else if (labels.length > 0) {
+        console.log(`Renewing ${labels.length} name${labels.length > 1 ? 's' : ''} for ${ethers.utils.formatEther(totalCostWei)} ETH...`);
+        try {
+          const renewTx = await this.bulkRenewal.renewAll(labels, duration, { value: withSlippage(totalCostWei, slippageBps) });
+          await renewTx.wait();
+          transactionHash = renewTx.hash;
+          renewable.forEach((result) => {
+            result.status = 'renewed';
+            result.transactionHash = transactionHash;
+          });
+          console.log(`Names renewed successfully: ${transactionHash}`);
+        } catch (error) {
+          renewable.forEach((result) => {
+            result.status = 'failed';
+            result.error = error.reason || error.message;
+          });
+        }
+      }
+      
+      return {
+        duration: `${durationYears} year${durationYears > 1 ? 's' : ''}`,
+        dryRun: Boolean(options.dryRun),
+        transactionHash,
+        planned: results.filter(result => result.status === 'planned').length,
+        renewed: results.filter(result => result.status === 'renewed').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        skipped: results.filter(result => ['invalid', 'duplicate', 'not-registered', 'released'].includes(result.status)).length,
+        totalCost: ethers.utils.formatEther(totalCostWei),
+        totalCostWei,
+        results: results.map(({ label, ...result }) => result)
+      };
+      
+    } catch (error) {
+      console.error('Bulk renewal failed:', error);
+      throw error;
+    }
+  }
+
   // Get account balance
   async getBalance() {
     const balance = await this.signer.getBalance();
@@ -272,32 +947,14 @@ class ENSDomainManager {
 }
 
 // Utility functions for domain validation
+// Validates a .eth label for registration using the shared ENSIP-15 rules
 function validateDomainName(name) {
-  const errors = [];
-  
-  // Check length
-  if (name.length < 3 || name.length > 63) {
-    errors.push('Domain name must be between 3 and 63 characters');
-  }
-  
-  // Check characters
-  if (!/^[a-z0-9-]+$/.test(name)) {
-    errors.push('Domain name can only contain lowercase letters, numbers, and hyphens');
-  }
-  
-  // Check starts/ends with alphanumeric
-  if (!/^[a-z0-9]/.test(name) || !/[a-z0-9]$/.test(name)) {
-    errors.push('Domain name must start and end with alphanumeric character');
-  }
-  
-  // Check consecutive hyphens
-  if (/--/.test(name)) {
-    errors.push('Domain name cannot contain consecutive hyphens');
-  }
+  const result = validateLabel(name, { minLength: MIN_LABEL_LENGTH });
   
   return {
-    valid: errors.length === 0,
-    errors
+    valid: result.valid,
+    errors: result.errors.map(error => `Domain name: ${error}`),
+    normalized: result.normalized || null
   };
 }
 
@@ -341,6 +998,15 @@ async function demonstrateDomainManagement() {
     const bulkResults = await manager.bulkCheckAvailability(bulkNames);
     console.log('Bulk results:', JSON.stringify(bulkResults, null, 2));
     
+    // 6. Bulk registration and renewal plans (dry run: nothing is sent)
+    console.log('\n6. Bulk Registration Plan (dry run):');
+    const plan = await manager.bulkRegister(bulkNames, manager.signer.address, 1, { dryRun: true });
+    console.log(`Would register ${plan.planned} names for ${plan.totalCost} ETH`);
+    
+    console.log('\n7. Bulk Renewal Plan (dry run):');
+    const renewal = await manager.bulkRenew(bulkNames, 1, { dryRun: true });
+    console.log(`Would renew ${renewal.planned} names for ${renewal.totalCost} ETH`);
+    
   } catch (error) {
     console.error('Demo failed:', error.message);
   }
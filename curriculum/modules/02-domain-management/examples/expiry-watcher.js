@@ -0,0 +1,453 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
+// Expiry Monitoring & Renewal Reminders
+// Watches a portfolio of .eth names, raises events/webhooks as they near expiry, and can auto-renew
+
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { detectNetwork } = require('../../../examples/shared-utilities/ens-helpers');
+const { GRACE_PERIOD } = require('../../../examples/shared-utilities/price-oracle');
+const { ENSDomainManager, validateDomainName } = require('./domain-registration-manager');
+
+const DAY = 24 * 60 * 60;
+
+const DEFAULT_THRESHOLDS = [90, 30, 7];
+
+// One check an hour is plenty for thresholds measured in days
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Topics per eth_getLogs request when looking up registration events
+const LOG_TOPIC_BATCH = 100;
+
+const BASE_REGISTRAR_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'function nameExpires(uint256 id) view returns (uint256)'
+];
+
+// Wrapped names are ERC-1155 tokens of the NameWrapper, with the namehash as token id
+const NAME_WRAPPER_EVENTS_ABI = [
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'event NameWrapped(bytes32 indexed node, bytes name, address owner, uint32 fuses, uint64 expiry)'
+];
+
+// NameRegistered as emitted by the current and the legacy controllers; both carry the plain label
+const CONTROLLER_EVENTS_ABI = [
+  'event NameRegistered(string name, bytes32 indexed label, address indexed owner, uint256 baseCost, uint256 premium, uint256 expires)',
+  'event NameRegistered(string name, bytes32 indexed label, address indexed owner, uint256 cost, uint256 expires)'
+];
+
+const controllerEventsInterface = new ethers.utils.Interface(CONTROLLER_EVENTS_ABI);
+
+// Decode a DNS wire-format name (as logged by NameWrapped) into its labels
+function decodeDnsName(data) {
+  const bytes = ethers.utils.arrayify(data);
+  const labels = [];
+  for (let offset = 0; offset < bytes.length && bytes[offset] !== 0; offset += bytes[offset] + 1) {
+    labels.push(ethers.utils.toUtf8String(bytes.slice(offset + 1, offset + 1 + bytes[offset])));
+  }
+  return labels;
+}
+
+class ENSExpiryWatcher extends EventEmitter {
+  // options:
+  //   names: labels or .eth names to watch; owner: also watch every name this address holds
+  //   thresholds: days before expiry to alert at (default 90/30/7); interval: ms between checks
+  //   webhooks: URLs that receive each alert as a JSON POST; fetch: fetch implementation
+  //   fromBlock: first block searched for the owner's names
+  //   autoRenew: { privateKey or manager, maxSpend (ETH), withinDays (default 30), durationYears (default 1) }
+  constructor(providerUrl, options = {}) {
+    super();
+    this.provider = new ethers.providers.JsonRpcProvider(providerUrl || (process.env.RPC_URL || 'http://127.0.0.1:8545'));
+
+    this.names = new Set((options.names || []).map(name => this.toLabel(name)));
+    this.owner = options.owner ? ethers.utils.getAddress(options.owner) : null;
+    this.thresholds = [...(options.thresholds || DEFAULT_THRESHOLDS)].sort((a, b) => a - b);
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.webhooks = options.webhooks || [];
+    this.fetch = options.fetch || globalThis.fetch;
+    this.fromBlock = options.fromBlock || 0;
+
+    if (this.webhooks.length > 0 && !this.fetch) {
+      throw new Error('Webhooks require a fetch implementation (pass options.fetch)');
+    }
+
+    this.autoRenew = null;
+    if (options.autoRenew) {
+      if (!options.autoRenew.maxSpend) {
+        throw new Error('Auto-renew needs a spending cap (autoRenew.maxSpend, in ETH)');
+      }
+      this.autoRenew = {
+        manager: options.autoRenew.manager || new ENSDomainManager(providerUrl, options.autoRenew.privateKey),
+        maxSpend: ethers.utils.parseEther(String(options.autoRenew.maxSpend)),
+        withinDays: options.autoRenew.withinDays || 30,
+        durationYears: options.autoRenew.durationYears || 1,
+        spent: ethers.BigNumber.from(0)
+      };
+    }
+
+    // Alerts already sent, keyed by label and expiry so a renewal re-arms them
+    this.sent = new Set();
+
+    // Owner discovery state: BaseRegistrar token ids (labelhash) and NameWrapper token ids
+    // (namehash) held, their labels (null for wrapped subnames), last block scanned
+    this.heldTokens = new Set();
+    this.heldWrapped = new Set();
+    this.tokenLabels = new Map();
+    this.unlabelledReported = new Set();
+    this.scannedTo = null;
+    this.timer = null;
+    this.checking = null;
+    this.contractsReady = null;
+  }
+
+  // Initialize contract instances for the provider's chain (runs once)
+  async loadContracts() {
+    if (!this.contractsReady) {
+      this.contractsReady = detectNetwork(this.provider).then((network) => {
+        this.network = network;
+        this.baseRegistrar = new ethers.Contract(network.contracts.baseRegistrar, BASE_REGISTRAR_ABI, this.provider);
+        this.nameWrapper = network.contracts.nameWrapper
+          ? new ethers.Contract(network.contracts.nameWrapper, NAME_WRAPPER_EVENTS_ABI, this.provider)
+          : null;
+      }).catch((error) => {
+        this.contractsReady = null;
+        throw error;
+      });
+    }
+
+    return this.contractsReady;
+  }
+
+  // Accept 'name', 'name.eth' or 'Name.eth' and return the normalized label
+  toLabel(name) {
+    const label = name.replace(/\.eth$/i, '');
+    const validation = validateDomainName(label);
+    if (!validation.valid) {
+      throw new Error(`Cannot watch ${name}: ${validation.errors.join(', ')}`);
+    }
+    return validation.normalized;
+  }
+
+  // Labels of .eth names the owner holds, unwrapped (BaseRegistrar) or wrapped (NameWrapper)
+  // Replays token transfers to and from the owner (incrementally between checks) rather than
+  // calling ownerOf, which reverts or returns zero once a name expires, so names in grace stay
+  // watched. Registrations through the NameWrapper-era controller leave the BaseRegistrar token
+  // with the wrapper, so the owner's wrapped tokens are followed too. Labels come from
+  // NameRegistered logs (unwrapped) and NameWrapped logs (wrapped); wrapped subnames are ignored.
+  async findOwnedNames(toBlock) {
+    await this.loadContracts();
+    const fromBlock = this.scannedTo === null ? this.fromBlock : this.scannedTo + 1;
+
+    if (fromBlock <= toBlock) {
+      const transfers = await this.findTransfers(fromBlock, toBlock);
+      for (const { held, tokenId, to } of transfers) {
+        if (to === this.owner) {
+          held.add(tokenId);
+        } else {
+          held.delete(tokenId);
+        }
+      }
+      this.scannedTo = toBlock;
+    }
+
+    await this.findLabels(
+      [...this.heldTokens].filter(tokenId => !this.tokenLabels.has(tokenId)),
+      toBlock,
+      Object.values(controllerEventsInterface.events).map(event => controllerEventsInterface.getEventTopic(event)),
+      null,
+      log => controllerEventsInterface.parseLog(log).args.name
+    );
+
+    if (this.nameWrapper) {
+      await this.findLabels(
+        [...this.heldWrapped].filter(tokenId => !this.tokenLabels.has(tokenId)),
+        toBlock,
+        [this.nameWrapper.interface.getEventTopic('NameWrapped')],
+        this.nameWrapper.address,
+        (log) => {
+          const labels = decodeDnsName(this.nameWrapper.interface.parseLog(log).args.name);
+          return labels.length === 2 && labels[1] === 'eth' ? labels[0] : null;
+        }
+      );
+    }
+
+    const labels = new Set();
+    for (const tokenId of [...this.heldTokens, ...this.heldWrapped]) {
+      if (this.tokenLabels.has(tokenId)) {
+        const label = this.tokenLabels.get(tokenId);
+        if (label !== null) labels.add(label);
+      } else if (!this.unlabelledReported.has(tokenId)) {
+        this.unlabelledReported.add(tokenId);
+        this.reportError(new Error(`No registration event found for token ${tokenId}; add its name to options.names`));
+      }
+    }
+    return [...labels];
+  }
+
+  // Token transfers to and from the owner between two blocks, oldest first, each tagged with
+  // the set of held tokens it updates
+  async findTransfers(fromBlock, toBlock) {
+    const registrar = this.baseRegistrar;
+    const wrapper = this.nameWrapper;
+    const [received, sent, wrappedSingle, wrappedBatch] = await Promise.all([
+      registrar.queryFilter(registrar.filters.Transfer(null, this.owner), fromBlock, toBlock),
+      registrar.queryFilter(registrar.filters.Transfer(this.owner), fromBlock, toBlock),
+      wrapper ? this.queryBothWays(wrapper, 'TransferSingle', fromBlock, toBlock) : [],
+      wrapper ? this.queryBothWays(wrapper, 'TransferBatch', fromBlock, toBlock) : []
+    ]);
+
+    const transfers = [];
+    for (const log of [...received, ...sent]) {
+      transfers.push({ log, held: this.heldTokens, tokenId: ethers.utils.hexZeroPad(log.args.tokenId.toHexString(), 32), to: log.args.to });
+    }
+    for (const log of wrappedSingle) {
+      transfers.push({ log, held: this.heldWrapped, tokenId: ethers.utils.hexZeroPad(log.args.id.toHexString(), 32), to: log.args.to });
+    }
+    for (const log of wrappedBatch) {
+      for (const id of log.args.ids) {
+        transfers.push({ log, held: this.heldWrapped, tokenId: ethers.utils.hexZeroPad(id.toHexString(), 32), to: log.args.to });
+      }
+    }
+
+    return transfers.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex);
+  }
+
+  // ERC-1155 transfer events received or sent by the owner (a transfer to self appears once)
+  async queryBothWays(contract, event, fromBlock, toBlock) {
+    const [received, sent] = await Promise.all([
+      contract.queryFilter(contract.filters[event](null, null, this.owner), fromBlock, toBlock),
+      contract.queryFilter(contract.filters[event](null, this.owner), fromBlock, toBlock)
+    ]);
+    const seen = new Set(received.map(log => `${log.transactionHash}:${log.logIndex}`));
+    return [...received, ...sent.filter(log => !seen.has(`${log.transactionHash}:${log.logIndex}`))];
+  }
+
+  // Look up labels for token ids from events indexed by the id (topic 1), in batches
+  async findLabels(tokenIds, toBlock, eventTopics, address, labelOf) {
+    for (let i = 0; i < tokenIds.length; i += LOG_TOPIC_BATCH) {
+      const logs = await this.provider.getLogs({
+        ...(address ? { address } : {}),
+        fromBlock: this.fromBlock,
+        toBlock,
+        topics: [eventTopics, tokenIds.slice(i, i + LOG_TOPIC_BATCH)]
+      });
+      for (const log of logs) {
+        this.tokenLabels.set(log.topics[1], labelOf(log));
+      }
+    }
+  }
+
+  // Where a name stands relative to its expiry, judged by block time
+  async getExpiryStatus(label, now) {
+    const expiration = (await this.baseRegistrar.nameExpires(ethers.utils.id(label))).toNumber();
+    const graceEndsAt = expiration + GRACE_PERIOD;
+
+    let status = 'active';
+    if (expiration === 0) {
+      status = 'unregistered';
+    } else if (now >= graceEndsAt) {
+      status = 'released';
+    } else if (now >= expiration) {
+      status = 'grace';
+    } else if (expiration - now <= this.thresholds[this.thresholds.length - 1] * DAY) {
+      status = 'expiring';
+    }
+
+    return {
+      name: `${label}.eth`,
+      label,
+      status,
+      expiration,
+      expirationDate: expiration === 0 ? null : new Date(expiration * 1000).toISOString(),
+      graceEndsAt: expiration === 0 ? null : graceEndsAt,
+      daysUntilExpiration: expiration === 0 ? null : Math.floor((expiration - now) / DAY)
+    };
+  }
+
+  // The alert a status calls for, if it has not been sent already for this expiry
+  nextAlert(info) {
+    let event = null;
+    let key = null;
+
+    if (info.status === 'expiring') {
+      // Only the most urgent threshold crossed, so a first check at 5 days sends the 7-day alert alone
+      const threshold = this.thresholds.find(days => info.expiration - info.now <= days * DAY);
+      event = 'expiring';
+      key = `${info.label}:${info.expiration}:${threshold}`;
+      info.threshold = threshold;
+    } else if (info.status === 'grace' || info.status === 'released') {
+      event = info.status;
+      key = `${info.label}:${info.expiration}:${info.status}`;
+    }
+
+    if (!event || this.sent.has(key)) return null;
+    return { event, key };
+  }
+
+  // Errors go to 'error' listeners; without one they are logged instead of thrown,
+  // so a failed check never takes down the process running the watcher
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Expiry watcher:', error.message);
+    }
+  }
+
+  // Emit an alert locally and POST it to every webhook
+  async alert(event, payload) {
+    this.emit(event, payload);
+
+    await Promise.all(this.webhooks.map(async (url) => {
+      try {
+        const response = await this.fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ event, ...payload })
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+      } catch (error) {
+        this.reportError(new Error(`Webhook ${url} failed for ${payload.name}: ${error.message}`));
+      }
+    }));
+  }
+
+  // Renew names due within autoRenew.withinDays (soonest first) until the spending cap is reached
+  async renewDue(statuses) {
+    const { manager, maxSpend, withinDays, durationYears } = this.autoRenew;
+    await manager.loadContracts();
+
+    const due = statuses
+      .filter(info => info.status === 'grace' || (info.status === 'expiring' && info.expiration - info.now <= withinDays * DAY))
+      .sort((a, b) => a.expiration - b.expiration);
+
+    const duration = Math.round(durationYears * 365 * DAY);
+    const selected = [];
+    let planned = this.autoRenew.spent;
+
+    for (const info of due) {
+      const { base } = await manager.ethController.rentPrice(info.label, duration);
+      if (planned.add(base).gt(maxSpend)) {
+        const key = `${info.label}:${info.expiration}:renewal-skipped`;
+        if (this.sent.has(key)) continue;
+        this.sent.add(key);
+        await this.alert('renewal-skipped', {
+          ...info,
+          reason: 'spending cap',
+          cost: ethers.utils.formatEther(base),
+          remaining: ethers.utils.formatEther(maxSpend.sub(this.autoRenew.spent))
+        });
+        continue;
+      }
+      planned = planned.add(base);
+      selected.push(info);
+    }
+
+    if (selected.length === 0) return;
+
+    const result = await manager.bulkRenew(selected.map(info => info.label), durationYears);
+    for (const [index, renewal] of result.results.entries()) {
+      if (renewal.status === 'renewed') {
+        this.autoRenew.spent = this.autoRenew.spent.add(renewal.costWei);
+        await this.alert('renewed', { ...selected[index], ...renewal });
+      } else {
+        // Renewal is retried every check, but a persistent failure is reported once per expiry
+        const key = `${selected[index].label}:${selected[index].expiration}:renewal-failed`;
+        if (this.sent.has(key)) continue;
+        this.sent.add(key);
+        await this.alert('renewal-failed', { ...selected[index], ...renewal });
+      }
+    }
+  }
+
+  // Evaluate every watched name once; returns the status of each
+  async check() {
+    await this.loadContracts();
+    const block = await this.provider.getBlock('latest');
+
+    const labels = new Set(this.names);
+    if (this.owner) {
+      for (const label of await this.findOwnedNames(block.number)) {
+        labels.add(label);
+      }
+    }
+
+    const statuses = [];
+    for (const label of labels) {
+      try {
+        const info = { ...(await this.getExpiryStatus(label, block.timestamp)), now: block.timestamp };
+        statuses.push(info);
+
+        const next = this.nextAlert(info);
+        if (next) {
+          this.sent.add(next.key);
+          await this.alert(next.event, info);
+        }
+      } catch (error) {
+        this.reportError(new Error(`Expiry check failed for ${label}.eth: ${error.message}`));
+      }
+    }
+
+    if (this.autoRenew) {
+      try {
+        await this.renewDue(statuses);
+      } catch (error) {
+        this.reportError(new Error(`Auto-renew failed: ${error.message}`));
+      }
+    }
+
+    this.emit('checked', { blockNumber: block.number, timestamp: block.timestamp, statuses });
+    return statuses;
+  }
+
+  // Check now and then every `interval` ms until stop()
+  start() {
+    if (this.timer) return this;
+
+    // A tick that finds the previous check still running (e.g. a slow auto-renew) is skipped,
+    // so two checks never renew against the same spending cap at once
+    const run = () => {
+      if (this.checking) return;
+      this.checking = this.check()
+        .catch(error => this.reportError(error))
+        .finally(() => {
+          this.checking = null;
+        });
+    };
+    run();
+    this.timer = setInterval(run, this.interval);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Usage example
+async function demonstrateExpiryWatcher() {
+  const watcher = new ENSExpiryWatcher(process.env.RPC_URL || 'http://127.0.0.1:8545', {
+    names: (process.env.WATCH_LABELS || 'vitalik,ens').split(','),
+    owner: process.env.WATCH_OWNER,
+    webhooks: process.env.EXPIRY_WEBHOOK_URL ? [process.env.EXPIRY_WEBHOOK_URL] : []
+  });
+
+  watcher.on('expiring', info => console.log(`${info.name} expires in ${info.daysUntilExpiration} days (${info.threshold}-day reminder)`));
+  watcher.on('grace', info => console.log(`${info.name} expired; renewable by its owner until ${new Date(info.graceEndsAt * 1000).toISOString()}`));
+  watcher.on('released', info => console.log(`${info.name} left its grace period and can be registered by anyone`));
+  watcher.on('error', error => console.error('Watcher error:', error.message));
+
+  console.log('=== ENS Expiry Watcher Demo ===\n');
+  const statuses = await watcher.check();
+  console.table(statuses.map(({ name, status, expirationDate, daysUntilExpiration }) => ({ name, status, expirationDate, daysUntilExpiration })));
+}
+
+module.exports = { ENSExpiryWatcher };
+
+if (require.main === module) {
+  demonstrateExpiryWatcher().catch(console.error);
+}
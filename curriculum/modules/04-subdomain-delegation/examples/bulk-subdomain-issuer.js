@@ -0,0 +1,382 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
+// Bulk Subdomain Issuance
+// Issues subnames to a CSV/JSON roster of attendees, skipping entries that are already correct
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { encodeCoinAddress } = require('../../../examples/shared-utilities/coin-types');
+const { labelhash } = require('../../../examples/shared-utilities/ens-helpers');
+const { diffRecords, encodeRecordUpdates } = require('../../../examples/shared-utilities/record-updates');
+const nameWrapper = require('../../../examples/shared-utilities/name-wrapper');
+const { SubdomainManager } = require('./subdomain-manager');
+
+// Names per resolver multicall; keeps each transaction well under the block gas limit
+const DEFAULT_BATCH_SIZE = 20;
+
+const RESOLVER_MULTICALL_ABI = [
+  'function multicall(bytes[] data) returns (bytes[] results)'
+];
+
+/**
+ * Split one CSV line into fields (RFC 4180 quoting: "a,b" and "" for a quote)
+ * @param {string} line - CSV line
+ * @returns {string[]} - Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse a roster into flat rows
+ * CSV needs a header row. `label` and `owner` are required columns; `addr:<coin>`
+ * columns become address records and every other column a text record. JSON is an
+ * array of objects with the same keys.
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object[]} - Rows keyed by column name
+ */
+function parseRoster(text, format) {
+  if (format === 'json') {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error('A JSON roster must be an array of rows');
+    }
+    return rows;
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  const header = parseCsvLine(lines.shift() || '');
+  if (!header.includes('label') || !header.includes('owner')) {
+    throw new Error('The roster needs "label" and "owner" columns');
+  }
+
+  return lines.map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(header.map((column, index) => [column, values[index] || '']));
+  });
+}
+
+class BulkSubdomainIssuer {
+  // manager: SubdomainManager for the parent (holds the one signer used for every row)
+  // options: batchSize (names per records multicall), overwrite (reassign subnames owned by others)
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.overwrite = Boolean(options.overwrite);
+  }
+
+  // Read a roster file; the format follows the extension
+  loadRoster(file) {
+    const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+    return parseRoster(fs.readFileSync(file, 'utf8'), format);
+  }
+
+  // Validate every row before anything is sent
+  // Returns rows as { row, label, name, owner, records, errors }
+  validate(rows) {
+    const seen = new Map();
+
+    return rows.map((raw, index) => {
+      const row = index + 1;
+      const errors = [];
+      const records = [];
+
+      const check = this.manager.checkLabel(String(raw.label || ''));
+      const label = check.normalized;
+      errors.push(...check.errors);
+
+      if (label && seen.has(label)) {
+        errors.push(`Duplicate of row ${seen.get(label)}`);
+      } else if (label) {
+        seen.set(label, row);
+      }
+
+      let owner = null;
+      try {
+        owner = ethers.utils.getAddress(String(raw.owner || '').trim());
+      } catch (error) {
+        errors.push(`Invalid owner address "${raw.owner}"`);
+      }
+
+      for (const [column, value] of Object.entries(raw)) {
+        if (['label', 'owner'].includes(column) || value === '' || value === null || value === undefined) continue;
+
+        if (column.startsWith('addr:')) {
+          const coin = column.slice('addr:'.length);
+          try {
+            encodeCoinAddress(coin, value);
+            records.push({ type: 'addr', coin, value });
+          } catch (error) {
+            errors.push(error.message);
+          }
+        } else {
+          records.push({ type: 'text', key: column, value: String(value) });
+        }
+      }
+
+      // Point the subname at its owner unless the roster says otherwise
+      if (owner && !records.some(record => record.type === 'addr' && ['eth', '60'].includes(String(record.coin)))) {
+        records.unshift({ type: 'addr', coin: 'eth', value: owner });
+      }
+
+      return {
+        row,
+        label: label || raw.label,
+        name: `${label || raw.label}.${this.manager.parentDomain}`,
+        owner,
+        records,
+        errors
+      };
+    });
+  }
+
+  // Compare each valid row with what is on chain and decide what it needs
+  async plan(entries, parent) {
+    const manager = this.manager;
+    const resolver = manager.network.contracts.publicResolver;
+    const signer = manager.signer.address;
+
+    for (const entry of entries) {
+      const current = await manager.getSubdomain(entry.label);
+      const currentResolver = current.owner ? await manager.registry.resolver(current.node) : ethers.constants.AddressZero;
+
+      entry.previousOwner = current.owner;
+      entry.resolver = currentResolver === ethers.constants.AddressZero ? resolver : currentResolver;
+
+      if (current.emancipated) {
+        entry.status = 'conflict';
+        entry.error = 'Subname is emancipated; the parent can no longer change it';
+        continue;
+      }
+      if (current.owner && ![signer, entry.owner].includes(current.owner) && !this.overwrite) {
+        entry.status = 'conflict';
+        entry.error = `Owned by ${current.owner} (use overwrite to reassign)`;
+        continue;
+      }
+
+      let changes = encodeRecordUpdates(entry.name, entry.records).map(data => ({ data, changed: true }));
+      if (currentResolver !== ethers.constants.AddressZero) {
+        const diff = await diffRecords(manager.provider, entry.name, entry.records, { resolver: currentResolver });
+        changes = diff.changes;
+      }
+
+      entry.recordCalls = changes.filter(change => change.changed).map(change => change.data);
+      // Claiming (setSubnodeRecord to ourselves) creates the subname, sets its resolver and
+      // lets us write records the current owner would otherwise have to write
+      entry.needsClaim = !current.owner || currentResolver === ethers.constants.AddressZero ||
+        (current.owner !== signer && entry.recordCalls.length > 0);
+      entry.needsHandover = entry.owner !== signer && (entry.needsClaim || current.owner !== entry.owner);
+      entry.status = entry.needsClaim || entry.needsHandover || entry.recordCalls.length > 0
+        ? (current.owner ? 'update' : 'issue')
+        : 'unchanged';
+      entry.wrapped = parent.wrapped;
+    }
+
+    return entries;
+  }
+
+  // Send one transaction per entry without waiting in between, then wait for all of them
+  // (registry and NameWrapper writes must come from the parent owner, so they cannot be
+  // folded into a Multicall3 batch)
+  async sendEach(entries, send) {
+    const sent = [];
+    for (const entry of entries) {
+      try {
+        const tx = await send(entry);
+        entry.transactions.push(tx.hash);
+        sent.push({ entry, tx });
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.reason || error.message;
+      }
+    }
+
+    await Promise.all(sent.map(async ({ entry, tx }) => {
+      try {
+        await tx.wait();
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.reason || error.message;
+      }
+    }));
+  }
+
+  // Validate, plan and issue a roster
+  // options: dryRun (validate and plan only), skipInvalid (issue valid rows even if some are invalid)
+  async issue(rows, options = {}) {
+    const manager = this.manager;
+    const startedAt = new Date().toISOString();
+
+    // Step 1: Validate everything up front
+    const entries = this.validate(rows);
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+    invalid.forEach((entry) => {
+      entry.status = 'invalid';
+      entry.error = entry.errors.join('; ');
+    });
+
+    const valid = entries.filter(entry => entry.errors.length === 0);
+    if (invalid.length > 0 && !options.skipInvalid) {
+      valid.forEach((entry) => { entry.status = 'not-sent'; });
+      return this.buildReport(entries, startedAt, { ...options, aborted: `${invalid.length} invalid row${invalid.length > 1 ? 's' : ''}` });
+    }
+
+    // Step 2: Work out what each row needs
+    const parent = await manager.requireParentControl();
+    await this.plan(valid, parent);
+    valid.forEach((entry) => { entry.transactions = []; });
+
+    const todo = valid.filter(entry => ['issue', 'update'].includes(entry.status));
+    if (options.dryRun || todo.length === 0) {
+      return this.buildReport(entries, startedAt, options);
+    }
+
+    const signer = manager.signer.address;
+    const pending = () => todo.filter(entry => entry.status !== 'failed');
+
+    // Step 3: Take ownership (creating the subname if needed) so records can be written
+    console.log(`Claiming ${todo.filter(entry => entry.needsClaim).length} subnames...`);
+    await this.sendEach(pending().filter(entry => entry.needsClaim), entry => (parent.wrapped
+      ? nameWrapper.setSubnodeRecord(manager.signer, manager.parentDomain, entry.label, { owner: signer, resolver: entry.resolver })
+      : manager.registry.setSubnodeRecord(manager.parentNode, labelhash(entry.label), signer, entry.resolver, 0)));
+
+    // Step 4: Write records for many names per resolver multicall
+    const withRecords = pending().filter(entry => entry.recordCalls.length > 0);
+    const byResolver = new Map();
+    withRecords.forEach(entry => byResolver.set(entry.resolver, [...(byResolver.get(entry.resolver) || []), entry]));
+
+    for (const [resolverAddress, group] of byResolver) {
+      const resolver = new ethers.Contract(resolverAddress, RESOLVER_MULTICALL_ABI, manager.signer);
+      for (let i = 0; i < group.length; i += this.batchSize) {
+        const batch = group.slice(i, i + this.batchSize);
+        console.log(`Writing records for ${batch.length} subnames in one transaction...`);
+        try {
+          const tx = await resolver.multicall(batch.flatMap(entry => entry.recordCalls));
+          await tx.wait();
+          batch.forEach(entry => entry.transactions.push(tx.hash));
+        } catch (error) {
+          batch.forEach((entry) => {
+            entry.status = 'failed';
+            entry.error = error.reason || error.message;
+          });
+        }
+      }
+    }
+
+    // Step 5: Hand each subname to its owner
+    console.log(`Transferring ${pending().filter(entry => entry.needsHandover).length} subnames to their owners...`);
+    await this.sendEach(pending().filter(entry => entry.needsHandover), entry => (parent.wrapped
+      ? nameWrapper.setSubnodeOwner(manager.signer, manager.parentDomain, entry.label, { owner: entry.owner })
+      : manager.registry.setSubnodeOwner(manager.parentNode, labelhash(entry.label), entry.owner)));
+
+    pending().forEach((entry) => {
+      entry.status = entry.status === 'issue' ? 'issued' : 'updated';
+      manager.rememberLabel(entry.label);
+    });
+
+    return this.buildReport(entries, startedAt, options);
+  }
+
+  buildReport(entries, startedAt, options = {}) {
+    const count = status => entries.filter(entry => entry.status === status).length;
+
+    return {
+      parent: this.manager.parentDomain,
+      dryRun: Boolean(options.dryRun),
+      aborted: options.aborted || null,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      summary: {
+        total: entries.length,
+        issued: count('issued'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        planned: options.dryRun ? count('issue') + count('update') : 0,
+        conflict: count('conflict'),
+        invalid: count('invalid'),
+        failed: count('failed')
+      },
+      rows: entries.map(entry => ({
+        row: entry.row,
+        name: entry.name,
+        owner: entry.owner,
+        status: entry.status,
+        previousOwner: entry.previousOwner,
+        records: entry.records.length,
+        recordChanges: entry.recordCalls ? entry.recordCalls.length : null,
+        transactions: entry.transactions || [],
+        error: entry.error || null
+      }))
+    };
+  }
+
+  writeReport(report, file) {
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${file}`);
+  }
+}
+
+// Usage: node bulk-subdomain-issuer.js roster.csv [--dry-run] [--skip-invalid] [--overwrite] [--report report.json]
+async function main() {
+  const args = process.argv.slice(2);
+  const roster = args.find(arg => !arg.startsWith('--'));
+  const reportIndex = args.indexOf('--report');
+  const reportFile = reportIndex >= 0 ? args[reportIndex + 1] : 'subdomain-report.json';
+
+  if (!roster) {
+    console.log('Usage: node bulk-subdomain-issuer.js roster.csv [--dry-run] [--skip-invalid] [--overwrite] [--report report.json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const manager = new SubdomainManager(process.env.TEST_ENS_NAME || 'kenya-dev-series.eth', process.env.RPC_URL, process.env.PRIVATE_KEY);
+  const issuer = new BulkSubdomainIssuer(manager, { overwrite: args.includes('--overwrite') });
+
+  const report = await issuer.issue(issuer.loadRoster(roster), {
+    dryRun: args.includes('--dry-run'),
+    skipInvalid: args.includes('--skip-invalid')
+  });
+
+  console.table(report.rows.map(({ row, name, status, error }) => ({ row, name, status, error })));
+  console.log('Summary:', report.summary);
+  if (report.aborted) {
+    console.log(`Nothing was sent: ${report.aborted}. Fix the roster or pass --skip-invalid.`);
+  }
+  issuer.writeReport(report, reportFile);
+}
+
+module.exports = { BulkSubdomainIssuer, parseRoster };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Bulk issuance failed:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,400 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../../../.env') });
+// Subdomain Management
+// Issue, transfer, revoke and list subnames of a parent name under a label policy
+
+const { ethers } = require('ethers');
+const { normalizeName, validateLabel, labelhash, namehash, detectNetwork } = require('../../../examples/shared-utilities/ens-helpers');
+require('../../../examples/shared-utilities/local-deployment');
+const { setRecords } = require('../../../examples/shared-utilities/record-updates');
+const nameWrapper = require('../../../examples/shared-utilities/name-wrapper');
+
+// Labels nobody should get by default: they look official or collide with infrastructure
+const DEFAULT_RESERVED_LABELS = ['admin', 'administrator', 'root', 'www', 'mail', 'support', 'help', 'security', 'official', 'team', 'ens'];
+
+// Labels per eth_call batch when looking up owners
+const LOOKUP_CONCURRENCY = 10;
+
+const REGISTRY_ABI = [
+  'event NewOwner(bytes32 indexed node, bytes32 indexed label, address owner)',
+  'function owner(bytes32 node) view returns (address)',
+  'function resolver(bytes32 node) view returns (address)',
+  'function setSubnodeOwner(bytes32 node, bytes32 label, address owner) returns (bytes32)',
+  'function setSubnodeRecord(bytes32 node, bytes32 label, address owner, address resolver, uint64 ttl)'
+];
+
+const NAME_WRAPPER_ABI = [
+  'function getData(uint256 id) view returns (address owner, uint32 fuses, uint64 expiry)',
+  'function names(bytes32 node) view returns (bytes)'
+];
+
+// First label of a DNS wire-format name (length-prefixed labels)
+function firstDnsLabel(encoded) {
+  const bytes = ethers.utils.arrayify(encoded);
+  if (bytes.length === 0 || bytes[0] === 0) return null;
+  return ethers.utils.toUtf8String(bytes.slice(1, 1 + bytes[0]));
+}
+
+// Does a label match any entry of a policy list (strings or regular expressions)?
+function matchesList(list, label) {
+  return list.some(entry => (entry instanceof RegExp ? entry.test(label) : entry === label));
+}
+
+class SubdomainManager {
+  // options.policy: { allow, deny, reserved, minLength, maxLength }; allow/deny take strings or RegExps,
+  //   and when allow is set only matching labels can be issued
+  // options.fromBlock: first block searched by listSubdomains
+  // options.knownLabels: labels to recognise in listings (NewOwner events only carry label hashes)
+  constructor(parentDomain, providerUrl, privateKey, options = {}) {
+    this.parentDomain = normalizeName(parentDomain);
+    this.parentNode = namehash(this.parentDomain);
+    this.provider = new ethers.providers.JsonRpcProvider(providerUrl || (process.env.RPC_URL || 'http://127.0.0.1:8545'));
+    this.signer = new ethers.Wallet(privateKey || process.env.PRIVATE_KEY, this.provider);
+
+    const policy = options.policy || {};
+    this.policy = {
+      allow: policy.allow || null,
+      deny: policy.deny || [],
+      reserved: policy.reserved || DEFAULT_RESERVED_LABELS,
+      minLength: policy.minLength || 1,
+      maxLength: policy.maxLength || 63
+    };
+
+    this.fromBlock = options.fromBlock || 0;
+    this.templates = new Map();
+
+    // labelhash → label, so listings can show readable names
+    this.knownLabels = new Map();
+    const seeds = [...(options.knownLabels || []), ...(this.policy.allow || []).filter(entry => typeof entry === 'string')];
+    seeds.forEach(label => this.rememberLabel(label));
+
+    this.contractsReady = null;
+  }
+
+  // Initialize contract instances for the provider's chain (runs once)
+  async loadContracts() {
+    if (!this.contractsReady) {
+      this.contractsReady = detectNetwork(this.provider).then((network) => {
+        this.network = network;
+        this.registry = new ethers.Contract(network.contracts.registry, REGISTRY_ABI, this.signer);
+        this.nameWrapper = new ethers.Contract(network.contracts.nameWrapper, NAME_WRAPPER_ABI, this.provider);
+      }).catch((error) => {
+        this.contractsReady = null;
+        throw error;
+      });
+    }
+
+    return this.contractsReady;
+  }
+
+  rememberLabel(label) {
+    const normalized = normalizeName(label);
+    this.knownLabels.set(labelhash(normalized), normalized);
+  }
+
+  // Check a label against ENSIP-15 and the label policy
+  checkLabel(label) {
+    const result = validateLabel(label, { minLength: this.policy.minLength });
+    const errors = [...result.errors];
+
+    if (result.valid) {
+      const normalized = result.normalized;
+      if (result.length > this.policy.maxLength) {
+        errors.push(`Label cannot be longer than ${this.policy.maxLength} characters`);
+      }
+      if (this.policy.allow && !matchesList(this.policy.allow, normalized)) {
+        errors.push(`"${normalized}" is not on the allow list`);
+      }
+      if (matchesList(this.policy.deny, normalized)) {
+        errors.push(`"${normalized}" is on the deny list`);
+      }
+      if (this.policy.reserved.includes(normalized)) {
+        errors.push(`"${normalized}" is reserved`);
+      }
+    }
+
+    return {
+      label,
+      valid: errors.length === 0,
+      errors,
+      normalized: result.normalized || null
+    };
+  }
+
+  // Register a reusable subname configuration: { resolver, records, fuses, expiry, ttl }
+  // records may be a function (owner, label) => records
+  registerTemplate(name, config) {
+    this.templates.set(name, config);
+  }
+
+  // Create a subname from a registered template
+  async applyTemplate(label, templateName, owner) {
+    const template = this.templates.get(templateName);
+    if (!template) {
+      throw new Error(`Unknown template "${templateName}"`);
+    }
+    return this.createSubdomain(label, { ...template, owner });
+  }
+
+  // The parent's status, after checking that the signer controls it
+  async requireParentControl() {
+    await this.loadContracts();
+    const parent = await nameWrapper.getWrappedStatus(this.provider, this.parentDomain);
+
+    if (!parent.owner || parent.owner !== this.signer.address) {
+      throw new Error(`${this.signer.address} does not control ${this.parentDomain} (owner: ${parent.owner})`);
+    }
+    return parent;
+  }
+
+  // Current state of one subname: owner, wrapped, fuses and expiry
+  async getSubdomain(label) {
+    await this.loadContracts();
+    return this.describeNode(labelhash(normalizeName(label)), normalizeName(label));
+  }
+
+  async describeNode(hash, label = null) {
+    const node = ethers.utils.keccak256(ethers.utils.concat([this.parentNode, hash]));
+    const registryOwner = await this.registry.owner(node);
+    const wrapped = registryOwner === this.nameWrapper.address;
+
+    let owner = registryOwner === ethers.constants.AddressZero ? null : registryOwner;
+    let fuses = [];
+    let expiry = null;
+
+    if (wrapped) {
+      const data = await this.nameWrapper.getData(node);
+      owner = data.owner === ethers.constants.AddressZero ? null : data.owner;
+      fuses = nameWrapper.decodeFuses(data.fuses);
+      expiry = data.expiry.toNumber();
+
+      if (!label) {
+        label = firstDnsLabel(await this.nameWrapper.names(node));
+        if (label) this.knownLabels.set(hash, label);
+      }
+    }
+
+    label = label || this.knownLabels.get(hash) || null;
+
+    return {
+      name: `${label || `[${hash.slice(2)}]`}.${this.parentDomain}`,
+      label,
+      labelhash: hash,
+      node,
+      owner,
+      wrapped,
+      fuses,
+      expiry,
+      emancipated: fuses.includes('PARENT_CANNOT_CONTROL')
+    };
+  }
+
+  // Create a subname with its resolver and records in one call
+  // The subname is created for the parent's owner first so it may write the records,
+  // then handed to the final owner (burning any fuses on the way for wrapped parents).
+  // options: owner (default: signer), resolver (default: PublicResolver), records
+  //   (default: ETH address of the owner), ttl, fuses and expiry (wrapped parents), overwrite
+  async createSubdomain(label, options = {}) {
+    try {
+      const check = this.checkLabel(label);
+      if (!check.valid) {
+        throw new Error(`Cannot issue "${label}": ${check.errors.join(', ')}`);
+      }
+      label = check.normalized;
+
+      const parent = await this.requireParentControl();
+      const name = `${label}.${this.parentDomain}`;
+      const owner = ethers.utils.getAddress(options.owner || this.signer.address);
+      const resolver = options.resolver || this.network.contracts.publicResolver;
+      const fuses = nameWrapper.encodeFuses(options.fuses || 0);
+      const records = typeof options.records === 'function'
+        ? options.records(owner, label)
+        : (options.records || [{ type: 'addr', coin: 'eth', value: owner }]);
+
+      if (fuses && !parent.wrapped) {
+        throw new Error(`Fuses need a wrapped parent; ${this.parentDomain} is not wrapped`);
+      }
+
+      const existing = await this.getSubdomain(label);
+      if (existing.owner && ![owner, this.signer.address].includes(existing.owner) && !options.overwrite) {
+        throw new Error(`${name} already belongs to ${existing.owner} (pass overwrite: true to reassign it)`);
+      }
+      if (existing.emancipated) {
+        throw new Error(`${name} is emancipated; the parent can no longer change it`);
+      }
+
+      console.log(`Creating ${name}...`);
+      const transactions = [];
+
+      // Step 1: Create the subname for ourselves with its resolver
+      const createTx = parent.wrapped
+        ? await nameWrapper.setSubnodeRecord(this.signer, this.parentDomain, label, {
+          owner: this.signer.address,
+          resolver,
+          ttl: options.ttl || 0,
+          expiry: options.expiry
+        })
+        : await this.registry.setSubnodeRecord(this.parentNode, labelhash(label), this.signer.address, resolver, options.ttl || 0);
+      await createTx.wait();
+      transactions.push(createTx.hash);
+      this.rememberLabel(label);
+
+      // Step 2: Write the records in one resolver multicall
+      let recordReport = null;
+      if (records.length > 0) {
+        recordReport = await setRecords(this.signer, name, records, { resolver });
+        if (recordReport.failed > 0) {
+          throw new Error(`Writing records for ${name} failed: ${recordReport.results.find(result => !result.success).error}`);
+        }
+        if (recordReport.txHash) transactions.push(recordReport.txHash);
+      }
+
+      // Step 3: Hand over to the final owner
+      if (owner !== this.signer.address || fuses) {
+        const transferTx = parent.wrapped
+          ? await nameWrapper.setSubnodeOwner(this.signer, this.parentDomain, label, { owner, fuses, expiry: options.expiry })
+          : await this.registry.setSubnodeOwner(this.parentNode, labelhash(label), owner);
+        await transferTx.wait();
+        transactions.push(transferTx.hash);
+      }
+
+      console.log(`Subdomain ${name} created for ${owner}`);
+
+      return {
+        ...(await this.getSubdomain(label)),
+        resolver,
+        records: recordReport ? recordReport.results : [],
+        transactions
+      };
+
+    } catch (error) {
+      console.error(`Failed to create subdomain ${label}.${this.parentDomain}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Reassign a subname to a new owner as the parent (emancipated subnames are out of reach)
+  async transferSubdomain(label, newOwner) {
+    try {
+      label = normalizeName(label);
+      const parent = await this.requireParentControl();
+      const current = await this.getSubdomain(label);
+
+      if (current.emancipated) {
+        throw new Error(`${current.name} is emancipated; only its owner can transfer it`);
+      }
+
+      const owner = ethers.utils.getAddress(newOwner);
+      const tx = parent.wrapped
+        ? await nameWrapper.setSubnodeOwner(this.signer, this.parentDomain, label, { owner, expiry: current.expiry || 0 })
+        : await this.registry.setSubnodeOwner(this.parentNode, labelhash(label), owner);
+      await tx.wait();
+
+      console.log(`Transferred ${current.name} from ${current.owner} to ${owner}`);
+      return { name: current.name, previousOwner: current.owner, owner, transactionHash: tx.hash };
+
+    } catch (error) {
+      console.error(`Failed to transfer ${label}.${this.parentDomain}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Take a subname back: clear its owner and resolver so it no longer resolves
+  async revokeSubdomain(label) {
+    try {
+      label = normalizeName(label);
+      const parent = await this.requireParentControl();
+      const current = await this.getSubdomain(label);
+
+      if (!current.owner) {
+        throw new Error(`${current.name} does not exist`);
+      }
+      if (current.emancipated) {
+        throw new Error(`${current.name} is emancipated and cannot be revoked until it expires`);
+      }
+
+      const tx = parent.wrapped
+        ? await nameWrapper.setSubnodeRecord(this.signer, this.parentDomain, label, {
+          owner: ethers.constants.AddressZero,
+          resolver: ethers.constants.AddressZero,
+          expiry: 0
+        })
+        : await this.registry.setSubnodeRecord(this.parentNode, labelhash(label), ethers.constants.AddressZero, ethers.constants.AddressZero, 0);
+      await tx.wait();
+
+      console.log(`Revoked ${current.name} (was owned by ${current.owner})`);
+      return { name: current.name, previousOwner: current.owner, transactionHash: tx.hash };
+
+    } catch (error) {
+      console.error(`Failed to revoke ${label}.${this.parentDomain}:`, error.message);
+      throw error;
+    }
+  }
+
+  // List subnames from the registry's NewOwner events for the parent
+  // Labels are recovered from subnames created here, options.knownLabels and the
+  // NameWrapper; anything else is shown as [labelhash].parent
+  // options: fromBlock, includeRevoked
+  async listSubdomains(options = {}) {
+    await this.loadContracts();
+    const logs = await this.registry.queryFilter(
+      this.registry.filters.NewOwner(this.parentNode),
+      options.fromBlock === undefined ? this.fromBlock : options.fromBlock,
+      'latest'
+    );
+
+    const hashes = [...new Set(logs.map(log => log.args.label))];
+    const subdomains = [];
+
+    for (let i = 0; i < hashes.length; i += LOOKUP_CONCURRENCY) {
+      const batch = await Promise.all(hashes.slice(i, i + LOOKUP_CONCURRENCY).map(hash => this.describeNode(hash)));
+      subdomains.push(...batch);
+    }
+
+    return options.includeRevoked ? subdomains : subdomains.filter(subdomain => subdomain.owner);
+  }
+}
+
+// Usage example
+async function demonstrateSubdomainManager() {
+  const parent = process.env.TEST_ENS_NAME || 'kenya-dev-series.eth';
+  const manager = new SubdomainManager(parent, process.env.RPC_URL, process.env.PRIVATE_KEY, {
+    policy: { deny: [/^test/], minLength: 3 }
+  });
+
+  console.log('=== ENS Subdomain Management Demo ===\n');
+
+  // 1. Label policy
+  console.log('1. Label Policy:');
+  for (const label of ['amani', 'admin', 'test-user', 'ab']) {
+    const check = manager.checkLabel(label);
+    console.log(`${label}: ${check.valid ? 'ok' : check.errors.join(', ')}`);
+  }
+
+  try {
+    // 2. Issue a subname with records
+    console.log('\n2. Create Subdomain:');
+    manager.registerTemplate('member', {
+      records: owner => [
+        { type: 'addr', coin: 'eth', value: owner },
+        { type: 'text', key: 'description', value: `Member of ${parent}` }
+      ]
+    });
+    const created = await manager.applyTemplate(process.env.SUBDOMAIN_LABEL || 'amani', 'member', manager.signer.address);
+    console.log('Created:', created.name, created.transactions);
+
+    // 3. List subnames
+    console.log('\n3. Subdomains:');
+    const subdomains = await manager.listSubdomains();
+    console.table(subdomains.map(({ name, owner, wrapped }) => ({ name, owner, wrapped })));
+
+  } catch (error) {
+    console.error('Demo failed:', error.message);
+  }
+}
+
+module.exports = { SubdomainManager, DEFAULT_RESERVED_LABELS };
+
+if (require.main === module) {
+  demonstrateSubdomainManager().catch(console.error);
+}
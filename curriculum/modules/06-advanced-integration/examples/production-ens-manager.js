@@ -5,18 +5,24 @@ const { ethers } = require('ethers');
 const Redis = require('redis');
 const winston = require('winston');
 const promClient = require('prom-client');
+const { namehash, validateENSName, detectNetwork } = require('../../../examples/shared-utilities/ens-helpers');
+require('../../../examples/shared-utilities/local-deployment');
+const { resolveRecord } = require('../../../examples/shared-utilities/resolution');
+const { resolveWithUniversalResolver } = require('../../../examples/shared-utilities/universal-resolver');
 
 // Configuration management
 const config = {
   development: {
-    network: 'goerli',
+    network: 'sepolia',
     rpcUrl: process.env.DEV_RPC_URL,
+    useUniversalResolver: true,
     redisUrl: 'redis://localhost:6379',
     logLevel: 'debug'
   },
   production: {
     network: 'mainnet',
     rpcUrl: process.env.PROD_RPC_URL,
+    useUniversalResolver: true,
     redisUrl: process.env.REDIS_URL,
     logLevel: 'info'
   }
@@ -126,42 +132,6 @@ class CacheManager {
   }
 }
 
-// Input validation utility
-function validateENSName(name) {
-  const errors = [];
-
-  if (typeof name !== 'string') {
-    errors.push('Name must be a string');
-    return { valid: false, errors };
-  }
-
-  if (name.length < 3 || name.length > 63) {
-    errors.push('Name must be between 3 and 63 characters');
-  }
-
-  if (!/^[a-z0-9-]+$/.test(name)) {
-    errors.push('Name can only contain lowercase letters, numbers, and hyphens');
-  }
-
-  if (/--/.test(name)) {
-    errors.push('Name cannot contain consecutive hyphens');
-  }
-
-  if (!/^[a-z0-9]/.test(name) || !/[a-z0-9]$/.test(name)) {
-    errors.push('Name must start and end with alphanumeric character');
-  }
-
-  const reserved = ['eth', 'xyz', 'com', 'org', 'net', 'io', 'app'];
-  if (reserved.includes(name.toLowerCase())) {
-    errors.push('This name is reserved');
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors
-  };
-}
-
 // Main ENS Manager class
 class ProductionENSManager {
   constructor(options = {}) {
@@ -171,6 +141,7 @@ class ProductionENSManager {
     this.redis = null;
     this.cache = null;
     this.rateLimiter = null;
+    this.network = null;
     this.contracts = {};
   }
 
@@ -189,15 +160,21 @@ class ProductionENSManager {
       this.cache = new CacheManager(this.redis);
       this.rateLimiter = new RateLimiter(this.redis);
 
-      // Initialize contracts
+      // Initialize contracts for the chain the RPC actually serves
+      const network = await detectNetwork(this.provider);
+      if (network.name !== this.config.network) {
+        logger.warn('RPC network differs from configured network', { configured: this.config.network, detected: network.name });
+      }
+      this.network = network;
+
       this.contracts = {
         registry: new ethers.Contract(
-          '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+          network.contracts.registry,
           ['function owner(bytes32 node) view returns (address)'],
           this.provider
         ),
         resolver: new ethers.Contract(
-          '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
+          network.contracts.publicResolver,
           [
             'function addr(bytes32 node) view returns (address)',
             'function text(bytes32 node, string key) view returns (string)'
@@ -216,30 +193,25 @@ class ProductionENSManager {
     }
   }
 
-  // Namehash calculation with caching
+  // Namehash calculation (ENSIP-15 normalized, shared with every other example)
   namehash(name) {
-    const cacheKey = `namehash:${name}`;
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached) {
-      return cached;
-    }
+    return namehash(name);
+  }
 
-    let node = ethers.constants.HashZero;
-    if (name !== '') {
-      const labels = name.split('.').reverse();
-      for (const label of labels) {
-        node = ethers.utils.keccak256(
-          ethers.utils.concat([
-            node,
-            ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label))
-          ])
-        );
-      }
+  // Read a record either through the UniversalResolver (handles offchain/L2 names
+  // via CCIP-Read) or by walking the registry to the name's resolver
+  async lookupRecord(name, record, args = []) {
+    if (this.config.useUniversalResolver && this.network.contracts.universalResolver) {
+      return resolveWithUniversalResolver(this.provider, name, record, args, {
+        universalResolver: this.network.contracts.universalResolver,
+        fetch: this.config.ccipFetch
+      });
     }
 
-    this.cache.set(cacheKey, node);
-    return node;
+    return resolveRecord(this.provider, name, record, args, {
+      registry: this.network.contracts.registry,
+      fetch: this.config.ccipFetch
+    });
   }
 
   // Resolve ENS name with monitoring and caching
@@ -259,14 +231,20 @@ class ProductionENSManager {
       }
 
       // Check cache first
-      const cacheKey = `resolve:${name}`;
+      const cacheKey = `resolve:${validation.normalized}`;
       let address = await this.cache.get(cacheKey);
 
       if (!address) {
         logger.info('Resolving ENS name (cache miss)', { name, clientId });
 
-        const nameHash = this.namehash(name);
-        address = await this.contracts.resolver.addr(nameHash);
+        const resolution = await this.lookupRecord(validation.normalized, 'addr');
+        address = resolution.value || ethers.constants.AddressZero;
+
+        logger.debug('Resolver answered', {
+          name,
+          resolver: resolution.resolver,
+          via: resolution.via || 'registry'
+        });
 
         // Cache the result
         await this.cache.set(cacheKey, address);
@@ -315,14 +293,14 @@ class ProductionENSManager {
         throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
       }
 
-      const cacheKey = `text:${name}:${key}`;
+      const cacheKey = `text:${validation.normalized}:${key}`;
       let text = await this.cache.get(cacheKey);
 
       if (text === null) { // Note: empty string is a valid cache result
         logger.info('Fetching text record (cache miss)', { name, key, clientId });
 
-        const nameHash = this.namehash(name);
-        text = await this.contracts.resolver.text(nameHash, key);
+        const resolution = await this.lookupRecord(validation.normalized, 'text', [key]);
+        text = resolution.value || '';
 
         await this.cache.set(cacheKey, text);
       } else {
@@ -401,7 +379,8 @@ class ProductionENSManager {
       return {
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        network: this.config.network,
+        network: this.network ? this.network.name : this.config.network,
+        chainId: this.network ? this.network.chainId : null,
         blockNumber,
         redis: redisPing === 'PONG',
         metrics: await register.getMetricsAsJSON()
@@ -2,11 +2,20 @@
 // A starting point for building ENS-integrated applications
 
 const { ethers } = require('ethers');
-const { namehash, validateENSName, getContractAddresses } = require('../shared-utilities/ens-helpers');
+const { namehash, labelhash, validateLabel, validateENSName, decodeContentHash, detectNetwork } = require('../../examples/shared-utilities/ens-helpers');
+require('../../examples/shared-utilities/local-deployment');
+const { resolveRecord, resolveCoinAddress } = require('../../examples/shared-utilities/resolution');
+const { getCoinType, getCoinName, encodeCoinAddress } = require('../../examples/shared-utilities/coin-types');
+const { reverseResolve, batchLookupAddresses, setPrimaryName, clearPrimaryName } = require('../../examples/shared-utilities/reverse-resolution');
+const { getWrappedStatus, setSubnodeRecord } = require('../../examples/shared-utilities/name-wrapper');
+const { getTextRecords } = require('../../examples/shared-utilities/text-records');
+const { getAvatar, resolveAvatarUri } = require('../../examples/shared-utilities/avatar');
+const { getWritableResolver } = require('../../examples/shared-utilities/record-updates');
 
 class ENSProject {
   constructor(network = 'mainnet') {
     this.network = network;
+    this.chainId = null;
     this.provider = null;
     this.contracts = {};
     this.isInitialized = false;
@@ -23,8 +32,13 @@ class ENSProject {
       const rpcUrl = this.getRPCUrl();
       this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
 
-      // Get contract addresses
-      const addresses = getContractAddresses(this.network);
+      // Get contract addresses for the chain the provider is actually on
+      const network = await detectNetwork(this.provider);
+      if (network.name !== this.network) {
+        console.warn(`RPC is on ${network.name} (chainId ${network.chainId}), not ${this.network}; using ${network.name} contracts`);
+      }
+      this.chainId = network.chainId;
+      const addresses = network.contracts;
 
       // Initialize contracts
       this.contracts = {
@@ -43,6 +57,8 @@ class ENSProject {
           [
             'function addr(bytes32 node) view returns (address)',
             'function setAddr(bytes32 node, address addr)',
+            'function addr(bytes32 node, uint256 coinType) view returns (bytes)',
+            'function setAddr(bytes32 node, uint256 coinType, bytes a)',
             'function text(bytes32 node, string key) view returns (string)',
             'function setText(bytes32 node, string key, string value)',
             'function contenthash(bytes32 node) view returns (bytes)',
@@ -70,8 +86,9 @@ class ENSProject {
   getRPCUrl() {
     const urls = {
       mainnet: process.env.MAINNET_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
-      goerli: process.env.GOERLI_RPC_URL || 'https://goerli.infura.io/v3/YOUR_PROJECT_ID',
-      sepolia: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID'
+      sepolia: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID',
+      holesky: process.env.HOLESKY_RPC_URL || 'https://holesky.infura.io/v3/YOUR_PROJECT_ID',
+      localhost: process.env.RPC_URL || 'http://127.0.0.1:8545'
     };
 
     return urls[this.network] || urls.mainnet;
@@ -94,24 +111,22 @@ class ENSProject {
         throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
       }
 
-      // Calculate namehash
-      const nameHash = namehash(name);
-
-      // Get the resolver address
-      const resolverAddress = await this.contracts.registry.resolver(nameHash);
+      // Find the name's resolver (walking up for wildcard resolvers) and ask it
+      const resolution = await resolveRecord(this.provider, name, 'addr', [], {
+        registry: this.contracts.registry.address
+      });
 
-      if (resolverAddress === ethers.constants.AddressZero) {
+      if (!resolution.resolver) {
         throw new Error(`No resolver set for ${name}`);
       }
 
-      // Resolve the name using the resolver
-      const address = await this.contracts.resolver.addr(nameHash);
+      const address = resolution.value;
 
-      if (address === ethers.constants.AddressZero) {
+      if (!address) {
         throw new Error(`No address set for ${name}`);
       }
 
-      console.log(`${name} resolves to: ${address}`);
+      console.log(`${name} resolves to: ${address} (resolver ${resolution.resolver})`);
       return address;
 
     } catch (error) {
@@ -120,6 +135,93 @@ class ENSProject {
     }
   }
 
+  /**
+   * Resolve an ENS name to an address on another chain (ENSIP-9/11)
+   * @param {string} name - ENS name
+   * @param {string|number} coin - Coin type or name (e.g., 'btc', 'sol', 'base', 0)
+   * @returns {string|null} - Address in the chain's native format, or null if unset
+   */
+  async getAddress(name, coin) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const validation = validateENSName(name);
+      if (!validation.valid) {
+        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
+      }
+
+      const resolution = await resolveCoinAddress(this.provider, name, coin, {
+        registry: this.contracts.registry.address
+      });
+
+      console.log(`${getCoinName(resolution.coinType)} address for ${name}: ${resolution.value || 'not set'}`);
+      return resolution.value;
+
+    } catch (error) {
+      console.error(`Failed to resolve ${coin} address for ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Set an address on another chain for an ENS name (requires ownership)
+   * The address is validated and encoded for its chain before anything is sent.
+   * @param {string} name - ENS name
+   * @param {string|number} coin - Coin type or name (e.g., 'btc', 'sol', 'base', 0)
+   * @param {string} address - Address in the chain's native format
+   * @param {string} privateKey - Private key of the owner
+   */
+  async setAddress(name, coin, address, privateKey) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const validation = validateENSName(name);
+      if (!validation.valid) {
+        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
+      }
+
+      const coinType = getCoinType(coin);
+      const encoded = encodeCoinAddress(coinType, address);
+
+      // Create signer
+      const signer = new ethers.Wallet(privateKey, this.provider);
+      const signerAddress = await signer.getAddress();
+
+      // Check ownership (the wrapped owner if the name is wrapped)
+      const nameHash = namehash(name);
+      const { owner } = await getWrappedStatus(this.provider, name, {
+        registry: this.contracts.registry.address
+      });
+
+      if (!owner || owner.toLowerCase() !== signerAddress.toLowerCase()) {
+        throw new Error(`You don't own ${name}. Owner: ${owner}`);
+      }
+
+      // Write to the name's own resolver, the one getAddress reads from
+      const resolverAddress = await getWritableResolver(this.provider, name, {
+        registry: this.contracts.registry.address
+      });
+      const resolverWithSigner = new ethers.Contract(resolverAddress, this.contracts.resolver.interface, signer);
+      const tx = await resolverWithSigner['setAddr(bytes32,uint256,bytes)'](nameHash, coinType, encoded);
+
+      console.log(`Setting ${getCoinName(coinType)} address for ${name}...`);
+      console.log('Transaction hash:', tx.hash);
+
+      await tx.wait();
+
+      console.log(`${getCoinName(coinType)} address set successfully for ${name}`);
+      return tx;
+
+    } catch (error) {
+      console.error(`Failed to set ${coin} address for ${name}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get text record from an ENS name
    * @param {string} name - ENS name
@@ -137,8 +239,10 @@ class ENSProject {
         throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
       }
 
-      const nameHash = namehash(name);
-      const value = await this.contracts.resolver.text(nameHash, key);
+      const resolution = await resolveRecord(this.provider, name, 'text', [key], {
+        registry: this.contracts.registry.address
+      });
+      const value = resolution.value || '';
 
       console.log(`Text record ${key} for ${name}: ${value}`);
       return value;
@@ -171,11 +275,13 @@ class ENSProject {
       const signer = new ethers.Wallet(privateKey, this.provider);
       const signerAddress = await signer.getAddress();
 
-      // Check ownership
+      // Check ownership (the wrapped owner if the name is wrapped)
       const nameHash = namehash(name);
-      const owner = await this.contracts.registry.owner(nameHash);
+      const { owner } = await getWrappedStatus(this.provider, name, {
+        registry: this.contracts.registry.address
+      });
 
-      if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
+      if (!owner || owner.toLowerCase() !== signerAddress.toLowerCase()) {
         throw new Error(`You don't own ${name}. Owner: ${owner}`);
       }
 
@@ -200,7 +306,7 @@ class ENSProject {
   /**
    * Get content hash from an ENS name
    * @param {string} name - ENS name
-   * @returns {string} - Content hash
+   * @returns {Object|null} - Decoded content hash ({protocol, value, uri, gatewayUrl}) or null if unset
    */
   async getContentHash(name) {
     if (!this.isInitialized) {
@@ -213,11 +319,13 @@ class ENSProject {
         throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
       }
 
-      const nameHash = namehash(name);
-      const contentHash = await this.contracts.resolver.contenthash(nameHash);
+      const resolution = await resolveRecord(this.provider, name, 'contenthash', [], {
+        registry: this.contracts.registry.address
+      });
+      const decoded = resolution.value ? decodeContentHash(resolution.value) : null;
 
-      console.log(`Content hash for ${name}:`, ethers.utils.hexlify(contentHash));
-      return ethers.utils.hexlify(contentHash);
+      console.log(`Content hash for ${name}:`, decoded ? decoded.uri : 'not set');
+      return decoded;
 
     } catch (error) {
       console.error(`Failed to get content hash for ${name}:`, error.message);
@@ -225,14 +333,69 @@ class ENSProject {
     }
   }
 
+  /**
+   * Resolve the avatar of an ENS name (ENSIP-12)
+   * NFT avatars are only returned if the name's address owns the token.
+   * @param {string} name - ENS name
+   * @param {Object} options - Avatar options (gateways, fetch, providers for other chains)
+   * @returns {Object|null} - { uri, type, url, nft, metadata } or null if no avatar is set
+   */
+  async getAvatar(name, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      return await getAvatar(this.provider, name, {
+        registry: this.contracts.registry.address,
+        ...options
+      });
+    } catch (error) {
+      console.error(`Failed to resolve avatar for ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get NameWrapper status for a name
+   * @param {string} name - ENS name
+   * @returns {Object} - { wrapped, owner, fuseNames, expiry, state, ... }
+   */
+  async getWrappedStatus(name) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const validation = validateENSName(name);
+      if (!validation.valid) {
+        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
+      }
+
+      const status = await getWrappedStatus(this.provider, name, {
+        registry: this.contracts.registry.address
+      });
+
+      console.log(`${name} is ${status.state}${status.wrapped ? ` (fuses: ${status.fuseNames.join(', ') || 'none'})` : ''}`);
+      return status;
+
+    } catch (error) {
+      console.error(`Failed to get wrapped status for ${name}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Create a subdomain
+   * Wrapped parents go through the NameWrapper (setSubnodeRecord), which can also
+   * burn fuses on the subname and give it an expiry; others use the registry.
    * @param {string} parentName - Parent domain (e.g., 'mycompany.eth')
    * @param {string} subdomainName - Subdomain name (e.g., 'alice')
    * @param {string} ownerAddress - Address to own the subdomain
    * @param {string} privateKey - Private key of parent domain owner
+   * @param {Object} options - For wrapped parents: fuses, expiry, resolver
    */
-  async createSubdomain(parentName, subdomainName, ownerAddress, privateKey) {
+  async createSubdomain(parentName, subdomainName, ownerAddress, privateKey, options = {}) {
     if (!this.isInitialized) {
       throw new Error('ENS Project not initialized');
     }
@@ -243,30 +406,44 @@ class ENSProject {
         throw new Error(`Invalid parent domain: ${parentValidation.errors.join(', ')}`);
       }
 
+      // Normalize once so wrapped and unwrapped parents create the same node
+      const labelValidation = validateLabel(subdomainName);
+      if (!labelValidation.valid) {
+        throw new Error(`Invalid subdomain label: ${labelValidation.errors.join(', ')}`);
+      }
+      const label = labelValidation.normalized;
+
       // Create signer
       const signer = new ethers.Wallet(privateKey, this.provider);
       const signerAddress = await signer.getAddress();
 
-      // Check ownership of parent domain
-      const parentHash = namehash(parentName);
-      const parentOwner = await this.contracts.registry.owner(parentHash);
+      // Check ownership of parent domain (the wrapped owner if the parent is wrapped)
+      const parent = await getWrappedStatus(this.provider, parentName, {
+        registry: this.contracts.registry.address
+      });
 
-      if (parentOwner.toLowerCase() !== signerAddress.toLowerCase()) {
-        throw new Error(`You don't own ${parentName}. Owner: ${parentOwner}`);
+      if (!parent.owner || parent.owner.toLowerCase() !== signerAddress.toLowerCase()) {
+        throw new Error(`You don't own ${parentName}. Owner: ${parent.owner}`);
       }
 
-      // Create subdomain
-      const labelHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(subdomainName));
-      const registryWithSigner = this.contracts.registry.connect(signer);
-
-      const tx = await registryWithSigner.setSubnodeOwner(parentHash, labelHash, ownerAddress);
+      let tx;
+      if (parent.wrapped) {
+        tx = await setSubnodeRecord(signer, parentName, label, {
+          ...options,
+          owner: ownerAddress,
+          registry: this.contracts.registry.address
+        });
+      } else {
+        const registryWithSigner = this.contracts.registry.connect(signer);
+        tx = await registryWithSigner.setSubnodeOwner(parent.node, labelhash(label), ownerAddress);
+      }
 
-      console.log(`Creating subdomain ${subdomainName}.${parentName}...`);
+      console.log(`Creating ${parent.wrapped ? 'wrapped ' : ''}subdomain ${label}.${parentName}...`);
       console.log('Transaction hash:', tx.hash);
 
       await tx.wait();
 
-      console.log(`Subdomain ${subdomainName}.${parentName} created successfully!`);
+      console.log(`Subdomain ${label}.${parentName} created successfully!`);
       return tx;
 
     } catch (error) {
@@ -307,6 +484,122 @@ class ENSProject {
     return resolvedResults;
   }
 
+  /**
+   * Look up the primary name of an address
+   * The reverse record is only trusted if the name resolves back to the address.
+   * @param {string} address - Ethereum address
+   * @returns {string|null} - Verified primary name, or null
+   */
+  async lookupAddress(address) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const result = await reverseResolve(this.provider, address, {
+        registry: this.contracts.registry.address
+      });
+
+      if (!result.verified) {
+        console.log(`No verified primary name for ${result.address} (${result.reason})`);
+        return null;
+      }
+
+      console.log(`${result.address} has primary name: ${result.name}`);
+      return result.name;
+
+    } catch (error) {
+      console.error(`Failed to look up ${address}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the primary names of multiple addresses
+   * @param {string[]} addresses - Array of Ethereum addresses
+   * @returns {Object[]} - Array of { address, name, verified, reason } in input order
+   */
+  async batchLookupAddresses(addresses) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    console.log(`Batch looking up ${addresses.length} addresses...`);
+
+    const results = await batchLookupAddresses(this.provider, addresses, {
+      registry: this.contracts.registry.address
+    });
+
+    console.log(`Batch lookup complete. Verified: ${results.filter(r => r.verified).length}/${addresses.length}`);
+    return results;
+  }
+
+  /**
+   * Set the primary name (reverse record) for the key's address
+   * The name must already resolve to that address, so it verifies on lookup.
+   * @param {string} name - ENS name to use as primary name
+   * @param {string} privateKey - Private key of the account
+   * @param {string} address - Optional address the account controls (uses setNameForAddr)
+   */
+  async setPrimaryName(name, privateKey, address = null) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const validation = validateENSName(name);
+      if (!validation.valid) {
+        throw new Error(`Invalid ENS name: ${validation.errors.join(', ')}`);
+      }
+
+      const signer = new ethers.Wallet(privateKey, this.provider);
+      const tx = await setPrimaryName(signer, validation.normalized, {
+        address,
+        registry: this.contracts.registry.address
+      });
+
+      console.log(`Setting primary name to ${validation.normalized}...`);
+      console.log('Transaction hash:', tx.hash);
+
+      await tx.wait();
+
+      console.log(`Primary name set to ${validation.normalized}`);
+      return tx;
+
+    } catch (error) {
+      console.error(`Failed to set primary name ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the primary name (reverse record) for the key's address
+   * @param {string} privateKey - Private key of the account
+   * @param {string} address - Optional address the account controls (uses setNameForAddr)
+   */
+  async clearPrimaryName(privateKey, address = null) {
+    if (!this.isInitialized) {
+      throw new Error('ENS Project not initialized');
+    }
+
+    try {
+      const signer = new ethers.Wallet(privateKey, this.provider);
+      const tx = await clearPrimaryName(signer, { address });
+
+      console.log('Clearing primary name...');
+      console.log('Transaction hash:', tx.hash);
+
+      await tx.wait();
+
+      console.log('Primary name cleared');
+      return tx;
+
+    } catch (error) {
+      console.error('Failed to clear primary name:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get comprehensive ENS profile
    * @param {string} name - ENS name
@@ -326,26 +619,24 @@ class ENSProject {
         this.contracts.registry.owner(namehash(name)).catch(() => null)
       ]);
 
-      // Get text records
-      const textKeys = ['description', 'url', 'email', 'com.twitter', 'com.github', 'avatar'];
-      const textPromises = textKeys.map(key => this.getTextRecord(name, key).catch(() => ''));
-      const textValues = await Promise.all(textPromises);
-
-      const textRecords = {};
-      textKeys.forEach((key, index) => {
-        if (textValues[index]) {
-          textRecords[key] = textValues[index];
-        }
-      });
+      // Get every text record set on the resolver (common keys are probed if the logs can't tell)
+      const text = await getTextRecords(this.provider, name).catch(() => ({ records: {}, source: null }));
 
       // Get content hash
       const contentHash = await this.getContentHash(name).catch(() => null);
 
+      // Resolve the avatar record to an image URL (unverifiable NFT avatars are dropped)
+      const avatar = text.records.avatar
+        ? await resolveAvatarUri(this.provider, text.records.avatar, { owner: address }).catch(() => null)
+        : null;
+
       const profile = {
         name,
         address,
         owner,
-        textRecords,
+        textRecords: text.records,
+        textRecordSource: text.source,
+        avatarUrl: avatar ? avatar.url : null,
         contentHash,
         timestamp: new Date().toISOString()
       };
@@ -366,6 +657,7 @@ class ENSProject {
   getNetworkInfo() {
     return {
       network: this.network,
+      chainId: this.chainId,
       isInitialized: this.isInitialized,
       provider: this.provider ? 'connected' : 'disconnected',
       contracts: Object.keys(this.contracts)
@@ -380,7 +672,7 @@ module.exports = ENSProject;
 async function main() {
   try {
     // Initialize project
-    const ensProject = new ENSProject('goerli'); // Use testnet for development
+    const ensProject = new ENSProject('sepolia'); // Use testnet for development
     await ensProject.initialize();
 
     // Resolve a name
@@ -399,6 +691,10 @@ async function main() {
     ]);
     console.log('Batch results:', batchResults);
 
+    // Reverse-resolve the address back to its primary name
+    const primaryName = await ensProject.lookupAddress(address);
+    console.log('Primary name:', primaryName);
+
   } catch (error) {
     console.error('ENS Project demo failed:', error);
   }
@@ -0,0 +1,535 @@
+// ENS Seed Fixtures
+// Loads declarative JSON fixtures of ENS state and applies them to the local node, sending transactions only for differences
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { normalizeName, labelhash, namehash } = require('../../curriculum/examples/shared-utilities/ens-helpers');
+const { detectNetwork } = require('../../curriculum/examples/shared-utilities/networks');
+require('../../curriculum/examples/shared-utilities/local-deployment');
+const { encodeRecordUpdates, setRecords } = require('../../curriculum/examples/shared-utilities/record-updates');
+const { setPrimaryName, lookupAddress } = require('../../curriculum/examples/shared-utilities/reverse-resolution');
+const { withSlippage } = require('../../curriculum/examples/shared-utilities/price-oracle');
+const {
+  FUSES,
+  encodeFuses,
+  decodeFuses,
+  getWrappedStatus,
+  wrapETH2LD,
+  unwrapETH2LD,
+  burnFuses,
+  setChildFuses,
+  setSubnodeRecord
+} = require('../../curriculum/examples/shared-utilities/name-wrapper');
+
+const FIXTURES_DIR = __dirname;
+const DAY = 24 * 60 * 60;
+const DEFAULT_EXPIRES_IN_DAYS = 365;
+const RECORD_SECTIONS = ['addr', 'text', 'contenthash'];
+
+const REGISTRY_ABI = [
+  'function owner(bytes32 node) view returns (address)',
+  'function resolver(bytes32 node) view returns (address)',
+  'function setResolver(bytes32 node, address resolver)',
+  'function setSubnodeOwner(bytes32 node, bytes32 label, address owner) returns (bytes32)',
+  'function setSubnodeRecord(bytes32 node, bytes32 label, address owner, address resolver, uint64 ttl)'
+];
+
+const BASE_REGISTRAR_ABI = [
+  'function GRACE_PERIOD() view returns (uint256)',
+  'function nameExpires(uint256 id) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function reclaim(uint256 id, address owner)'
+];
+
+const CONTROLLER_ABI = [
+  'function MIN_REGISTRATION_DURATION() view returns (uint256)',
+  'function minCommitmentAge() view returns (uint256)',
+  'function rentPrice(string name, uint256 duration) view returns (tuple(uint256 base, uint256 premium) price)',
+  'function makeCommitment(string name, address owner, uint256 duration, bytes32 secret, address resolver, bytes[] data, bool reverseRecord, uint16 ownerControlledFuses) pure returns (bytes32)',
+  'function commit(bytes32 commitment)',
+  'function register(string name, address owner, uint256 duration, bytes32 secret, address resolver, bytes[] data, bool reverseRecord, uint16 ownerControlledFuses) payable',
+  'function renew(string name, uint256 duration) payable'
+];
+
+const NAME_WRAPPER_ABI = [
+  'function setResolver(bytes32 node, address resolver)',
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)'
+];
+
+/**
+ * Replace ${VAR} and ${VAR:-default} in every string of a fixture with environment variables
+ * @param {*} value - Parsed JSON value
+ * @returns {*} - Value with placeholders filled in
+ * @throws {Error} - If a variable without a default is not set
+ */
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, variable, fallback) => {
+      if (process.env[variable]) return process.env[variable];
+      if (fallback !== undefined) return fallback;
+      throw new Error(`Fixture uses ${match} but ${variable} is not set`);
+    });
+  }
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item)]));
+  }
+  return value;
+}
+
+/**
+ * Validate one name or subname entry and fill in its defaults
+ * @param {Object} entry - Fixture entry
+ * @param {Object} parent - Validated parent entry (null for .eth names)
+ * @param {Set<string>} seen - Names already in the fixture
+ * @returns {Object} - { name, label, owner, expiresInDays, wrapped, fuses, records, primary, subnames }
+ */
+function validateEntry(entry, parent, seen) {
+  const where = parent ? `Subname "${entry.label}" of ${parent.name}` : `Name "${entry.name}"`;
+  if (parent && (!entry.label || String(entry.label).includes('.'))) {
+    throw new Error(`${where}: subnames need a single "label"`);
+  }
+  if (!parent && !entry.name) {
+    throw new Error('Every fixture name needs a "name"');
+  }
+
+  const name = normalizeName(parent ? `${entry.label}.${parent.name}` : entry.name);
+  const label = name.split('.')[0];
+
+  if (!parent && (name.split('.').length !== 2 || !name.endsWith('.eth'))) {
+    throw new Error(`${where}: top-level fixture names must be .eth second-level names; put deeper names under "subnames"`);
+  }
+  if (!parent && [...label].length < 3) {
+    throw new Error(`${where}: .eth labels need at least 3 characters to be registered`);
+  }
+
+  if (seen.has(name)) throw new Error(`${name} appears twice in the fixture`);
+  seen.add(name);
+
+  const unknownSections = Object.keys(entry.records || {}).filter(section => !RECORD_SECTIONS.includes(section));
+  if (unknownSections.length > 0) {
+    throw new Error(`${where}: unknown record section ${unknownSections.join(', ')} (use ${RECORD_SECTIONS.join(', ')})`);
+  }
+
+  const expiresInDays = entry.expiresInDays === undefined ? DEFAULT_EXPIRES_IN_DAYS : entry.expiresInDays;
+  if (parent && entry.expiresInDays !== undefined) {
+    throw new Error(`${where}: subnames follow their parent's expiry; set expiresInDays on the .eth name`);
+  }
+  if (typeof expiresInDays !== 'number' || !Number.isFinite(expiresInDays)) {
+    throw new Error(`${where}: expiresInDays must be a number`);
+  }
+
+  if (parent && entry.wrapped !== undefined) {
+    throw new Error(`${where}: subnames are wrapped when their parent is; set "wrapped" on the parent`);
+  }
+  const wrapped = parent ? parent.wrapped : entry.wrapped !== false;
+
+  const fuses = encodeFuses(entry.fuses || []);
+  if (fuses && !wrapped) {
+    throw new Error(`${where}: fuses need a wrapped name`);
+  }
+  if (!parent && (fuses & ~0xffff)) {
+    throw new Error(`${where}: only owner-controlled fuses can be burned on a .eth name, got ${decodeFuses(fuses & ~0xffff).join(', ')}`);
+  }
+  if ((fuses & FUSES.PARENT_CANNOT_CONTROL) && !(parent.fuses & FUSES.CANNOT_UNWRAP)) {
+    throw new Error(`${where}: PARENT_CANNOT_CONTROL needs CANNOT_UNWRAP burned on ${parent.name}`);
+  }
+  if ((fuses & FUSES.CANNOT_CREATE_SUBDOMAIN) && (entry.subnames || []).length > 0) {
+    throw new Error(`${where}: CANNOT_CREATE_SUBDOMAIN would block the subnames listed under it`);
+  }
+
+  const validated = {
+    name,
+    label,
+    owner: entry.owner || 'self',
+    expiresInDays: parent ? parent.expiresInDays : expiresInDays,
+    wrapped,
+    fuses,
+    records: entry.records || {},
+    primary: entry.primary === true,
+    subnames: []
+  };
+  validated.subnames = (entry.subnames || []).map(child => validateEntry(child, validated, seen));
+  return validated;
+}
+
+/**
+ * Validate a fixture and fill in defaults
+ * A fixture looks like:
+ *   {
+ *     "description": "...",
+ *     "names": [{
+ *       "name": "kenya-dev-series.eth",
+ *       "owner": "self" | "account:1" | "0x...",
+ *       "expiresInDays": 365,              (negative: expired that many days ago)
+ *       "wrapped": true,
+ *       "fuses": ["CANNOT_UNWRAP"],
+ *       "records": { "addr": { "eth": "owner", "btc": "bc1..." }, "text": { "url": "..." }, "contenthash": "ipfs://..." },
+ *       "primary": true,
+ *       "subnames": [{ "label": "alice", "owner": "account:2", "records": {}, "subnames": [] }]
+ *     }]
+ *   }
+ * @param {Object} fixture - Parsed fixture
+ * @returns {Object} - { id, description, names }
+ * @throws {Error} - If the fixture is malformed
+ */
+function validateFixture(fixture) {
+  if (!fixture || !Array.isArray(fixture.names) || fixture.names.length === 0) {
+    throw new Error('A fixture needs a non-empty "names" array');
+  }
+
+  const seen = new Set();
+  return {
+    id: fixture.id || null,
+    description: fixture.description || '',
+    names: fixture.names.map(entry => validateEntry(entry, null, seen))
+  };
+}
+
+/**
+ * List the fixtures shipped in hardhat/fixtures
+ * @returns {Object[]} - [{ id, description }]
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+      return { id: path.basename(file, '.json'), description: fixture.description || '' };
+    });
+}
+
+/**
+ * Load and validate a fixture by id (e.g., "module-02") or path to a JSON file
+ * @param {string} idOrPath - Fixture id or file path
+ * @returns {Object} - Validated fixture (see validateFixture)
+ * @throws {Error} - If the fixture does not exist or is malformed
+ */
+function loadFixture(idOrPath) {
+  const file = /[\\/]|\.json$/.test(idOrPath)
+    ? path.resolve(idOrPath)
+    : path.join(FIXTURES_DIR, `${idOrPath}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No fixture "${idOrPath}". Shipped fixtures: ${listFixtures().map(fixture => fixture.id).join(', ')}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  return validateFixture({ id: path.basename(file, '.json'), ...interpolate(parsed) });
+}
+
+/**
+ * Apply a fixture to the connected node
+ * Every name is compared with the chain first; only missing registrations, owners, resolvers,
+ * records, fuses, subnames and primary names are sent. Names meant to be expired are registered
+ * for a shorter term and the node is fast-forwarded once at the end, so a fresh run leaves each
+ * name active, in its grace period, or released as the fixture says. Owners must be accounts
+ * the node can sign for ("self", "account:<index>" or one of the node's addresses).
+ * @param {ethers.Signer} signer - Funded signer ("self"); pays for registrations
+ * @param {Object} fixture - Validated fixture (see loadFixture)
+ * @param {Object} options - Options
+ * @param {boolean} options.primaryNames - Set primary names (default true)
+ * @param {Function} options.log - Progress logger (default: silent)
+ * @returns {Promise<Object>} - { fixture, transactions, registered, renewed, expired, timeTravel }
+ */
+async function applyFixture(signer, fixture, options = {}) {
+  const log = options.log || (() => {});
+  const provider = signer.provider;
+  const { contracts } = await detectNetwork(provider);
+  const addresses = {
+    registry: contracts.registry,
+    baseRegistrar: contracts.baseRegistrar,
+    nameWrapper: contracts.nameWrapper
+  };
+  const publicResolver = ethers.utils.getAddress(contracts.publicResolver);
+
+  const registry = new ethers.Contract(contracts.registry, REGISTRY_ABI, provider);
+  const registrar = new ethers.Contract(contracts.baseRegistrar, BASE_REGISTRAR_ABI, provider);
+  const controller = new ethers.Contract(contracts.ethRegistrarController, CONTROLLER_ABI, signer);
+  const wrapper = new ethers.Contract(contracts.nameWrapper, NAME_WRAPPER_ABI, provider);
+
+  const self = ethers.utils.getAddress(await signer.getAddress());
+  const nodeAccounts = (await provider.listAccounts()).map(account => ethers.utils.getAddress(account));
+  const report = { fixture: fixture.id, transactions: 0, registered: [], renewed: [], expired: [], timeTravel: 0 };
+
+  function resolveAccount(ref) {
+    if (ref === 'self') return self;
+    const index = /^account:(\d+)$/.exec(ref);
+    if (index) {
+      const account = nodeAccounts[Number(index[1])];
+      if (!account) throw new Error(`"${ref}" does not exist; the node has ${nodeAccounts.length} accounts`);
+      return account;
+    }
+    if (ethers.utils.isAddress(ref)) return ethers.utils.getAddress(ref);
+    throw new Error(`Unknown account "${ref}"; use "self", "account:<index>" or an address`);
+  }
+
+  function signerFor(address, name) {
+    if (address === self) return signer;
+    if (nodeAccounts.includes(address)) return provider.getSigner(address);
+    throw new Error(`${name} is owned by ${address}, which the node can't sign for`);
+  }
+
+  async function send(description, txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    report.transactions += 1;
+    log(`[i] ${description}`);
+    return tx;
+  }
+
+  // Resolve accounts and encode records before anything is sent, so a typo fails early
+  const primaries = new Map();
+  function prepare(entry) {
+    entry.ownerAddress = resolveAccount(entry.owner);
+    const { addr = {}, text = {}, contenthash } = entry.records;
+    entry.updates = [
+      ...Object.entries(addr).map(([coin, value]) => ({
+        type: 'addr',
+        coin,
+        value: value === 'owner' ? entry.ownerAddress : (/^(self|account:\d+)$/.test(value) ? resolveAccount(value) : value)
+      })),
+      ...Object.entries(text).map(([key, value]) => ({ type: 'text', key, value })),
+      ...(contenthash === undefined ? [] : [{ type: 'contenthash', value: contenthash }])
+    ];
+    encodeRecordUpdates(entry.name, entry.updates);
+
+    if (entry.primary) {
+      if (primaries.has(entry.ownerAddress)) {
+        throw new Error(`${entry.ownerAddress} can't have both ${primaries.get(entry.ownerAddress)} and ${entry.name} as primary name`);
+      }
+      primaries.set(entry.ownerAddress, entry.name);
+    }
+    entry.subnames.forEach(prepare);
+  }
+  fixture.names.forEach(prepare);
+
+  // Work out what each .eth name needs relative to its desired state
+  const [{ timestamp: now }, gracePeriod, minDuration] = await Promise.all([
+    provider.getBlock('latest'),
+    registrar.GRACE_PERIOD().then(value => value.toNumber()),
+    controller.MIN_REGISTRATION_DURATION().then(value => value.toNumber())
+  ]);
+
+  const stateAt = (expiry, time) => {
+    if (expiry === 0) return 'unregistered';
+    if (expiry > time) return 'active';
+    return expiry + gracePeriod > time ? 'grace' : 'released';
+  };
+
+  const toRegister = [];
+  const toApply = [];
+  for (const entry of fixture.names) {
+    const expiresIn = Math.round(entry.expiresInDays * DAY);
+    const expiry = (await registrar.nameExpires(labelhash(entry.label))).toNumber();
+    const current = stateAt(expiry, now);
+    const desired = stateAt(now + expiresIn, now);
+    entry.expiresIn = expiresIn;
+
+    if (current === 'unregistered' || (current === 'released' && desired === 'active')) {
+      toRegister.push(entry);
+      toApply.push(entry);
+    } else if (current === 'grace' && desired === 'active') {
+      const duration = now + expiresIn - expiry;
+      const price = await controller.rentPrice(entry.label, duration);
+      await send(`Renewed ${entry.name} out of its grace period`, controller.renew(entry.label, duration, { value: withSlippage(price.base, 500) }));
+      report.renewed.push(entry.name);
+      toApply.push(entry);
+    } else if (current !== 'active') {
+      log(`[i] ${entry.name} is already ${current === 'grace' ? 'in its grace period' : 'released'}; left as is`);
+      report.expired.push(entry.name);
+    } else {
+      if (desired !== 'active') {
+        log(`[!] ${entry.name} is active but the fixture wants it expired; restart the node to re-seed it`);
+      }
+      toApply.push(entry);
+    }
+  }
+
+  // One fast-forward serves every new name: each is registered for the jump plus its own term,
+  // and the jump is long enough that every term meets the controller's 28-day minimum
+  report.timeTravel = toRegister.reduce((jump, entry) => Math.max(jump, minDuration - entry.expiresIn), 0);
+
+  if (toRegister.length > 0) {
+    const registrations = toRegister.map(entry => [
+      entry.label,
+      entry.ownerAddress,
+      report.timeTravel + entry.expiresIn,
+      ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+      publicResolver,
+      [],
+      false,
+      0
+    ]);
+
+    for (const args of registrations) {
+      await send(`Committed to ${args[0]}.eth`, controller.commit(await controller.makeCommitment(...args)));
+    }
+
+    // Skip the commit/reveal wait with Hardhat time travel
+    const minCommitmentAge = await controller.minCommitmentAge();
+    await provider.send('evm_increaseTime', [minCommitmentAge.toNumber() + 1]);
+    await provider.send('evm_mine', []);
+
+    for (const args of registrations) {
+      // The controller refunds anything sent above the price
+      const price = await controller.rentPrice(args[0], args[2]);
+      await send(`Registered ${args[0]}.eth → ${args[1]}`, controller.register(...args, { value: withSlippage(price.base.add(price.premium), 500) }));
+      report.registered.push(`${args[0]}.eth`);
+    }
+  }
+
+  async function applyCommon(entry, wrapped, parent) {
+    const node = namehash(entry.name);
+    const ownerSigner = signerFor(entry.ownerAddress, entry.name);
+
+    if (ethers.utils.getAddress(await registry.resolver(node)) !== publicResolver) {
+      const target = wrapped ? wrapper.connect(ownerSigner) : registry.connect(ownerSigner);
+      await send(`Set the resolver of ${entry.name}`, target.setResolver(node, publicResolver));
+    }
+
+    if (entry.updates.length > 0) {
+      const result = await setRecords(ownerSigner, entry.name, entry.updates, { resolver: publicResolver });
+      if (result.failed > 0) {
+        throw new Error(`Could not write the records of ${entry.name}: ${result.results.find(item => !item.success).error}`);
+      }
+      if (result.txHash) {
+        report.transactions += 1;
+        const labels = result.results.filter(item => item.status === 'updated').map(item => item.label);
+        log(`[i] Updated ${labels.join(', ')} on ${entry.name}`);
+      }
+    }
+
+    if (entry.fuses) {
+      const status = await getWrappedStatus(provider, entry.name, addresses);
+      const missing = entry.fuses & ~status.fuses;
+      if (missing && parent && !(status.fuses & FUSES.PARENT_CANNOT_CONTROL)) {
+        const parentStatus = await getWrappedStatus(provider, parent.name, addresses);
+        await send(
+          `Burned ${decodeFuses(missing).join(', ')} on ${entry.name}`,
+          setChildFuses(signerFor(parent.ownerAddress, parent.name), parent.name, entry.label, missing, parentStatus.expiry, addresses)
+        );
+      } else if (missing) {
+        await send(`Burned ${decodeFuses(missing).join(', ')} on ${entry.name}`, burnFuses(ownerSigner, entry.name, missing, addresses));
+      }
+    }
+
+    for (const child of entry.subnames) {
+      await applySubname(child, entry);
+    }
+
+    if (entry.primary && options.primaryNames !== false) {
+      const current = await lookupAddress(provider, entry.ownerAddress, { registry: contracts.registry });
+      if (current !== entry.name) {
+        await send(
+          `Set ${entry.name} as the primary name of ${entry.ownerAddress}`,
+          setPrimaryName(ownerSigner, entry.name, { registry: contracts.registry, reverseRegistrar: contracts.reverseRegistrar })
+        );
+      }
+    }
+  }
+
+  async function applyName(entry) {
+    const tokenId = labelhash(entry.label);
+    let status = await getWrappedStatus(provider, entry.name, addresses);
+
+    if (status.wrapped && !entry.wrapped) {
+      await send(`Unwrapped ${entry.name}`, unwrapETH2LD(signerFor(status.owner, entry.name), entry.name, addresses));
+      status = await getWrappedStatus(provider, entry.name, addresses);
+    } else if (!status.wrapped && entry.wrapped) {
+      const registrant = await registrar.ownerOf(tokenId);
+      await send(`Wrapped ${entry.name}`, wrapETH2LD(signerFor(registrant, entry.name), entry.name, addresses));
+      status = await getWrappedStatus(provider, entry.name, addresses);
+    }
+
+    if (entry.wrapped) {
+      if (status.owner !== entry.ownerAddress) {
+        await send(
+          `Transferred ${entry.name} → ${entry.ownerAddress}`,
+          wrapper.connect(signerFor(status.owner, entry.name)).safeTransferFrom(status.owner, entry.ownerAddress, status.node, 1, '0x')
+        );
+      }
+    } else {
+      // Unwrapped .eth names have a registrant (the NFT) and a registry owner; both should be the owner
+      const registrant = await registrar.ownerOf(tokenId);
+      if (registrant !== entry.ownerAddress) {
+        await send(
+          `Transferred ${entry.name} → ${entry.ownerAddress}`,
+          registrar.connect(signerFor(registrant, entry.name)).safeTransferFrom(registrant, entry.ownerAddress, tokenId)
+        );
+      }
+      if (await registry.owner(status.node) !== entry.ownerAddress) {
+        await send(
+          `Reclaimed ${entry.name} in the registry`,
+          registrar.connect(signerFor(entry.ownerAddress, entry.name)).reclaim(tokenId, entry.ownerAddress)
+        );
+      }
+    }
+
+    await applyCommon(entry, entry.wrapped, null);
+  }
+
+  async function applySubname(entry, parent) {
+    const node = namehash(entry.name);
+    const parentSigner = signerFor(parent.ownerAddress, parent.name);
+    const status = await getWrappedStatus(provider, entry.name, addresses);
+
+    if (parent.wrapped) {
+      if (!status.wrapped || !status.owner) {
+        await send(
+          `Created ${entry.name} → ${entry.ownerAddress}`,
+          setSubnodeRecord(parentSigner, parent.name, entry.label, { ...addresses, owner: entry.ownerAddress, resolver: publicResolver, fuses: entry.fuses })
+        );
+      } else if (status.owner !== entry.ownerAddress) {
+        await send(
+          `Transferred ${entry.name} → ${entry.ownerAddress}`,
+          wrapper.connect(signerFor(status.owner, entry.name)).safeTransferFrom(status.owner, entry.ownerAddress, node, 1, '0x')
+        );
+      }
+    } else if (!status.owner) {
+      await send(
+        `Created ${entry.name} → ${entry.ownerAddress}`,
+        registry.connect(parentSigner).setSubnodeRecord(namehash(parent.name), labelhash(entry.label), entry.ownerAddress, publicResolver, 0)
+      );
+    } else if (status.owner !== entry.ownerAddress) {
+      await send(
+        `Transferred ${entry.name} → ${entry.ownerAddress}`,
+        registry.connect(parentSigner).setSubnodeOwner(namehash(parent.name), labelhash(entry.label), entry.ownerAddress)
+      );
+    }
+
+    await applyCommon(entry, parent.wrapped, parent);
+  }
+
+  for (const entry of toApply) {
+    const before = report.transactions;
+    await applyName(entry);
+    if (report.transactions === before) log(`[i] ${entry.name} is up to date`);
+  }
+
+  if (report.timeTravel > 0) {
+    if (toApply.length > toRegister.length) {
+      log('[!] Fast-forwarding also ages the names that were already on chain');
+    }
+    await provider.send('evm_increaseTime', [report.timeTravel]);
+    await provider.send('evm_mine', []);
+    log(`[i] Fast-forwarded ${Math.ceil(report.timeTravel / DAY)} days so expiring names land in their grace period or release`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  listFixtures,
+  loadFixture,
+  validateFixture,
+  applyFixture
+};
@@ -2,9 +2,11 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 
 // Minimal config for local fork; toolbox is not required
+// FORK=false starts a plain local chain instead (deploy ENS with hardhat/scripts/00-deploy-ens.js)
 
 const MAINNET_RPC_URL = process.env.MAINNET_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2/demo';
 const FORK_BLOCK = process.env.FORK_BLOCK ? parseInt(process.env.FORK_BLOCK) : undefined;
+const FORK = process.env.FORK !== 'false';
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -17,10 +19,10 @@ module.exports = {
 	networks: {
 		hardhat: {
 			chainId: 31337,
-			forking: {
+			forking: FORK ? {
 				url: MAINNET_RPC_URL,
 				blockNumber: FORK_BLOCK
-			},
+			} : undefined,
 			accounts: {
 				accountsBalance: '100000000000000000000'
 			}
@@ -36,5 +38,9 @@ module.exports = {
 		tests: process.cwd() + '/hardhat/test',
 		cache: process.cwd() + '/hardhat/cache',
 		artifacts: process.cwd() + '/hardhat/artifacts'
+	},
+	// Integration tests share one seeded chain (test/helpers/local-chain.js) and send real transactions
+	mocha: {
+		timeout: 120000
 	}
 }; 
\ No newline at end of file
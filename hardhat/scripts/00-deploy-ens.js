@@ -0,0 +1,203 @@
+require('dotenv').config({ path: process.cwd() + '/.env' });
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Deploys ENS from the compiled artifacts in @ensdomains/ens-contracts onto a plain
+// local chain (no fork, no solc download) and writes the addresses to
+// hardhat/deployments/localhost.json, which the shared network registry reads for chainId 31337.
+
+const ARTIFACTS_DIR = path.resolve(__dirname, '../../node_modules/@ensdomains/ens-contracts/artifacts');
+const DEPLOYMENT_FILE = process.env.ENS_LOCAL_DEPLOYMENT || path.resolve(__dirname, '../deployments/localhost.json');
+
+const ZERO_HASH = ethers.constants.HashZero;
+const labelhash = (label) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+const namehash = (name) => name.split('.').reverse().reduce(
+  (node, label) => ethers.utils.keccak256(ethers.utils.concat([node, labelhash(label)])),
+  ZERO_HASH
+);
+
+// ETH/USD for the mock oracle (8 decimals) and the mainnet rent prices in attoUSD per second
+// for 1, 2, 3, 4 and 5+ character names ($640/year for 3 characters, $160 for 4, $5 for 5+)
+const ETH_USD_PRICE = process.env.LOCAL_ETH_USD_PRICE || '200000000000';
+const RENT_PRICES = ['0', '0', '20294266869609', '5073566717402', '158548959918'];
+// Premium for released names: $100M decaying over 21 days, as on mainnet
+const PREMIUM_START = ethers.utils.parseEther('100000000');
+const PREMIUM_DAYS = 21;
+const MIN_COMMITMENT_AGE = 60;
+const MAX_COMMITMENT_AGE = 86400;
+const BATCH_GATEWAYS = ['https://ccip-v2.ens.xyz'];
+
+/**
+ * Find a compiled contract in the ens-contracts package
+ * Test and mock contracts are skipped when a name exists in several folders.
+ * @param {string} name - Contract name (e.g., "ENSRegistry")
+ * @returns {Object} - Hardhat artifact with abi and bytecode
+ */
+function readArtifact(name) {
+  if (!fs.existsSync(ARTIFACTS_DIR)) {
+    throw new Error(`No artifacts at ${ARTIFACTS_DIR}. Run npm install in the repository root`);
+  }
+
+  const matches = [];
+  const stack = [ARTIFACTS_DIR];
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        stack.push(entryPath);
+      } else if (entry.name === `${name}.json`) {
+        matches.push(entryPath);
+      }
+    }
+  }
+
+  const [file] = matches
+    .filter(match => !/[\\/](test|mocks?)[\\/]/i.test(path.relative(ARTIFACTS_DIR, match)))
+    .sort();
+  if (!file) {
+    throw new Error(`Contract ${name} not found in @ensdomains/ens-contracts artifacts`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Deploy and wire up ENS on the local chain the deployer is connected to
+ * @param {ethers.Signer} deployer - Funded signer; owns the root node and the contracts
+ * @param {Object} options - Options
+ * @param {Function} options.log - Progress logger (default: silent)
+ * @returns {Promise<Object>} - Deployment record { chainId, blockNumber, blockHash, deployer, deployedAt, contracts }
+ */
+async function deployENS(deployer, options = {}) {
+  const log = options.log || (() => {});
+  const provider = deployer.provider;
+  const deployerAddress = await deployer.getAddress();
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== 31337) {
+    throw new Error(`Refusing to deploy ENS to chain ${chainId}; this script is for the local Hardhat node`);
+  }
+  log(`[i] Deploying ENS to the local chain from ${deployerAddress}`);
+
+  // Constructor arity is checked so an ens-contracts upgrade fails loudly instead of miswiring
+  async function deploy(name, ...args) {
+    const artifact = readArtifact(name);
+    const constructor = artifact.abi.find(item => item.type === 'constructor');
+    const inputs = constructor ? constructor.inputs : [];
+    if (inputs.length !== args.length) {
+      const expected = inputs.map(input => `${input.type} ${input.name}`).join(', ');
+      throw new Error(`${name} constructor takes (${expected}); this script passes ${args.length} arguments`);
+    }
+
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+    const contract = await factory.deploy(...args);
+    await contract.deployed();
+    log(`[i] ${name} → ${contract.address}`);
+    return contract;
+  }
+
+  async function send(description, txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    log(`[i] ${description}`);
+  }
+
+  // Registry: the deployer owns the root and hands out "eth" and "addr.reverse"
+  const registry = await deploy('ENSRegistry');
+
+  const baseRegistrar = await deploy('BaseRegistrarImplementation', registry.address, namehash('eth'));
+  await send('eth → BaseRegistrar', registry.setSubnodeOwner(ZERO_HASH, labelhash('eth'), baseRegistrar.address));
+
+  const reverseRegistrar = await deploy('ReverseRegistrar', registry.address);
+  await send('reverse → deployer', registry.setSubnodeOwner(ZERO_HASH, labelhash('reverse'), deployerAddress));
+  await send('addr.reverse → ReverseRegistrar', registry.setSubnodeOwner(namehash('reverse'), labelhash('addr'), reverseRegistrar.address));
+
+  const metadataService = await deploy('StaticMetadataService', 'http://localhost/name/0x{id}');
+  const nameWrapper = await deploy('NameWrapper', registry.address, baseRegistrar.address, metadataService.address);
+  await send('NameWrapper is a registrar controller', baseRegistrar.addController(nameWrapper.address));
+
+  // Pricing: a fixed ETH/USD feed behind the mainnet premium oracle
+  const usdOracle = await deploy('DummyOracle', ETH_USD_PRICE);
+  const priceOracle = await deploy('ExponentialPremiumPriceOracle', usdOracle.address, RENT_PRICES, PREMIUM_START, PREMIUM_DAYS);
+
+  const controllerArtifact = readArtifact('ETHRegistrarController');
+  const controllerInputs = controllerArtifact.abi.find(item => item.type === 'constructor').inputs;
+  if (!controllerInputs.some(input => /namewrapper/i.test(input.name))) {
+    throw new Error('This ETHRegistrarController does not register through the NameWrapper; the examples expect the NameWrapper-era controller');
+  }
+  const controller = await deploy(
+    'ETHRegistrarController',
+    baseRegistrar.address,
+    priceOracle.address,
+    MIN_COMMITMENT_AGE,
+    MAX_COMMITMENT_AGE,
+    reverseRegistrar.address,
+    nameWrapper.address,
+    registry.address
+  );
+  await send('Controller can register', baseRegistrar.addController(controller.address));
+  await send('Controller can wrap', nameWrapper.setController(controller.address, true));
+  await send('Controller can set reverse records', reverseRegistrar.setController(controller.address, true));
+
+  const publicResolver = await deploy(
+    'PublicResolver',
+    registry.address,
+    nameWrapper.address,
+    controller.address,
+    reverseRegistrar.address
+  );
+  await send('PublicResolver is the default reverse resolver', reverseRegistrar.setDefaultResolver(publicResolver.address));
+
+  // Older releases take (registry, gateways); newer ones add an owner first
+  const universalInputs = readArtifact('UniversalResolver').abi.find(item => item.type === 'constructor').inputs;
+  const universalResolver = universalInputs.length === 3
+    ? await deploy('UniversalResolver', deployerAddress, registry.address, BATCH_GATEWAYS)
+    : await deploy('UniversalResolver', registry.address, BATCH_GATEWAYS);
+
+  const bulkRenewal = await deploy('StaticBulkRenewal', controller.address);
+
+  // Recorded block: detectNetwork only trusts this file on the chain that produced it
+  const block = await provider.getBlock('latest');
+  return {
+    chainId,
+    blockNumber: block.number,
+    blockHash: block.hash,
+    deployer: deployerAddress,
+    deployedAt: new Date().toISOString(),
+    contracts: {
+      registry: registry.address,
+      baseRegistrar: baseRegistrar.address,
+      ethRegistrarController: controller.address,
+      publicResolver: publicResolver.address,
+      nameWrapper: nameWrapper.address,
+      universalResolver: universalResolver.address,
+      reverseRegistrar: reverseRegistrar.address,
+      bulkRenewal: bulkRenewal.address,
+      priceOracle: priceOracle.address,
+      usdOracle: usdOracle.address
+    }
+  };
+}
+
+async function main() {
+  const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!privateKey) throw new Error('PRIVATE_KEY not set in .env');
+
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const deployer = new ethers.Wallet(privateKey, provider);
+  const deployment = await deployENS(deployer, { log: message => console.log(message) });
+
+  fs.mkdirSync(path.dirname(DEPLOYMENT_FILE), { recursive: true });
+  fs.writeFileSync(DEPLOYMENT_FILE, `${JSON.stringify(deployment, null, 2)}\n`);
+  console.log(`[✓] ENS deployed; addresses written to ${path.relative(process.cwd(), DEPLOYMENT_FILE)}`);
+}
+
+module.exports = { deployENS };
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
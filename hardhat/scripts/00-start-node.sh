@@ -3,6 +3,7 @@ set -euo pipefail
 
 # Start a local Hardhat node with a mainnet fork
 # Usage: ./hardhat/scripts/00-start-node.sh
+#        FORK=false ./hardhat/scripts/00-start-node.sh   (plain local chain, no RPC needed)
 
 ROOT_DIR=$(cd "$(dirname "$0")/.." && pwd)
 cd "$ROOT_DIR"
@@ -14,6 +15,10 @@ fi
 
 source ../.env
 
-echo "[i] Starting Hardhat node (fork: $MAINNET_RPC_URL, block: ${FORK_BLOCK:-latest})"
+if [ "${FORK:-true}" = "false" ]; then
+  echo "[i] Starting Hardhat node (no fork; deploy ENS with: npm run local:deploy)"
+else
+  echo "[i] Starting Hardhat node (fork: $MAINNET_RPC_URL, block: ${FORK_BLOCK:-latest})"
+fi
 
 npx hardhat node --config ./hardhat.config.js | cat
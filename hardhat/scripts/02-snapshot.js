@@ -0,0 +1,107 @@
+require('dotenv').config({ path: process.cwd() + '/.env' });
+const { ethers } = require('ethers');
+const { SnapshotManager, DAY } = require('../snapshots');
+const { loadFixture, applyFixture } = require('../fixtures');
+
+// Named snapshots of the running node, so a workshop exercise can be retried from the same state
+// instantly instead of resetting the fork. Names are kept in .ens-snapshots.json (ENS_SNAPSHOTS).
+// e.g. npm run snapshot -- seed module-02, then npm run snapshot -- restore after-module-02
+
+const USAGE = `Usage: npm run snapshot -- <command>
+  list                              snapshots on the node (default)
+  take <name> [description]         snapshot the current state
+  restore <name>                    return to a snapshot (it can be restored again)
+  seed <fixture> [name]             apply a seed fixture, then snapshot as "after-<fixture>" or <name>
+  travel <days>                     move block time forward
+  remove <name>                     forget a snapshot
+  prune                             forget snapshots the node no longer has`;
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const snapshots = new SnapshotManager(provider);
+
+  switch (command) {
+    case 'list': {
+      const entries = await snapshots.list();
+      if (entries.length === 0) {
+        console.log('[i] No snapshots yet. Take one with: npm run snapshot -- take <name>');
+        return;
+      }
+      for (const entry of entries) {
+        const status = entry.stale ? ' (stale: not on this node)' : '';
+        console.log(`${entry.name.padEnd(20)} block ${String(entry.blockNumber).padEnd(10)} ${formatTime(entry.timestamp)}  ${entry.description}${status}`);
+      }
+      return;
+    }
+
+    case 'take': {
+      const [name, ...description] = args;
+      if (!name) throw new Error(USAGE);
+      const entry = await snapshots.take(name, description.length > 0 ? { description: description.join(' ') } : {});
+      console.log(`[✓] Snapshot "${entry.name}" taken at block ${entry.blockNumber} (${formatTime(entry.timestamp)})`);
+      return;
+    }
+
+    case 'restore': {
+      const [name] = args;
+      if (!name) throw new Error(USAGE);
+      const result = await snapshots.restore(name);
+      console.log(`[✓] Restored "${result.name}": block ${result.blockNumber}, ${formatTime(result.timestamp)}`);
+      if (result.dropped.length > 0) {
+        console.log(`[!] Snapshots taken after it are gone from the node: ${result.dropped.join(', ')}`);
+      }
+      return;
+    }
+
+    case 'seed': {
+      const [fixtureId, name] = args;
+      if (!fixtureId) throw new Error(USAGE);
+      const privateKey = process.env.PRIVATE_KEY;
+      if (!privateKey) throw new Error('PRIVATE_KEY not set in .env');
+
+      const fixture = loadFixture(fixtureId);
+      const report = await applyFixture(new ethers.Wallet(privateKey, provider), fixture, {
+        primaryNames: process.env.SEED_PRIMARY_NAME !== 'false',
+        log: message => console.log(message)
+      });
+      const entry = await snapshots.take(name || `after-${fixture.id}`, { description: fixture.description });
+      console.log(`[✓] Applied "${fixture.id}" (${report.transactions} transaction(s)) and took snapshot "${entry.name}"`);
+      return;
+    }
+
+    case 'travel': {
+      const days = Number(args[0]);
+      if (!(days > 0)) throw new Error(USAGE);
+      const block = await snapshots.increaseTime(Math.round(days * DAY));
+      console.log(`[✓] Block time is now ${formatTime(block.timestamp)} (block ${block.blockNumber})`);
+      return;
+    }
+
+    case 'remove': {
+      const [name] = args;
+      if (!name) throw new Error(USAGE);
+      console.log(await snapshots.remove(name) ? `[✓] Forgot "${name}"` : `[i] No snapshot "${name}"`);
+      return;
+    }
+
+    case 'prune': {
+      const removed = await snapshots.prune();
+      console.log(removed.length > 0 ? `[✓] Forgot ${removed.join(', ')}` : '[i] Every snapshot is still on the node');
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}"\n${USAGE}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+// Named Node Snapshots
+// evm_snapshot / evm_revert / evm_increaseTime on the local node, with names that survive between commands
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { FileJsonStore, MemoryJsonStore } = require('../../curriculum/examples/shared-utilities/json-store');
+
+const DEFAULT_STORE_FILE = '.ens-snapshots.json';
+const STORE_VERSION = 1;
+const DAY = 24 * 60 * 60;
+const SNAPSHOT_NAME = /^[a-z0-9][a-z0-9._-]*$/;
+
+// In-memory snapshot names (useful for tests)
+const MemorySnapshotStore = MemoryJsonStore;
+
+// Snapshot names in a JSON file (ENS_SNAPSHOTS), so snapshots taken by one command can be restored by the next
+class FileSnapshotStore extends FileJsonStore {
+  constructor(filePath = process.env.ENS_SNAPSHOTS || path.resolve(process.cwd(), DEFAULT_STORE_FILE)) {
+    super(filePath, { description: 'snapshot store', indent: 2 });
+  }
+}
+
+/**
+ * Named snapshots of a Hardhat (or Anvil/Ganache) node
+ * The node only knows snapshot ids, and it forgets an id once it is reverted to, along
+ * with every snapshot taken after it. This keeps the names: restore() reverts and
+ * immediately snapshots again under the same name, so a snapshot can be restored any
+ * number of times, and later snapshots the node dropped are removed from the store.
+ * Each entry records the block it was taken at; an entry whose block is no longer on
+ * the node (the node was restarted) is reported as stale.
+ */
+class SnapshotManager {
+  /**
+   * @param {ethers.providers.JsonRpcProvider} provider - Provider for the local node
+   * @param {Object} options - Options
+   * @param {Object} options.store - Store with load()/save() (default: FileSnapshotStore)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.store = options.store || new FileSnapshotStore();
+  }
+
+  async load() {
+    const state = await this.store.load();
+    if (state && state.version !== STORE_VERSION) {
+      throw new Error(`Snapshot store version ${state.version} is not supported; delete it and take the snapshots again`);
+    }
+    return state || { version: STORE_VERSION, snapshots: {} };
+  }
+
+  // Whether the block a snapshot was taken at is still on the node
+  async isCurrent(entry) {
+    const block = await this.provider.getBlock(entry.blockNumber).catch(() => null);
+    return Boolean(block) && block.hash === entry.blockHash;
+  }
+
+  /**
+   * List snapshots, oldest first
+   * @returns {Promise<Object[]>} - { name, id, description, blockNumber, blockHash, timestamp, takenAt, stale }
+   */
+  async list() {
+    const { snapshots } = await this.load();
+    const entries = Object.values(snapshots).sort((a, b) => compareIds(a.id, b.id));
+    return Promise.all(entries.map(async entry => ({ ...entry, stale: !(await this.isCurrent(entry)) })));
+  }
+
+  /**
+   * Snapshot the node's current state under a name, replacing any snapshot with that name
+   * @param {string} name - Snapshot name (lowercase letters, digits, ".", "_" and "-"), e.g. "after-module-02"
+   * @param {Object} options - Options
+   * @param {string} options.description - What the snapshot holds
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async take(name, options = {}) {
+    if (!SNAPSHOT_NAME.test(name)) {
+      throw new Error(`Invalid snapshot name "${name}"; use lowercase letters, digits, ".", "_" and "-"`);
+    }
+
+    const state = await this.load();
+    const previous = state.snapshots[name];
+    const id = await this.send('evm_snapshot', []);
+    const block = await this.provider.getBlock('latest');
+
+    const entry = {
+      name,
+      id,
+      description: options.description !== undefined ? options.description : (previous ? previous.description : ''),
+      blockNumber: block.number,
+      blockHash: block.hash,
+      timestamp: block.timestamp,
+      takenAt: new Date().toISOString()
+    };
+    state.snapshots[name] = entry;
+    await this.store.save(state);
+    return entry;
+  }
+
+  /**
+   * Return the node to a named snapshot
+   * Snapshots taken after it are gone from the node once it reverts, so they are dropped.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} - { name, blockNumber, timestamp, dropped: names of the dropped snapshots }
+   * @throws {Error} - If there is no such snapshot or the node no longer has it
+   */
+  async restore(name) {
+    const state = await this.load();
+    const entry = state.snapshots[name];
+    if (!entry) {
+      const names = Object.keys(state.snapshots);
+      throw new Error(`No snapshot "${name}"${names.length > 0 ? `. Snapshots: ${names.join(', ')}` : ''}`);
+    }
+
+    if (!(await this.isCurrent(entry)) || !(await this.send('evm_revert', [entry.id]))) {
+      throw new Error(`The node no longer has snapshot "${name}" (was it restarted?); take it again`);
+    }
+
+    const dropped = Object.values(state.snapshots)
+      .filter(other => other.name !== name && compareIds(other.id, entry.id) > 0)
+      .map(other => other.name);
+    for (const other of dropped) {
+      delete state.snapshots[other];
+    }
+    await this.store.save(state);
+
+    // The node consumed the id; snapshot again so the name can be restored next time
+    const retaken = await this.take(name, { description: entry.description });
+    return { name, blockNumber: retaken.blockNumber, timestamp: retaken.timestamp, dropped };
+  }
+
+  /**
+   * Forget a snapshot (the node keeps it until a revert discards it)
+   * @param {string} name - Snapshot name
+   * @returns {Promise<boolean>} - True if there was such a snapshot
+   */
+  async remove(name) {
+    const state = await this.load();
+    if (!state.snapshots[name]) return false;
+    delete state.snapshots[name];
+    await this.store.save(state);
+    return true;
+  }
+
+  /**
+   * Forget every stale snapshot
+   * @returns {Promise<string[]>} - Names of the removed snapshots
+   */
+  async prune() {
+    const stale = (await this.list()).filter(entry => entry.stale).map(entry => entry.name);
+    const state = await this.load();
+    for (const name of stale) {
+      delete state.snapshots[name];
+    }
+    await this.store.save(state);
+    return stale;
+  }
+
+  /**
+   * Move block time forward and mine a block with the new time
+   * @param {number} seconds - Seconds to skip
+   * @returns {Promise<Object>} - { blockNumber, timestamp } of the mined block
+   */
+  async increaseTime(seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`Time can only move forward by a whole number of seconds, got ${seconds}`);
+    }
+    await this.send('evm_increaseTime', [seconds]);
+    await this.send('evm_mine', []);
+    const block = await this.provider.getBlock('latest');
+    return { blockNumber: block.number, timestamp: block.timestamp };
+  }
+
+  // JSON-RPC call with a clear error on nodes without the evm_* methods
+  async send(method, params) {
+    try {
+      return await this.provider.send(method, params);
+    } catch (error) {
+      if (/not (supported|available|found)|does not exist|unknown method/i.test(error.message)) {
+        throw new Error(`The node does not support ${method}; snapshots need a local Hardhat, Anvil or Ganache node`);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Order snapshot ids (hex quantities that the node hands out in increasing order)
+ * @param {string} a - Snapshot id
+ * @param {string} b - Snapshot id
+ * @returns {number} - Negative, zero or positive
+ */
+function compareIds(a, b) {
+  const left = ethers.BigNumber.from(a);
+  const right = ethers.BigNumber.from(b);
+  return left.eq(right) ? 0 : (left.lt(right) ? -1 : 1);
+}
+
+module.exports = {
+  DAY,
+  SnapshotManager,
+  FileSnapshotStore,
+  MemorySnapshotStore
+};
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+// Minimal NFTs for the avatar tests: only what ENSIP-12 reads (ownership and metadata URIs).
+// Not compiled by Hardhat; the bytecode is in ../helpers/avatar-nfts.js (solc 0.8.23, optimizer 200 runs).
+
+contract TestERC721 {
+    mapping(uint256 => address) private owners;
+    mapping(uint256 => string) private tokenURIs;
+
+    function mint(address to, uint256 tokenId, string calldata tokenURI_) external {
+        owners[tokenId] = to;
+        tokenURIs[tokenId] = tokenURI_;
+    }
+
+    function ownerOf(uint256 tokenId) external view returns (address) {
+        address owner = owners[tokenId];
+        require(owner != address(0), "ERC721: invalid token ID");
+        return owner;
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        require(owners[tokenId] != address(0), "ERC721: invalid token ID");
+        return tokenURIs[tokenId];
+    }
+}
+
+contract TestERC1155 {
+    string private uri_;
+    mapping(uint256 => mapping(address => uint256)) private balances;
+
+    constructor(string memory uriTemplate) {
+        uri_ = uriTemplate;
+    }
+
+    function mint(address to, uint256 id, uint256 amount) external {
+        balances[id][to] += amount;
+    }
+
+    function balanceOf(address account, uint256 id) external view returns (uint256) {
+        return balances[id][account];
+    }
+
+    function uri(uint256) external view returns (string memory) {
+        return uri_;
+    }
+}
@@ -0,0 +1,101 @@
+// Avatar Test NFTs
+// Minimal ERC-721 and ERC-1155 contracts (../contracts/AvatarNFTs.sol) for the ENSIP-12 avatar tests
+
+const { ethers } = require('ethers');
+
+const ERC721_ABI = [
+  'function mint(address to, uint256 tokenId, string tokenURI)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)'
+];
+
+const ERC1155_ABI = [
+  'constructor(string uriTemplate)',
+  'function mint(address to, uint256 id, uint256 amount)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function uri(uint256 id) view returns (string)'
+];
+
+// Creation bytecode from solc 0.8.23 (optimizer 200 runs), so the tests need no compiler
+const ERC721_BYTECODE =
+  '0x608060405234801561000f575f80fd5b506104c38061001d5f395ff3fe608060405234801561000f575f80fd5b50600436' +
+  '1061003f575f3560e01c80636352211e14610043578063c87b56dd14610073578063d3fc986414610093575b5f80fd5b6100' +
+  '5661005136600461024e565b6100a8565b6040516001600160a01b0390911681526020015b60405180910390f35b61008661' +
+  '008136600461024e565b610112565b60405161006a9190610265565b6100a66100a13660046102b1565b61020e565b005b5f' +
+  '818152602081905260408120546001600160a01b03168061010c5760405162461bcd60e51b81526020600482015260186024' +
+  '82015277115490cdcc8c4e881a5b9d985b1a59081d1bdad95b88125160421b60448201526064015b60405180910390fd5b92' +
+  '915050565b5f818152602081905260409020546060906001600160a01b03166101735760405162461bcd60e51b8152602060' +
+  '048201526018602482015277115490cdcc8c4e881a5b9d985b1a59081d1bdad95b88125160421b6044820152606401610103' +
+  '565b5f828152600160205260409020805461018b9061033e565b80601f016020809104026020016040519081016040528092' +
+  '91908181526020018280546101b79061033e565b80156102025780601f106101d95761010080835404028352916020019161' +
+  '0202565b820191905f5260205f20905b8154815290600101906020018083116101e557829003601f168201915b5050505050' +
+  '9050919050565b5f8381526020818152604080832080546001600160a01b0319166001600160a01b03891617905560019091' +
+  '5290206102478284836103d3565b5050505050565b5f6020828403121561025e575f80fd5b5035919050565b5f6020808352' +
+  '83518060208501525f5b8181101561029157858101830151858201604001528201610275565b505f60408286010152604060' +
+  '1f19601f8301168501019250505092915050565b5f805f80606085870312156102c4575f80fd5b84356001600160a01b0381' +
+  '1681146102da575f80fd5b935060208501359250604085013567ffffffffffffffff808211156102fd575f80fd5b81870191' +
+  '5087601f830112610310575f80fd5b81358181111561031e575f80fd5b88602082850101111561032f575f80fd5b95989497' +
+  '505060200194505050565b600181811c9082168061035257607f821691505b60208210810361037057634e487b7160e01b5f' +
+  '52602260045260245ffd5b50919050565b634e487b7160e01b5f52604160045260245ffd5b601f8211156103ce57805f5260' +
+  '205f20601f840160051c810160208510156103af5750805b601f840160051c820191505b81811015610247575f8155600101' +
+  '6103bb565b505050565b67ffffffffffffffff8311156103eb576103eb610376565b6103ff836103f9835461033e565b8361' +
+  '038a565b5f601f841160018114610430575f85156104195750838201355b5f19600387901b1c1916600186901b1783556102' +
+  '47565b5f83815260208120601f198716915b8281101561045f578685013582556020948501946001909201910161043f565b' +
+  '508682101561047b575f1960f88860031b161c19848701351681555b505060018560011b018355505050505056fea2646970' +
+  '66735822122011310799a421b0eba28ef727093b759ed34a0384b15ad4179d5895efacff163b64736f6c63430008170033';
+
+const ERC1155_BYTECODE =
+  '0x608060405234801561000f575f80fd5b5060405161055b38038061055b83398101604081905261002e91610054565b5f61' +
+  '0039828261019a565b5050610259565b634e487b7160e01b5f52604160045260245ffd5b5f6020808385031215610065575f' +
+  '80fd5b82516001600160401b038082111561007b575f80fd5b818501915085601f83011261008e575f80fd5b815181811115' +
+  '6100a0576100a0610040565b604051601f8201601f19908116603f011681019083821181831017156100c8576100c8610040' +
+  '565b8160405282815288868487010111156100df575f80fd5b5f93505b828410156101005784840186015181850187015292' +
+  '8501926100e3565b5f86848301015280965050505050505092915050565b600181811c9082168061012a57607f821691505b' +
+  '60208210810361014857634e487b7160e01b5f52602260045260245ffd5b50919050565b601f82111561019557805f526020' +
+  '5f20601f840160051c810160208510156101735750805b601f840160051c820191505b81811015610192575f815560010161' +
+  '017f565b50505b505050565b81516001600160401b038111156101b3576101b3610040565b6101c7816101c1845461011656' +
+  '5b8461014e565b602080601f8311600181146101fa575f84156101e35750858301515b5f19600386901b1c1916600185901b' +
+  '178555610251565b5f85815260208120601f198616915b828110156102285788860151825594840194600190910190840161' +
+  '0209565b508582101561024557878501515f19600388901b60f8161c191681555b505060018460011b0185555b5050505050' +
+  '50565b6102f5806102665f395ff3fe608060405234801561000f575f80fd5b506004361061003e575f3560e01c8062fdd58e' +
+  '146100425780630e89341c14610068578063156e29f614610088575b5f80fd5b6100556100503660046101ad565b61009d56' +
+  '5b6040519081526020015b60405180910390f35b61007b6100763660046101d5565b6100c6565b60405161005f91906101ec' +
+  '565b61009b610096366004610238565b610157565b005b5f8181526001602090815260408083206001600160a01b03861684' +
+  '529091529020545b92915050565b60605f80546100d490610268565b80601f01602080910402602001604051908101604052' +
+  '8092919081815260200182805461010090610268565b801561014b5780601f10610122576101008083540402835291602001' +
+  '9161014b565b820191905f5260205f20905b81548152906001019060200180831161012e57829003601f168201915b505050' +
+  '50509050919050565b5f8281526001602090815260408083206001600160a01b038716845290915281208054839290610188' +
+  '9084906102a0565b9091555050505050565b80356001600160a01b03811681146101a8575f80fd5b919050565b5f80604083' +
+  '850312156101be575f80fd5b6101c783610192565b946020939093013593505050565b5f602082840312156101e5575f80fd' +
+  '5b5035919050565b5f602080835283518060208501525f5b81811015610218578581018301518582016040015282016101fc' +
+  '565b505f604082860101526040601f19601f8301168501019250505092915050565b5f805f6060848603121561024a575f80' +
+  'fd5b61025384610192565b95602085013595506040909401359392505050565b600181811c9082168061027c57607f821691' +
+  '505b60208210810361029a57634e487b7160e01b5f52602260045260245ffd5b50919050565b808201808211156100c05763' +
+  '4e487b7160e01b5f52601160045260245ffdfea26469706673582212209a9aa9411c40d315ec48d4403891bf64dc69f7adf6' +
+  '1aa733c2d8470af8a6d13e64736f6c63430008170033';
+
+/**
+ * Deploy an ERC-721 whose tokens each carry their own tokenURI
+ * @param {ethers.Signer} signer - Deployer
+ * @returns {Promise<ethers.Contract>} - Deployed contract (mint(to, tokenId, tokenURI))
+ */
+async function deployTestERC721(signer) {
+  const contract = await new ethers.ContractFactory(ERC721_ABI, ERC721_BYTECODE, signer).deploy();
+  return contract.deployed();
+}
+
+/**
+ * Deploy an ERC-1155 with a shared metadata URI template
+ * @param {ethers.Signer} signer - Deployer
+ * @param {string} uriTemplate - Metadata URI, usually containing {id}
+ * @returns {Promise<ethers.Contract>} - Deployed contract (mint(to, id, amount))
+ */
+async function deployTestERC1155(signer, uriTemplate) {
+  const contract = await new ethers.ContractFactory(ERC1155_ABI, ERC1155_BYTECODE, signer).deploy(uriTemplate);
+  return contract.deployed();
+}
+
+module.exports = {
+  deployTestERC721,
+  deployTestERC1155
+};
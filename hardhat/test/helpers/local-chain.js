@@ -0,0 +1,106 @@
+// Local Chain for Tests
+// Boots ENS on the in-process Hardhat network once per test run and seeds every fixture
+
+const { ethers } = require('ethers');
+const { deployENS } = require('../../scripts/00-deploy-ens');
+const { registerLocalDeployment } = require('../../../curriculum/examples/shared-utilities/local-deployment');
+const { loadFixture, applyFixture } = require('../../fixtures');
+const { MULTICALL3, MULTICALL3_CODE } = require('./multicall3');
+
+// Applied in order; later fixtures move primary names and time forward
+const FIXTURES = ['default', 'module-01', 'module-02', 'module-03', 'module-04', 'module-05', 'module-06'];
+const ACCOUNT_COUNT = 6;
+// Deploying and seeding takes a few hundred transactions; give the first before() hook room
+const BOOT_TIMEOUT = 10 * 60 * 1000;
+
+let chainReady = null;
+let server = null;
+
+/**
+ * Start a JSON-RPC server on the Hardhat network, deploy ENS and apply the fixtures
+ * The examples take an RPC URL, so they talk to the in-process chain over HTTP. The
+ * deployment is registered in-process so detectNetwork picks it up without touching
+ * hardhat/deployments/localhost.json.
+ * @returns {Promise<Object>} - { hre, rpcUrl, provider, accounts, deployment, fixtures, snapshot, revert }
+ */
+function startLocalChain() {
+  if (!chainReady) {
+    chainReady = boot().catch((error) => {
+      chainReady = null;
+      throw error;
+    });
+  }
+  return chainReady;
+}
+
+async function boot() {
+  const hre = require('hardhat');
+  if (hre.network.name !== 'hardhat' || hre.network.config.forking) {
+    throw new Error('Integration tests need the plain in-process chain; run them with FORK=false (npm test)');
+  }
+
+  const { TASK_NODE_CREATE_SERVER } = require('hardhat/builtin-tasks/task-names');
+  server = await hre.run(TASK_NODE_CREATE_SERVER, {
+    hostname: '127.0.0.1',
+    port: 0,
+    provider: hre.network.provider
+  });
+  const { port } = await server.listen();
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  process.env.RPC_URL = rpcUrl;
+
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const { mnemonic, path: hdPath } = hre.network.config.accounts;
+  const accounts = [];
+  for (let index = 0; index < ACCOUNT_COUNT; index++) {
+    accounts.push(ethers.Wallet.fromMnemonic(mnemonic, `${hdPath}/${index}`).connect(provider));
+  }
+
+  const deployment = await deployENS(accounts[0]);
+
+  // Installed from its runtime code, so the suite never compiles Solidity
+  await provider.send('hardhat_setCode', [MULTICALL3, MULTICALL3_CODE]);
+  deployment.contracts.multicall3 = MULTICALL3;
+
+  registerLocalDeployment(deployment);
+
+  const fixtures = {};
+  for (const id of FIXTURES) {
+    fixtures[id] = await applyFixture(accounts[0], loadFixture(id));
+  }
+
+  return {
+    hre,
+    rpcUrl,
+    provider,
+    accounts,
+    deployment,
+    fixtures,
+    snapshot: () => provider.send('evm_snapshot', []),
+    revert: id => provider.send('evm_revert', [id])
+  };
+}
+
+/**
+ * Block timestamp of the latest block
+ * @param {ethers.providers.Provider} provider - Connected provider
+ * @returns {Promise<number>} - Unix timestamp
+ */
+async function blockTime(provider) {
+  return (await provider.getBlock('latest')).timestamp;
+}
+
+// Root hook: runs once after every test file
+after(async function () {
+  if (server) {
+    await server.close();
+    server = null;
+  }
+});
+
+module.exports = {
+  FIXTURES,
+  BOOT_TIMEOUT,
+  startLocalChain,
+  blockTime
+};
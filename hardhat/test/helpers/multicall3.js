@@ -0,0 +1,125 @@
+// Multicall3 Runtime Code
+// Installed with hardhat_setCode so the tests need no Solidity compiler (and no solc download)
+
+// Multicall3 lives at the same address on every chain; the examples batch through it
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Runtime bytecode of Multicall3 (github.com/mds1/multicall, solc 0.8.12), the contract at MULTICALL3
+const MULTICALL3_CODE =
+  '0x6080604052600436106100f35760003560e01c80634d2301cc1161008a578063a8b0574e11610059578063a8b0574e1461' +
+  '0325578063bce38bd714610350578063c3077fa914610380578063ee82ac5e146103b2576100f3565b80634d2301cc146102' +
+  '6257806372425d9d1461029f57806382ad56cb146102ca57806386d516e8146102fa576100f3565b80633408e470116100c6' +
+  '5780633408e470146101af578063399542e9146101da5780633e64a6961461020c57806342cbb15c14610237576100f3565b' +
+  '80630f28c97d146100f8578063174dea7114610123578063252dba421461015357806327e86d6e14610184575b600080fd5b' +
+  '34801561010457600080fd5b5061010d6103ef565b60405161011a9190610c0a565b60405180910390f35b61013d60048036' +
+  '038101906101389190610c94565b6103f7565b60405161014a9190610e94565b60405180910390f35b61016d600480360381' +
+  '01906101689190610f0c565b610615565b60405161017b92919061101b565b60405180910390f35b34801561019057600080' +
+  'fd5b506101996107ab565b6040516101a69190611064565b60405180910390f35b3480156101bb57600080fd5b506101c461' +
+  '07b7565b6040516101d19190610c0a565b60405180910390f35b6101f460048036038101906101ef91906110ab565b6107bf' +
+  '565b6040516102039392919061110b565b60405180910390f35b34801561021857600080fd5b506102216107e1565b604051' +
+  '61022e9190610c0a565b60405180910390f35b34801561024357600080fd5b5061024c6107e9565b6040516102599190610c' +
+  '0a565b60405180910390f35b34801561026e57600080fd5b50610289600480360381019061028491906111a7565b6107f156' +
+  '5b6040516102969190610c0a565b60405180910390f35b3480156102ab57600080fd5b506102b4610812565b6040516102c1' +
+  '9190610c0a565b60405180910390f35b6102e460048036038101906102df919061122a565b61081a565b6040516102f19190' +
+  '610e94565b60405180910390f35b34801561030657600080fd5b5061030f6109e4565b60405161031c9190610c0a565b6040' +
+  '5180910390f35b34801561033157600080fd5b5061033a6109ec565b6040516103479190611286565b60405180910390f35b' +
+  '61036a600480360381019061036591906110ab565b6109f4565b6040516103779190610e94565b60405180910390f35b6103' +
+  '9a60048036038101906103959190610f0c565b610ba6565b6040516103a99392919061110b565b60405180910390f35b3480' +
+  '156103be57600080fd5b506103d960048036038101906103d491906112cd565b610bca565b6040516103e69190611064565b' +
+  '60405180910390f35b600042905090565b60606000808484905090508067ffffffffffffffff81111561041c5761041b6112' +
+  'fa565b5b60405190808252806020026020018201604052801561045557816020015b610442610bd5565b8152602001906001' +
+  '9003908161043a5790505b5092503660005b828110156105c957600085828151811061047957610478611329565b5b602002' +
+  '6020010151905087878381811061049657610495611329565b5b90506020028101906104a89190611367565b925060008360' +
+  '400135905080860195508360000160208101906104cb91906111a7565b73ffffffffffffffffffffffffffffffffffffffff' +
+  '16818580606001906104f2919061138f565b604051610500929190611431565b60006040518083038185875af1925050503d' +
+  '806000811461053d576040519150601f19603f3d011682016040523d82523d6000602084013e610542565b606091505b5083' +
+  '600001846020018290528215151515815250505081516020850135176105bc577f08c379a000000000000000000000000000' +
+  '000000000000000000000000000000600052602060045260176024527f4d756c746963616c6c333a2063616c6c206661696c' +
+  '656400000000000000000060445260846000fd5b826001019250505061045c565b5082341461060c576040517f08c379a000' +
+  '0000000000000000000000000000000000000000000000000000008152600401610603906114a7565b60405180910390fd5b' +
+  '50505092915050565b6000606043915060008484905090508067ffffffffffffffff81111561063e5761063d6112fa565b5b' +
+  '60405190808252806020026020018201604052801561067157816020015b606081526020019060019003908161065c579050' +
+  '5b5091503660005b828110156107a157600087878381811061069557610694611329565b5b90506020028101906106a79190' +
+  '6114c7565b92508260000160208101906106bc91906111a7565b73ffffffffffffffffffffffffffffffffffffffff168380' +
+  '602001906106e2919061138f565b6040516106f0929190611431565b6000604051808303816000865af19150503d80600081' +
+  '1461072d576040519150601f19603f3d011682016040523d82523d6000602084013e610732565b606091505b508684815181' +
+  '1061074657610745611329565b5b60200260200101819052819250505080610795576040517f08c379a00000000000000000' +
+  '0000000000000000000000000000000000000000815260040161078c9061153b565b60405180910390fd5b81600101915050' +
+  '610678565b5050509250929050565b60006001430340905090565b600046905090565b6000806060439250434091506107d6' +
+  '8686866109f4565b905093509350939050565b600048905090565b600043905090565b60008173ffffffffffffffffffffff' +
+  'ffffffffffffffffff16319050919050565b600044905090565b606060008383905090508067ffffffffffffffff81111561' +
+  '083e5761083d6112fa565b5b60405190808252806020026020018201604052801561087757816020015b610864610bd5565b' +
+  '81526020019060019003908161085c5790505b5091503660005b828110156109db57600084828151811061089b5761089a61' +
+  '1329565b5b602002602001015190508686838181106108b8576108b7611329565b5b90506020028101906108ca919061155b' +
+  '565b92508260000160208101906108df91906111a7565b73ffffffffffffffffffffffffffffffffffffffff168380604001' +
+  '90610905919061138f565b604051610913929190611431565b6000604051808303816000865af19150503d80600081146109' +
+  '50576040519150601f19603f3d011682016040523d82523d6000602084013e610955565b606091505b508260000183602001' +
+  '8290528215151515815250505080516020840135176109cf577f08c379a00000000000000000000000000000000000000000' +
+  '0000000000000000600052602060045260176024527f4d756c746963616c6c333a2063616c6c206661696c65640000000000' +
+  '0000000060445260646000fd5b8160010191505061087e565b50505092915050565b600045905090565b600041905090565b' +
+  '606060008383905090508067ffffffffffffffff811115610a1857610a176112fa565b5b6040519080825280602002602001' +
+  '82016040528015610a5157816020015b610a3e610bd5565b815260200190600190039081610a365790505b5091503660005b' +
+  '82811015610b9c576000848281518110610a7557610a74611329565b5b60200260200101519050868683818110610a925761' +
+  '0a91611329565b5b9050602002810190610aa491906114c7565b9250826000016020810190610ab991906111a7565b73ffff' +
+  'ffffffffffffffffffffffffffffffffffff16838060200190610adf919061138f565b604051610aed929190611431565b60' +
+  '00604051808303816000865af19150503d8060008114610b2a576040519150601f19603f3d011682016040523d82523d6000' +
+  '602084013e610b2f565b606091505b508260000183602001829052821515151581525050508715610b90578060000151610b' +
+  '8f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b869061153b' +
+  '565b60405180910390fd5b5b81600101915050610a58565b5050509392505050565b6000806060610bb7600186866107bf56' +
+  '5b8093508194508295505050509250925092565b600081409050919050565b60405180604001604052806000151581526020' +
+  '01606081525090565b6000819050919050565b610c0481610bf1565b82525050565b6000602082019050610c1f6000830184' +
+  '610bfb565b92915050565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f840112610c545761' +
+  '0c53610c2f565b5b8235905067ffffffffffffffff811115610c7157610c70610c34565b5b60208301915083602082028301' +
+  '1115610c8d57610c8c610c39565b5b9250929050565b60008060208385031215610cab57610caa610c25565b5b6000830135' +
+  '67ffffffffffffffff811115610cc957610cc8610c2a565b5b610cd585828601610c3e565b92509250509250929050565b60' +
+  '0081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b60008115159050' +
+  '919050565b610d2281610d0d565b82525050565b600081519050919050565b600082825260208201905092915050565b6000' +
+  '5b83811015610d62578082015181840152602081019050610d47565b83811115610d71576000848401525b50505050565b60' +
+  '00601f19601f8301169050919050565b6000610d9382610d28565b610d9d8185610d33565b9350610dad818560208601610d' +
+  '44565b610db681610d77565b840191505092915050565b6000604083016000830151610dd96000860182610d19565b506020' +
+  '8301518482036020860152610df18282610d88565b9150508091505092915050565b6000610e0a8383610dc1565b90509291' +
+  '5050565b6000602082019050919050565b6000610e2a82610ce1565b610e348185610cec565b935083602082028501610e46' +
+  '85610cfd565b8060005b85811015610e825784840389528151610e638582610dfe565b9450610e6e83610e12565b92506020' +
+  '8a01995050600181019050610e4a565b50829750879550505050505092915050565b60006020820190508181036000830152' +
+  '610eae8184610e1f565b905092915050565b60008083601f840112610ecc57610ecb610c2f565b5b8235905067ffffffffff' +
+  'ffffff811115610ee957610ee8610c34565b5b602083019150836020820283011115610f0557610f04610c39565b5b925092' +
+  '9050565b60008060208385031215610f2357610f22610c25565b5b600083013567ffffffffffffffff811115610f4157610f' +
+  '40610c2a565b5b610f4d85828601610eb6565b92509250509250929050565b600081519050919050565b6000828252602082' +
+  '01905092915050565b6000819050602082019050919050565b6000610f918383610d88565b905092915050565b6000602082' +
+  '019050919050565b6000610fb182610f59565b610fbb8185610f64565b935083602082028501610fcd85610f75565b806000' +
+  '5b858110156110095784840389528151610fea8582610f85565b9450610ff583610f99565b925060208a0199505060018101' +
+  '9050610fd1565b50829750879550505050505092915050565b60006040820190506110306000830185610bfb565b81810360' +
+  '208301526110428184610fa6565b90509392505050565b6000819050919050565b61105e8161104b565b82525050565b6000' +
+  '6020820190506110796000830184611055565b92915050565b61108881610d0d565b811461109357600080fd5b50565b6000' +
+  '813590506110a58161107f565b92915050565b6000806000604084860312156110c4576110c3610c25565b5b60006110d286' +
+  '828701611096565b935050602084013567ffffffffffffffff8111156110f3576110f2610c2a565b5b6110ff86828701610e' +
+  'b6565b92509250509250925092565b60006060820190506111206000830186610bfb565b61112d6020830185611055565b81' +
+  '8103604083015261113f8184610e1f565b9050949350505050565b600073ffffffffffffffffffffffffffffffffffffffff' +
+  '82169050919050565b600061117482611149565b9050919050565b61118481611169565b811461118f57600080fd5b50565b' +
+  '6000813590506111a18161117b565b92915050565b6000602082840312156111bd576111bc610c25565b5b60006111cb8482' +
+  '8501611192565b91505092915050565b60008083601f8401126111ea576111e9610c2f565b5b8235905067ffffffffffffff' +
+  'ff81111561120757611206610c34565b5b60208301915083602082028301111561122357611222610c39565b5b9250929050' +
+  '565b6000806020838503121561124157611240610c25565b5b600083013567ffffffffffffffff81111561125f5761125e61' +
+  '0c2a565b5b61126b858286016111d4565b92509250509250929050565b61128081611169565b82525050565b600060208201' +
+  '905061129b6000830184611277565b92915050565b6112aa81610bf1565b81146112b557600080fd5b50565b600081359050' +
+  '6112c7816112a1565b92915050565b6000602082840312156112e3576112e2610c25565b5b60006112f1848285016112b856' +
+  '5b91505092915050565b7f4e487b710000000000000000000000000000000000000000000000000000000060005260416004' +
+  '5260246000fd5b7f4e487b710000000000000000000000000000000000000000000000000000000060005260326004526024' +
+  '6000fd5b600080fd5b600080fd5b600080fd5b60008235600160800383360303811261138357611382611358565b5b808301' +
+  '91505092915050565b600080833560016020038436030381126113ac576113ab611358565b5b80840192508235915067ffff' +
+  'ffffffffffff8211156113ce576113cd61135d565b5b6020830192506001820236038313156113ea576113e9611362565b5b' +
+  '509250929050565b600081905092915050565b82818337600083830152505050565b600061141883856113f2565b93506114' +
+  '258385846113fd565b82840190509392505050565b600061143e82848661140c565b91508190509392505050565b60008282' +
+  '5260208201905092915050565b7f4d756c746963616c6c333a2076616c7565206d69736d6174636800000000000060008201' +
+  '5250565b6000611491601a8361144a565b915061149c8261145b565b602082019050919050565b6000602082019050818103' +
+  '60008301526114c081611484565b9050919050565b6000823560016040038336030381126114e3576114e2611358565b5b80' +
+  '830191505092915050565b7f4d756c746963616c6c333a2063616c6c206661696c6564000000000000000000600082015250' +
+  '565b600061152560178361144a565b9150611530826114ef565b602082019050919050565b60006020820190508181036000' +
+  '83015261155481611518565b9050919050565b60008235600160600383360303811261157757611576611358565b5b808301' +
+  '9150509291505056fea264697066735822122020c1bc9aacf8e4a6507193432a895a8e77094f45a1395583f07b24e860ef06' +
+  'cd64736f6c634300080c0033';
+
+module.exports = {
+  MULTICALL3,
+  MULTICALL3_CODE
+};
@@ -0,0 +1,100 @@
+// ENSAdvancedOperations Integration Tests
+// Module 01 batch resolution, batched record writes, analysis and history on the seeded local chain
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { ENSAdvancedOperations } = require('../../../curriculum/modules/01-ens-fundamentals/examples/advanced-ens-operations');
+const { MemoryEventStore } = require('../../../curriculum/examples/shared-utilities/event-indexer');
+const { startLocalChain, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+describe('ENSAdvancedOperations', function () {
+  let chain;
+  let snapshotId;
+  let ens;
+  let accounts;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    accounts = chain.accounts;
+    ens = new ENSAdvancedOperations(chain.rpcUrl, accounts[0].privateKey);
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  it('batch resolves names through Multicall3', async function () {
+    const results = await ens.batchResolve([
+      'batch-ke-01.eth',
+      'batch-ke-02.eth',
+      'batch-ke-03.eth',
+      'batch-ke-06.eth',
+      'unregistered-name.eth'
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.address), [
+      accounts[0].address,
+      accounts[1].address,
+      accounts[2].address,
+      accounts[3].address,
+      ethers.constants.AddressZero
+    ]);
+    assert.ok(results.every(result => result.success));
+  });
+
+  it('analyzes a name with every text record found from the logs', async function () {
+    const analysis = await ens.analyzeENSName('eldoret-profile.eth');
+
+    assert.strictEqual(analysis.hasResolver, true);
+    assert.strictEqual(analysis.address, accounts[0].address);
+    assert.strictEqual(analysis.textRecordSource, 'events');
+    assert.strictEqual(Object.keys(analysis.textRecords).length, 11);
+    assert.strictEqual(analysis.textRecords['org.telegram'], 'ens_kenya');
+  });
+
+  it('estimates gas for resolver writes', async function () {
+    const estimate = await ens.estimateGas('setText', { name: 'batch-ke-01.eth', key: 'url', value: 'https://example.com' });
+    assert.ok(Number(estimate.gasLimit) > Number(estimate.gasEstimate));
+    await assert.rejects(ens.estimateGas('burn', {}), /Unknown operation/);
+  });
+
+  it('writes a mix of records in one transaction and skips unchanged ones', async function () {
+    const records = [
+      { type: 'text', key: 'url', value: 'https://ens.domains' },
+      { type: 'text', key: 'description', value: 'Batch name one' },
+      { type: 'addr', coin: 'btc', value: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq' },
+      { type: 'contenthash', value: 'ipfs://QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4' }
+    ];
+
+    const plan = await ens.batchSetRecords('batch-ke-01.eth', records, { dryRun: true });
+    assert.strictEqual(plan.txHash, null);
+    assert.strictEqual(plan.unchanged, 1);
+
+    const report = await ens.batchSetRecords('batch-ke-01.eth', records);
+    assert.strictEqual(report.updated, 3);
+    assert.strictEqual(report.failed, 0);
+    assert.ok(report.txHash);
+    assert.strictEqual(await ens.getTextRecord('batch-ke-01.eth', 'description'), 'Batch name one');
+
+    const again = await ens.batchSetRecords('batch-ke-01.eth', records);
+    assert.strictEqual(again.unchanged, 4);
+    assert.strictEqual(again.txHash, null);
+  });
+
+  it('reports a reverted batch without changing anything', async function () {
+    const report = await ens.batchSetTextRecords('batch-ke-02.eth', [{ key: 'url', value: 'https://example.com' }]);
+    assert.strictEqual(report.failed, 1);
+    assert.strictEqual(await ens.getTextRecord('batch-ke-02.eth', 'url'), 'https://ens.domains');
+  });
+
+  it('builds a name history from events', async function () {
+    const history = await ens.getNameHistory('nakuru-dao.eth', { store: new MemoryEventStore() });
+    const types = new Set(history.map(entry => entry.type));
+
+    for (const type of ['registered', 'resolver-changed', 'addr-changed', 'text-changed', 'subname-created']) {
+      assert.ok(types.has(type), `missing ${type}`);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+// Avatar Integration Tests
+// ENSIP-12 NFT avatars on the seeded local chain, with metadata served by a stub fetch
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { resolveAvatarUri, getAvatar } = require('../../../curriculum/examples/shared-utilities/avatar');
+const { setRecords } = require('../../../curriculum/examples/shared-utilities/record-updates');
+const { deployTestERC721, deployTestERC1155 } = require('../helpers/avatar-nfts');
+const { startLocalChain, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+const CID = 'QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4';
+const GATEWAYS = { ipfs: 'https://gateway.test', arweave: 'https://arweave.test' };
+
+// fetch stand-in serving JSON bodies keyed by URL
+function stubFetch(bodies) {
+  const requests = [];
+  const fetchFn = async (url) => {
+    requests.push(url);
+    const body = bodies[url];
+    return { ok: body !== undefined, status: body !== undefined ? 200 : 404, json: async () => body };
+  };
+  fetchFn.requests = requests;
+  return fetchFn;
+}
+
+describe('avatars', function () {
+  let chain;
+  let snapshotId;
+  let accounts;
+  let erc721;
+  let erc1155;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    accounts = chain.accounts;
+
+    erc721 = await deployTestERC721(accounts[0]);
+    erc1155 = await deployTestERC1155(accounts[0], 'https://meta.test/{id}.json');
+
+    const metadata = Buffer.from(JSON.stringify({ name: 'Inline', image_data: '<svg/>' })).toString('base64');
+    await (await erc721.mint(accounts[1].address, 1, `ipfs://${CID}/1.json`)).wait();
+    await (await erc721.mint(accounts[1].address, 2, `data:application/json;base64,${metadata}`)).wait();
+    await (await erc1155.mint(accounts[1].address, 42, 3)).wait();
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  it('resolves an ERC-721 avatar through its tokenURI and the IPFS gateway', async function () {
+    const fetchFn = stubFetch({ [`https://gateway.test/ipfs/${CID}/1.json`]: { image: `ipfs://${CID}/1.png` } });
+    const avatar = await resolveAvatarUri(chain.provider, `eip155:31337/erc721:${erc721.address}/1`, {
+      owner: accounts[1].address,
+      gateways: GATEWAYS,
+      fetch: fetchFn
+    });
+
+    assert.strictEqual(avatar.type, 'nft');
+    assert.strictEqual(avatar.url, `https://gateway.test/ipfs/${CID}/1.png`);
+    assert.strictEqual(avatar.nft.owner, accounts[1].address);
+    assert.deepStrictEqual(fetchFn.requests, [`https://gateway.test/ipfs/${CID}/1.json`]);
+  });
+
+  it('reads data: metadata without fetching and turns image_data into a data URL', async function () {
+    const fetchFn = stubFetch({});
+    const avatar = await resolveAvatarUri(chain.provider, `eip155:31337/erc721:${erc721.address}/2`, {
+      owner: accounts[1].address,
+      fetch: fetchFn
+    });
+
+    assert.strictEqual(avatar.url, `data:image/svg+xml;utf8,${encodeURIComponent('<svg/>')}`);
+    assert.strictEqual(fetchFn.requests.length, 0);
+  });
+
+  it('substitutes {id} in ERC-1155 metadata URIs', async function () {
+    const id = ethers.utils.hexZeroPad('0x2a', 32).slice(2);
+    const fetchFn = stubFetch({ [`https://meta.test/${id}.json`]: { image: 'ar://avatar-42' } });
+    const avatar = await resolveAvatarUri(chain.provider, `eip155:31337/erc1155:${erc1155.address}/42`, {
+      owner: accounts[1].address,
+      gateways: GATEWAYS,
+      fetch: fetchFn
+    });
+
+    assert.strictEqual(avatar.url, 'https://arweave.test/avatar-42');
+    assert.strictEqual(avatar.nft.standard, 'erc1155');
+  });
+
+  it('rejects NFTs the owner does not hold', async function () {
+    const fetchFn = stubFetch({});
+    await assert.rejects(
+      resolveAvatarUri(chain.provider, `eip155:31337/erc721:${erc721.address}/1`, { owner: accounts[2].address, fetch: fetchFn }),
+      /does not own .* \(held by 0x/
+    );
+    await assert.rejects(
+      resolveAvatarUri(chain.provider, `eip155:31337/erc1155:${erc1155.address}/42`, { owner: accounts[2].address, fetch: fetchFn }),
+      /does not own/
+    );
+    assert.strictEqual(fetchFn.requests.length, 0);
+  });
+
+  it('needs a provider for NFTs on other chains', async function () {
+    await assert.rejects(
+      resolveAvatarUri(chain.provider, `eip155:1/erc721:${erc721.address}/1`, { owner: accounts[1].address }),
+      /pass a provider for it in options\.providers/
+    );
+  });
+
+  it('checks a name\'s NFT avatar against the address it resolves to', async function () {
+    const fetchFn = stubFetch({ [`https://gateway.test/ipfs/${CID}/1.json`]: { image: 'https://images.test/1.png' } });
+    await setRecords(accounts[1], 'amani-ke.eth', [
+      { type: 'text', key: 'avatar', value: `eip155:31337/erc721:${erc721.address}/1` }
+    ]);
+
+    const avatar = await getAvatar(chain.provider, 'amani-ke.eth', { gateways: GATEWAYS, fetch: fetchFn });
+    assert.strictEqual(avatar.name, 'amani-ke.eth');
+    assert.strictEqual(avatar.url, 'https://images.test/1.png');
+
+    // wanjiru-ke.eth resolves to an account that does not hold token 1
+    await setRecords(accounts[2], 'wanjiru-ke.eth', [
+      { type: 'text', key: 'avatar', value: `eip155:31337/erc721:${erc721.address}/1` }
+    ]);
+    await assert.rejects(getAvatar(chain.provider, 'wanjiru-ke.eth', { fetch: fetchFn }), /does not own/);
+  });
+});
@@ -0,0 +1,206 @@
+// ENSDomainManager Integration Tests
+// Module 02 registration, renewal, wrapping and bulk operations on the seeded local chain
+
+const assert = require('assert');
+const { ENSDomainManager } = require('../../../curriculum/modules/02-domain-management/examples/domain-registration-manager');
+const { CommitmentJournal, MemoryCommitmentStore } = require('../../../curriculum/examples/shared-utilities/commitment-journal');
+const { startLocalChain, blockTime, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+const DAY = 24 * 60 * 60;
+
+describe('ENSDomainManager', function () {
+  let chain;
+  let snapshotId;
+  let manager;
+  let accounts;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    accounts = chain.accounts;
+    manager = new ENSDomainManager(chain.rpcUrl, accounts[0].privateKey, {
+      journal: new CommitmentJournal(new MemoryCommitmentStore())
+    });
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  describe('lifecycle', function () {
+    it('reports availability across the lifecycle', async function () {
+      const results = await manager.bulkCheckAvailability(['kisumu-active', 'kisumu-grace', 'kisumu-released', 'nyeri-fresh']);
+      assert.deepStrictEqual(results.map(result => result.available), [false, false, true, true]);
+    });
+
+    it('reads active, grace-period, unwrapped and locked names by block time', async function () {
+      const active = await manager.getDomainInfo('kisumu-active');
+      assert.strictEqual(active.status, 'active');
+      assert.strictEqual(active.owner, accounts[0].address);
+      assert.strictEqual(active.wrapped, true);
+
+      const grace = await manager.getDomainInfo('kisumu-grace');
+      assert.strictEqual(grace.status, 'expired');
+      assert.strictEqual(grace.registered, true);
+      assert.ok(grace.expiration < await blockTime(chain.provider));
+
+      const unwrapped = await manager.getDomainInfo('kisumu-unwrapped');
+      assert.strictEqual(unwrapped.wrapped, false);
+      assert.strictEqual(unwrapped.owner, accounts[0].address);
+
+      const locked = await manager.getDomainInfo('kisumu-locked');
+      assert.strictEqual(locked.wrapperState, 'locked');
+      assert.ok(locked.fuses.includes('CANNOT_UNWRAP'));
+      assert.ok(locked.fuses.includes('CANNOT_SET_RESOLVER'));
+    });
+
+    it('quotes registration with no premium for fresh names', async function () {
+      const quote = await manager.getRegistrationCost('nyeri-fresh', 1);
+      assert.ok(quote.baseCostWei.gt(0));
+      assert.ok(quote.premiumWei.isZero());
+      assert.ok(quote.valueWei.gt(quote.costWei));
+    });
+
+    it('reads and quotes mixed-case input as its normalized label', async function () {
+      const info = await manager.getDomainInfo('Kisumu-Active');
+      assert.strictEqual(info.name, 'kisumu-active');
+      assert.strictEqual(info.status, 'active');
+
+      const [mixed, lower] = await Promise.all([
+        manager.getRegistrationCost('Kisumu-Released', 1),
+        manager.getRegistrationCost('kisumu-released', 1)
+      ]);
+      assert.strictEqual(mixed.name, 'kisumu-released');
+      assert.ok(mixed.premiumWei.eq(lower.premiumWei));
+      assert.deepStrictEqual(mixed.premiumSchedule, lower.premiumSchedule);
+    });
+  });
+
+  describe('registration and renewal', function () {
+    it('registers a name with commit, time travel and reveal', async function () {
+      const result = await manager.registerDomain('nyeri-fresh', accounts[0].address, 1, { timeTravel: true });
+      assert.strictEqual(result.name, 'nyeri-fresh.eth');
+
+      const info = await manager.getDomainInfo('nyeri-fresh');
+      assert.strictEqual(info.status, 'active');
+      assert.strictEqual(info.owner, accounts[0].address);
+      assert.strictEqual(info.wrapped, true);
+      assert.deepStrictEqual(await manager.listPendingRegistrations(), []);
+    });
+
+    it('re-registers a released name once its premium has decayed', async function () {
+      await manager.registerDomain('kisumu-released', accounts[5].address, 1, { timeTravel: true });
+      const info = await manager.getDomainInfo('kisumu-released');
+      assert.strictEqual(info.status, 'active');
+      assert.strictEqual(info.owner, accounts[5].address);
+    });
+
+    it('estimates gas from a journaled commitment whatever the case of the input', async function () {
+      const registration = manager.buildRegistration('nyeri-journal', accounts[0].address, 1);
+      const entry = await manager.journal.save({
+        chainId: chain.deployment.chainId,
+        label: 'nyeri-journal',
+        owner: registration.owner,
+        commitment: await manager.makeCommitment(registration),
+        registration
+      });
+      const status = await manager.getCommitmentStatus(await manager.sendCommitment(entry));
+      await chain.provider.send('evm_increaseTime', [status.readyAt - status.now]);
+      await chain.provider.send('evm_mine', []);
+
+      const quote = await manager.getRegistrationCost('Nyeri-Journal', 1);
+      assert.strictEqual(quote.gas.source, 'estimateGas');
+    });
+
+    it('clears the journal entry of a registration that landed before a crash', async function () {
+      const entry = await manager.journal.find(chain.deployment.chainId, 'nyeri-journal', accounts[0].address);
+      await manager.registerDomain('nyeri-journal', accounts[0].address, 1, { timeTravel: true });
+
+      // As if the process died between register() and journal.remove()
+      await manager.journal.save(entry);
+      const result = await manager.registerDomain('nyeri-journal', accounts[0].address, 1, { timeTravel: true });
+
+      assert.deepStrictEqual(result, { name: 'nyeri-journal.eth', owner: accounts[0].address, alreadyRegistered: true });
+      assert.deepStrictEqual(await manager.listPendingRegistrations(), []);
+    });
+
+    it('clears the journal entry of a batch registration that landed before a crash', async function () {
+      await manager.bulkRegister(['nyeri-batch'], accounts[0].address, 1, { timeTravel: true });
+
+      // As if the process died between register() and journal.remove()
+      const registration = manager.buildRegistration('nyeri-batch', accounts[0].address, 1);
+      await manager.journal.save({
+        chainId: chain.deployment.chainId,
+        label: 'nyeri-batch',
+        owner: registration.owner,
+        commitment: await manager.makeCommitment(registration),
+        registration
+      });
+      const result = await manager.bulkRegister(['nyeri-batch'], accounts[0].address, 1, { timeTravel: true });
+
+      assert.deepStrictEqual(result.results, [{ name: 'nyeri-batch.eth', status: 'registered', alreadyRegistered: true }]);
+      assert.strictEqual(result.registered, 1);
+      assert.deepStrictEqual(await manager.listPendingRegistrations(), []);
+    });
+
+    it('refuses to register a taken name', async function () {
+      await assert.rejects(
+        manager.registerDomain('kisumu-active', accounts[0].address, 1, { timeTravel: true }),
+        /not available/
+      );
+    });
+
+    it('renews a name in its grace period', async function () {
+      const before = await manager.getDomainInfo('kisumu-grace');
+      const result = await manager.renewDomain('kisumu-grace', 1);
+      assert.strictEqual(result.newExpiration.toNumber(), before.expiration + 365 * DAY);
+
+      const after = await manager.getDomainInfo('kisumu-grace');
+      assert.strictEqual(after.status, 'active');
+    });
+  });
+
+  describe('wrapping', function () {
+    it('wraps and unwraps a .eth name', async function () {
+      await manager.wrapDomain('kisumu-unwrapped');
+      assert.strictEqual((await manager.getDomainInfo('kisumu-unwrapped')).wrapperState, 'wrapped');
+
+      await manager.unwrapDomain('kisumu-unwrapped');
+      assert.strictEqual((await manager.getDomainInfo('kisumu-unwrapped')).wrapped, false);
+    });
+
+    it('burns fuses, after which the name cannot be unwrapped', async function () {
+      const status = await manager.burnFuses('kisumu-active', ['CANNOT_UNWRAP']);
+      assert.strictEqual(status.state, 'locked');
+      await assert.rejects(manager.unwrapDomain('kisumu-active'));
+    });
+  });
+
+  describe('bulk operations', function () {
+    it('plans a bulk registration without sending anything', async function () {
+      const before = await chain.provider.getBlockNumber();
+      const plan = await manager.bulkRegister(['turkana-01', 'turkana-02', 'kisumu-active', 'ke'], accounts[0].address, 1, { dryRun: true });
+
+      assert.strictEqual(plan.planned, 2);
+      assert.strictEqual(plan.skipped, 2);
+      assert.strictEqual(await chain.provider.getBlockNumber(), before);
+    });
+
+    it('registers a batch behind a single Multicall3 commit', async function () {
+      const result = await manager.bulkRegister(['turkana-01', 'turkana-02', 'turkana-01'], accounts[1].address, 1, { timeTravel: true });
+
+      assert.strictEqual(result.registered, 2);
+      assert.deepStrictEqual(result.results.map(item => item.status), ['registered', 'registered', 'duplicate']);
+      assert.strictEqual((await manager.getDomainInfo('turkana-02')).owner, accounts[1].address);
+    });
+
+    it('renews a batch and skips names that cannot be renewed', async function () {
+      const result = await manager.bulkRenew(['batch-ke-04', 'batch-ke-05', 'never-registered', 'kisumu-expiring'], 1);
+
+      assert.strictEqual(result.renewed, 3);
+      assert.deepStrictEqual(result.results.map(item => item.status), ['renewed', 'renewed', 'not-registered', 'renewed']);
+      assert.ok((await manager.getDomainInfo('batch-ke-05')).daysUntilExpiration > 365);
+    });
+  });
+});
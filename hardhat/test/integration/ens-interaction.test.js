@@ -0,0 +1,105 @@
+// ENSInteraction Integration Tests
+// Module 01 basic interaction against the seeded local chain
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { ENSInteraction } = require('../../../curriculum/modules/01-ens-fundamentals/examples/basic-ens-interaction');
+const { startLocalChain, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+describe('ENSInteraction', function () {
+  let chain;
+  let snapshotId;
+  let ens;
+  let accounts;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    accounts = chain.accounts;
+    ens = new ENSInteraction(chain.rpcUrl, accounts[0].privateKey);
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  describe('reads', function () {
+    it('reads the registry owner and resolver', async function () {
+      const { nameWrapper, publicResolver } = chain.deployment.contracts;
+      assert.strictEqual(await ens.getOwner('ke-fundamentals.eth'), nameWrapper);
+      assert.strictEqual(await ens.getOwner('kisumu-unwrapped.eth'), accounts[0].address);
+      assert.strictEqual(await ens.getResolver('ke-fundamentals.eth'), publicResolver);
+    });
+
+    it('resolves addresses, including one that points at another account', async function () {
+      assert.strictEqual(await ens.resolveAddress('mombasa-builder.eth'), accounts[1].address);
+      assert.strictEqual(await ens.resolveAddress('lookup-demo.eth'), accounts[3].address);
+      assert.strictEqual(await ens.resolveAddress('unregistered-name.eth'), ethers.constants.AddressZero);
+    });
+
+    it('resolves multicoin addresses and text records', async function () {
+      assert.strictEqual(await ens.getAddress('eldoret-profile.eth', 'btc'), 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq');
+      assert.strictEqual(await ens.getAddress('eldoret-profile.eth', 'doge'), 'DBXu2kgc3xtvCUWFcxFE3r9hEYgmuaaCyD');
+      assert.strictEqual(await ens.getTextRecord('eldoret-profile.eth', 'location'), 'Eldoret, Kenya');
+      assert.strictEqual(await ens.getTextRecord('eldoret-profile.eth', 'not-a-key'), '');
+    });
+
+    it('resolves subnames in the registry and the NameWrapper', async function () {
+      assert.strictEqual(await ens.resolveAddress('dev.team.nakuru-dao.eth'), accounts[4].address);
+      assert.strictEqual(await ens.resolveAddress('alice.nakuru-legacy.eth'), accounts[1].address);
+      assert.strictEqual(await ens.getTextRecord('events.nakuru-legacy.eth', 'url'), 'https://ens.domains');
+    });
+
+    it('resolves through the UniversalResolver', async function () {
+      const result = await ens.resolveUniversal('eldoret-profile.eth', 'text', ['display']);
+      assert.strictEqual(result.value, 'Eldoret Profile');
+    });
+
+    it('returns verified primary names', async function () {
+      assert.strictEqual(await ens.lookupAddress(accounts[0].address), 'eldoret-profile.eth');
+      assert.strictEqual(await ens.lookupAddress(accounts[4].address), 'work.amani-ke.eth');
+
+      const results = await ens.lookupAddresses([accounts[2].address, accounts[3].address]);
+      assert.deepStrictEqual(results.map(result => result.name), ['wanjiru-ke.eth', null]);
+    });
+  });
+
+  describe('writes', function () {
+    let owner;
+
+    before(function () {
+      owner = new ENSInteraction(chain.rpcUrl, accounts[3].privateKey);
+    });
+
+    it('sets text records and addresses on a wrapped name', async function () {
+      await owner.setTextRecord('otieno-ke.eth', 'com.github', 'otieno');
+      await owner.setAddress('otieno-ke.eth', 'btc', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+
+      assert.strictEqual(await ens.getTextRecord('otieno-ke.eth', 'com.github'), 'otieno');
+      assert.strictEqual(await ens.getAddress('otieno-ke.eth', 'btc'), 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+    });
+
+    it('rejects malformed addresses before sending', async function () {
+      const before = await chain.provider.getBlockNumber();
+      await assert.rejects(owner.setAddress('otieno-ke.eth', 'btc', 'not-a-bitcoin-address'));
+      assert.strictEqual(await chain.provider.getBlockNumber(), before);
+    });
+
+    it('sets and clears a primary name', async function () {
+      await owner.setPrimaryName('otieno-ke.eth');
+      assert.strictEqual(await ens.lookupAddress(accounts[3].address), 'otieno-ke.eth');
+
+      await owner.clearPrimaryName();
+      assert.strictEqual(await ens.lookupAddress(accounts[3].address), null);
+    });
+
+    it('refuses a primary name that does not resolve to the account', async function () {
+      await assert.rejects(owner.setPrimaryName('wanjiru-ke.eth'));
+    });
+
+    it('fails writes to names the signer does not control', async function () {
+      await assert.rejects(owner.setTextRecord('wanjiru-ke.eth', 'url', 'https://example.com'));
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// ENSProject Integration Tests
+// The project template against the seeded local chain
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const ENSProject = require('../../../curriculum/resources/code-templates/ens-project-template');
+const { startLocalChain, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+describe('ENSProject', function () {
+  let chain;
+  let snapshotId;
+  let project;
+  let accounts;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    accounts = chain.accounts;
+
+    // The localhost network reads RPC_URL, which startLocalChain points at the test node
+    project = new ENSProject('localhost');
+    await project.initialize();
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  it('uses the local deployment', function () {
+    const info = project.getNetworkInfo();
+    assert.strictEqual(info.chainId, 31337);
+    assert.strictEqual(project.contracts.registry.address, chain.deployment.contracts.registry);
+  });
+
+  describe('reads', function () {
+    it('resolves names and multicoin addresses', async function () {
+      assert.strictEqual(await project.resolveName('amani-ke.eth'), accounts[1].address);
+      assert.strictEqual(await project.getAddress('eldoret-profile.eth', 'ltc'), 'LaMT348PWRnrqeeWArpwQPbuanpXDZGEUz');
+      await assert.rejects(project.resolveName('unregistered-name.eth'));
+    });
+
+    it('decodes content hashes', async function () {
+      const site = await project.getContentHash('eldoret-site.eth');
+      assert.strictEqual(site.uri, 'ipfs://QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4');
+
+      const archive = await project.getContentHash('archive.eldoret-site.eth');
+      assert.strictEqual(archive.protocol, 'arweave');
+      assert.strictEqual(await project.getContentHash('amani-ke.eth'), null);
+    });
+
+    it('reports NameWrapper states', async function () {
+      assert.strictEqual((await project.getWrappedStatus('nakuru-dao.eth')).state, 'locked');
+      assert.strictEqual((await project.getWrappedStatus('carol.nakuru-dao.eth')).state, 'locked');
+      assert.strictEqual((await project.getWrappedStatus('alice.nakuru-dao.eth')).state, 'wrapped');
+      assert.strictEqual((await project.getWrappedStatus('nakuru-legacy.eth')).state, 'unwrapped');
+    });
+
+    it('builds a profile with every text record and the avatar', async function () {
+      const profile = await project.getProfile('eldoret-profile.eth');
+      assert.strictEqual(profile.address, accounts[0].address);
+      assert.strictEqual(profile.textRecords['com.github'], 'ensdomains');
+      assert.strictEqual(profile.avatarUrl, 'https://avatars.githubusercontent.com/u/34167658');
+      assert.strictEqual(profile.contentHash.protocol, 'ipfs');
+    });
+
+    it('batch resolves and looks up primary names', async function () {
+      const resolved = await project.batchResolve(['batch-ke-02.eth', 'unregistered-name.eth']);
+      assert.deepStrictEqual(resolved.map(result => result.success), [true, false]);
+
+      assert.strictEqual(await project.lookupAddress(accounts[1].address), 'amani-ke.eth');
+      const names = await project.batchLookupAddresses([accounts[2].address, accounts[5].address]);
+      assert.deepStrictEqual(names.map(result => result.name), ['wanjiru-ke.eth', null]);
+    });
+
+    it('reports a malformed address in a batch lookup without failing the others', async function () {
+      const names = await project.batchLookupAddresses([accounts[2].address, '0x1234', accounts[2].address.toLowerCase()]);
+
+      assert.deepStrictEqual(names.map(result => result.name), ['wanjiru-ke.eth', null, 'wanjiru-ke.eth']);
+      assert.strictEqual(names[1].address, '0x1234');
+      assert.strictEqual(names[1].reason, 'invalid-address');
+      assert.match(names[1].error, /invalid address/);
+    });
+  });
+
+  describe('writes', function () {
+    it('sets records on wrapped and unwrapped names it owns', async function () {
+      await project.setTextRecord('wanjiru-ke.eth', 'url', 'https://wanjiru.example', accounts[2].privateKey);
+      await project.setAddress('nakuru-legacy.eth', 'sol', '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin', accounts[0].privateKey);
+
+      assert.strictEqual(await project.getTextRecord('wanjiru-ke.eth', 'url'), 'https://wanjiru.example');
+      assert.strictEqual(await project.getAddress('nakuru-legacy.eth', 'sol'), '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin');
+    });
+
+    it('refuses to write an address to a name that only has a wildcard resolver', async function () {
+      const registry = new ethers.Contract(
+        chain.deployment.contracts.registry,
+        ['function setSubnodeOwner(bytes32 node, bytes32 label, address owner) returns (bytes32)'],
+        accounts[0]
+      );
+      await (await registry.setSubnodeOwner(ethers.utils.namehash('nakuru-legacy.eth'), ethers.utils.id('bare'), accounts[0].address)).wait();
+
+      const before = await chain.provider.getBlockNumber();
+      await assert.rejects(
+        project.setAddress('bare.nakuru-legacy.eth', 'eth', accounts[0].address, accounts[0].privateKey),
+        /has no resolver of its own/
+      );
+      assert.strictEqual(await chain.provider.getBlockNumber(), before);
+    });
+
+    it('refuses to write records on names it does not own', async function () {
+      await assert.rejects(
+        project.setTextRecord('wanjiru-ke.eth', 'url', 'https://example.com', accounts[3].privateKey),
+        /don't own/
+      );
+    });
+
+    it('creates subdomains under wrapped and unwrapped parents', async function () {
+      await project.createSubdomain('nakuru-dao.eth', 'guest', accounts[5].address, accounts[0].privateKey);
+      await project.createSubdomain('nakuru-legacy.eth', 'guest', accounts[5].address, accounts[0].privateKey);
+
+      const wrapped = await project.getWrappedStatus('guest.nakuru-dao.eth');
+      assert.strictEqual(wrapped.wrapped, true);
+      assert.strictEqual(wrapped.owner, accounts[5].address);
+
+      const unwrapped = await project.getWrappedStatus('guest.nakuru-legacy.eth');
+      assert.strictEqual(unwrapped.wrapped, false);
+      assert.strictEqual(unwrapped.owner, accounts[5].address);
+    });
+
+    it('normalizes subdomain labels under wrapped and unwrapped parents alike', async function () {
+      await project.createSubdomain('nakuru-dao.eth', 'Visitor', accounts[5].address, accounts[0].privateKey);
+      await project.createSubdomain('nakuru-legacy.eth', 'Visitor', accounts[5].address, accounts[0].privateKey);
+
+      assert.strictEqual((await project.getWrappedStatus('visitor.nakuru-dao.eth')).owner, accounts[5].address);
+      assert.strictEqual((await project.getWrappedStatus('visitor.nakuru-legacy.eth')).owner, accounts[5].address);
+      await assert.rejects(
+        project.createSubdomain('nakuru-legacy.eth', 'a.b', accounts[5].address, accounts[0].privateKey),
+        /Invalid subdomain label/
+      );
+    });
+
+    it('refuses to create subdomains under names it does not own', async function () {
+      await assert.rejects(
+        project.createSubdomain('wanjiru-ke.eth', 'guest', accounts[5].address, accounts[0].privateKey),
+        /don't own/
+      );
+    });
+
+    it('sets and clears a primary name', async function () {
+      await project.setAddress('otieno-ke.eth', 'eth', accounts[3].address, accounts[3].privateKey);
+      await project.setPrimaryName('otieno-ke.eth', accounts[3].privateKey);
+      assert.strictEqual(await project.lookupAddress(accounts[3].address), 'otieno-ke.eth');
+
+      await project.clearPrimaryName(accounts[3].privateKey);
+      assert.strictEqual(await project.lookupAddress(accounts[3].address), null);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// Seed Fixture Integration Tests
+// The seeded chain matches the fixtures, and applying them again sends nothing
+
+const assert = require('assert');
+const { loadFixture, applyFixture } = require('../../fixtures');
+const { ENSDomainManager } = require('../../../curriculum/modules/02-domain-management/examples/domain-registration-manager');
+const { CommitmentJournal, MemoryCommitmentStore } = require('../../../curriculum/examples/shared-utilities/commitment-journal');
+const { FIXTURES, startLocalChain, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+describe('seed fixtures', function () {
+  let chain;
+  let snapshotId;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  it('registered every module 02 and 06 name in one pass', function () {
+    const { fixtures } = chain;
+    assert.deepStrictEqual(fixtures['module-02'].expired, []);
+    assert.strictEqual(fixtures['module-02'].registered.length, 6);
+    assert.ok(fixtures['module-02'].timeTravel > 0);
+    assert.strictEqual(fixtures['module-06'].registered.length, 6);
+  });
+
+  it('puts module 02 names at their lifecycle stage', async function () {
+    const manager = new ENSDomainManager(chain.rpcUrl, chain.accounts[0].privateKey, {
+      journal: new CommitmentJournal(new MemoryCommitmentStore())
+    });
+    const statuses = await Promise.all(
+      ['kisumu-active', 'kisumu-expiring', 'kisumu-grace', 'kisumu-released'].map(label => manager.getDomainInfo(label))
+    );
+    assert.deepStrictEqual(statuses.map(info => info.status), ['active', 'active', 'expired', 'available']);
+  });
+
+  // Primary names are left out: later fixtures move some of them on purpose
+  for (const id of FIXTURES) {
+    it(`re-applies ${id} without sending transactions`, async function () {
+      const report = await applyFixture(chain.accounts[0], loadFixture(id), { primaryNames: false });
+      assert.strictEqual(report.transactions, 0);
+      assert.deepStrictEqual(report.registered, []);
+      assert.deepStrictEqual(report.renewed, []);
+    });
+  }
+});
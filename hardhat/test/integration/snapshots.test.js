@@ -0,0 +1,66 @@
+// Snapshot Integration Tests
+// Named snapshots on the seeded local chain: take, restore repeatedly, drop later ones, time travel
+
+const assert = require('assert');
+const { SnapshotManager, MemorySnapshotStore, DAY } = require('../../snapshots');
+const { ENSDomainManager } = require('../../../curriculum/modules/02-domain-management/examples/domain-registration-manager');
+const { CommitmentJournal, MemoryCommitmentStore } = require('../../../curriculum/examples/shared-utilities/commitment-journal');
+const { startLocalChain, blockTime, BOOT_TIMEOUT } = require('../helpers/local-chain');
+
+describe('SnapshotManager', function () {
+  let chain;
+  let snapshotId;
+  let snapshots;
+  let manager;
+
+  before(async function () {
+    this.timeout(BOOT_TIMEOUT);
+    chain = await startLocalChain();
+    snapshotId = await chain.snapshot();
+    snapshots = new SnapshotManager(chain.provider, { store: new MemorySnapshotStore() });
+    manager = new ENSDomainManager(chain.rpcUrl, chain.accounts[0].privateKey, {
+      journal: new CommitmentJournal(new MemoryCommitmentStore())
+    });
+  });
+
+  after(async function () {
+    await chain.revert(snapshotId);
+  });
+
+  it('takes named snapshots of the current block', async function () {
+    const entry = await snapshots.take('after-module-02', { description: 'Seeded lifecycle names' });
+    const block = await chain.provider.getBlock('latest');
+
+    assert.strictEqual(entry.blockNumber, block.number);
+    assert.strictEqual(entry.blockHash, block.hash);
+    assert.deepStrictEqual((await snapshots.list()).map(item => [item.name, item.stale]), [['after-module-02', false]]);
+  });
+
+  it('restores the same snapshot more than once', async function () {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await manager.registerDomain('retry-exercise', chain.accounts[0].address, 1, { timeTravel: true });
+      assert.strictEqual((await manager.checkAvailability('retry-exercise')).available, false);
+
+      await snapshots.restore('after-module-02');
+      assert.strictEqual((await manager.checkAvailability('retry-exercise')).available, true);
+    }
+  });
+
+  it('moves time forward and drops snapshots taken after the one restored', async function () {
+    const start = await blockTime(chain.provider);
+    const block = await snapshots.increaseTime(60 * DAY);
+    assert.ok(block.timestamp >= start + 60 * DAY);
+    assert.strictEqual((await manager.getDomainInfo('kisumu-expiring')).status, 'expired');
+    await snapshots.take('expired-names');
+
+    const result = await snapshots.restore('after-module-02');
+    assert.deepStrictEqual(result.dropped, ['expired-names']);
+    assert.strictEqual((await manager.getDomainInfo('kisumu-expiring')).status, 'active');
+    await assert.rejects(snapshots.restore('expired-names'), /No snapshot "expired-names"/);
+  });
+
+  it('rejects invalid names and backwards time travel', async function () {
+    await assert.rejects(snapshots.take('After Module 02'), /Invalid snapshot name/);
+    await assert.rejects(snapshots.increaseTime(-DAY), /forward/);
+  });
+});
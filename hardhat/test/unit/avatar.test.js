@@ -0,0 +1,69 @@
+// Avatar Unit Tests
+// ENSIP-12 avatar URI parsing and gateway rewriting
+
+const assert = require('assert');
+const { parseAvatarUri, toGatewayUrl } = require('../../../curriculum/examples/shared-utilities/avatar');
+
+const CID = 'QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4';
+
+describe('parseAvatarUri', function () {
+  it('parses ERC-721 and ERC-1155 NFT URIs from ENSIP-12', function () {
+    assert.deepStrictEqual(parseAvatarUri('eip155:1/erc721:0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB/2430'), {
+      type: 'nft',
+      chainId: 1,
+      standard: 'erc721',
+      contract: '0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB',
+      tokenId: '2430'
+    });
+
+    const nft = parseAvatarUri('eip155:137/ERC1155:0x495f947276749ce646f68ac8c248420045cb7b5e/0x1f');
+    assert.strictEqual(nft.chainId, 137);
+    assert.strictEqual(nft.standard, 'erc1155');
+    assert.strictEqual(nft.contract, '0x495f947276749Ce646f68AC8c248420045cb7b5e');
+    assert.strictEqual(nft.tokenId, '31');
+  });
+
+  it('recognises http, data, IPFS, IPNS and Arweave URIs', function () {
+    const types = [
+      'https://example.com/avatar.png',
+      'data:image/svg+xml;base64,PHN2Zy8+',
+      `ipfs://${CID}`,
+      'ipns://k51qzi5uqu5dihst24f3rp2ej4co9berxohfkxaenbq1wjty7nrd5e9xp4afx1',
+      'ar://ys32Pt8uC7TrVxHdOLByOspfPEq2LO63wREHQIM9SJQ'
+    ].map(uri => parseAvatarUri(uri).type);
+
+    assert.deepStrictEqual(types, ['http', 'data', 'ipfs', 'ipns', 'arweave']);
+  });
+
+  it('rejects unsupported schemes', function () {
+    assert.throws(() => parseAvatarUri('ftp://example.com/avatar.png'), /Unsupported avatar URI/);
+    assert.throws(() => parseAvatarUri('eip155:1/erc20:0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB/1'), /Unsupported avatar URI/);
+  });
+});
+
+describe('toGatewayUrl', function () {
+  it('rewrites IPFS, IPNS and Arweave URIs through the default gateways', function () {
+    assert.strictEqual(toGatewayUrl(`ipfs://${CID}/1.json`), `https://ipfs.io/ipfs/${CID}/1.json`);
+    assert.strictEqual(toGatewayUrl(`ipfs://ipfs/${CID}`), `https://ipfs.io/ipfs/${CID}`);
+    assert.strictEqual(toGatewayUrl('ipns://app.uniswap.org'), 'https://ipfs.io/ipns/app.uniswap.org');
+    assert.strictEqual(
+      toGatewayUrl('ar://ys32Pt8uC7TrVxHdOLByOspfPEq2LO63wREHQIM9SJQ'),
+      'https://arweave.net/ys32Pt8uC7TrVxHdOLByOspfPEq2LO63wREHQIM9SJQ'
+    );
+  });
+
+  it('uses gateway overrides', function () {
+    const gateways = { ipfs: 'https://cloudflare-ipfs.com', arweave: 'https://ar-io.net' };
+    assert.strictEqual(toGatewayUrl(`ipfs://${CID}`, gateways), `https://cloudflare-ipfs.com/ipfs/${CID}`);
+    assert.strictEqual(toGatewayUrl('ar://abc', gateways), 'https://ar-io.net/abc');
+  });
+
+  it('returns http and data URIs unchanged', function () {
+    assert.strictEqual(toGatewayUrl(' https://example.com/a.png '), 'https://example.com/a.png');
+    assert.strictEqual(toGatewayUrl('data:image/svg+xml;base64,PHN2Zy8+'), 'data:image/svg+xml;base64,PHN2Zy8+');
+  });
+
+  it('rejects URIs no gateway can serve', function () {
+    assert.throws(() => toGatewayUrl('bzz://d1de9994b4d039f6548d191eb26786769f580809256b4685ef316805265ea162'), /Unsupported URI/);
+  });
+});
@@ -0,0 +1,185 @@
+// CCIP-Read Unit Tests
+// OffchainLookup handling against a stub provider and a stand-in gateway (no network)
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { queryGateways, ccipCall, isOffchainLookup } = require('../../../curriculum/examples/shared-utilities/ccip-read');
+const { resolveWithUniversalResolver } = require('../../../curriculum/examples/shared-utilities/universal-resolver');
+
+const lookupInterface = new ethers.utils.Interface([
+  'error OffchainLookup(address sender, string[] urls, bytes callData, bytes4 callbackFunction, bytes extraData)',
+  'function resolve(bytes name, bytes data) view returns (bytes, address)',
+  'function resolveCallback(bytes response, bytes extraData) view returns (bytes, address)'
+]);
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const RESOLVER = '0x2222222222222222222222222222222222222222';
+const CALLBACK = lookupInterface.getSighash('resolveCallback');
+
+function offchainLookup(overrides = {}) {
+  const lookup = {
+    sender: CONTRACT,
+    urls: ['https://gateway.example/{sender}/{data}.json'],
+    callData: '0x1234',
+    callbackFunction: CALLBACK,
+    extraData: '0xabcd',
+    ...overrides
+  };
+  return lookupInterface.encodeErrorResult('OffchainLookup', [
+    lookup.sender, lookup.urls, lookup.callData, lookup.callbackFunction, lookup.extraData
+  ]);
+}
+
+// Provider whose eth_call goes to handler(tx); a { revert } result is thrown the way JSON-RPC providers do
+function stubProvider(handler) {
+  const calls = [];
+  return {
+    calls,
+    async call(tx) {
+      calls.push(tx);
+      const result = await handler(tx, calls.length);
+      if (result && result.revert) {
+        const error = new Error('execution reverted');
+        error.error = { code: 3, data: result.revert };
+        throw error;
+      }
+      return result;
+    }
+  };
+}
+
+// fetch stand-in: answers from responses[url] (a status, an Error to throw, or a JSON body)
+function stubFetch(responses) {
+  const requests = [];
+  const fetchFn = async (url, init) => {
+    requests.push({ url, init });
+    const response = responses[url];
+    if (response instanceof Error) throw response;
+    if (response === undefined) throw new Error('connection refused');
+    const status = typeof response === 'number' ? response : 200;
+    return { status, json: async () => (typeof response === 'number' ? { message: 'stub error' } : response) };
+  };
+  fetchFn.requests = requests;
+  return fetchFn;
+}
+
+describe('queryGateways', function () {
+  it('fills {sender} and {data} and fetches with GET', async function () {
+    const fetchFn = stubFetch({ [`https://gateway.example/${CONTRACT}/0x1234.json`]: { data: '0xbeef' } });
+    const data = await queryGateways(['https://gateway.example/{sender}/{data}.json'], CONTRACT, '0x1234', fetchFn);
+
+    assert.strictEqual(data, '0xbeef');
+    assert.strictEqual(fetchFn.requests[0].init.method, 'GET');
+  });
+
+  it('POSTs the call data to URLs without {data}', async function () {
+    const fetchFn = stubFetch({ 'https://gateway.example/lookup': { data: '0xbeef' } });
+    await queryGateways(['https://gateway.example/lookup'], CONTRACT, '0x1234', fetchFn);
+
+    const { init } = fetchFn.requests[0];
+    assert.strictEqual(init.method, 'POST');
+    assert.deepStrictEqual(JSON.parse(init.body), { data: '0x1234', sender: CONTRACT });
+  });
+
+  it('tries the next gateway after a network error, 5xx or malformed response', async function () {
+    const fetchFn = stubFetch({
+      'https://down.example/lookup': new Error('ECONNRESET'),
+      'https://busy.example/lookup': 503,
+      'https://broken.example/lookup': { result: 'no data field' },
+      'https://gateway.example/lookup': { data: '0xbeef' }
+    });
+    const urls = ['down', 'busy', 'broken', 'gateway'].map(host => `https://${host}.example/lookup`);
+
+    assert.strictEqual(await queryGateways(urls, CONTRACT, '0x1234', fetchFn), '0xbeef');
+    assert.strictEqual(fetchFn.requests.length, 4);
+  });
+
+  it('stops at a 4xx response', async function () {
+    const fetchFn = stubFetch({ 'https://gateway.example/lookup': 404, 'https://backup.example/lookup': { data: '0xbeef' } });
+    await assert.rejects(
+      queryGateways(['https://gateway.example/lookup', 'https://backup.example/lookup'], CONTRACT, '0x1234', fetchFn),
+      /rejected the request \(HTTP 404: stub error\)/
+    );
+    assert.strictEqual(fetchFn.requests.length, 1);
+  });
+
+  it('reports every failure when no gateway answers', async function () {
+    await assert.rejects(
+      queryGateways(['https://a.example/lookup', 'https://b.example/lookup'], CONTRACT, '0x1234', stubFetch({ 'https://b.example/lookup': 500 })),
+      /All CCIP-Read gateways failed: https:\/\/a\.example\/lookup: connection refused; https:\/\/b\.example\/lookup: HTTP 500/
+    );
+  });
+});
+
+describe('ccipCall', function () {
+  it('passes plain results through without fetching', async function () {
+    const provider = stubProvider(() => '0x' + '00'.repeat(32));
+    const fetchFn = stubFetch({});
+    assert.strictEqual(await ccipCall(provider, { to: CONTRACT, data: '0x01' }, { fetch: fetchFn }), '0x' + '00'.repeat(32));
+    assert.strictEqual(fetchFn.requests.length, 0);
+  });
+
+  it('follows an OffchainLookup and calls back with the gateway response and extraData', async function () {
+    const provider = stubProvider(tx => (tx.data === '0x01' ? { revert: offchainLookup() } : '0xcafe'));
+    const fetchFn = stubFetch({ [`https://gateway.example/${CONTRACT}/0x1234.json`]: { data: '0xbeef' } });
+
+    assert.strictEqual(await ccipCall(provider, { to: CONTRACT, data: '0x01' }, { fetch: fetchFn }), '0xcafe');
+
+    const callback = provider.calls[1];
+    assert.strictEqual(callback.to, CONTRACT);
+    const { response, extraData } = lookupInterface.decodeFunctionData('resolveCallback', callback.data);
+    assert.strictEqual(response, '0xbeef');
+    assert.strictEqual(extraData, '0xabcd');
+  });
+
+  it('rejects a lookup raised by a different contract', async function () {
+    const provider = stubProvider(() => ({ revert: offchainLookup({ sender: RESOLVER }) }));
+    await assert.rejects(
+      ccipCall(provider, { to: CONTRACT, data: '0x01' }, { fetch: stubFetch({}) }),
+      /does not match called contract/
+    );
+  });
+
+  it('stops after maxLookups chained lookups', async function () {
+    const provider = stubProvider(() => ({ revert: offchainLookup() }));
+    const fetchFn = stubFetch({ [`https://gateway.example/${CONTRACT}/0x1234.json`]: { data: '0xbeef' } });
+
+    await assert.rejects(
+      ccipCall(provider, { to: CONTRACT, data: '0x01' }, { fetch: fetchFn, maxLookups: 2 }),
+      /exceeded 2 lookups/
+    );
+    assert.strictEqual(fetchFn.requests.length, 2);
+  });
+
+  it('returns non-OffchainLookup revert data to the caller', async function () {
+    const revert = new ethers.utils.Interface(['error ResolverNotFound()']).encodeErrorResult('ResolverNotFound', []);
+    const provider = stubProvider(() => ({ revert }));
+    const result = await ccipCall(provider, { to: CONTRACT, data: '0x01' });
+
+    assert.strictEqual(result, revert);
+    assert.strictEqual(isOffchainLookup(result), false);
+  });
+});
+
+describe('resolveWithUniversalResolver', function () {
+  it('decodes the record returned through the CCIP-Read callback', async function () {
+    const address = '0x3333333333333333333333333333333333333333';
+    const record = ethers.utils.defaultAbiCoder.encode(['address'], [address]);
+    const provider = stubProvider((tx) => {
+      if (tx.data.startsWith(lookupInterface.getSighash('resolve'))) {
+        return { revert: offchainLookup({ urls: ['https://gateway.example/lookup'] }) };
+      }
+      return lookupInterface.encodeFunctionResult('resolveCallback', [record, RESOLVER]);
+    });
+    const fetchFn = stubFetch({ 'https://gateway.example/lookup': { data: '0xbeef' } });
+
+    const result = await resolveWithUniversalResolver(provider, 'Offchain.ETH', 'addr', [], {
+      universalResolver: CONTRACT,
+      fetch: fetchFn
+    });
+
+    assert.strictEqual(result.name, 'offchain.eth');
+    assert.strictEqual(result.value, address);
+    assert.strictEqual(result.resolver, RESOLVER);
+  });
+});
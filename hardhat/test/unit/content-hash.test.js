@@ -0,0 +1,72 @@
+// Content Hash Unit Tests
+// ENSIP-7 encoding and decoding against the reference vectors
+
+const assert = require('assert');
+const { encodeContentHash, decodeContentHash, parseContentUri } = require('../../../curriculum/examples/shared-utilities/content-hash');
+
+describe('content hash codecs', function () {
+  // https://docs.ens.domains/ensip/7 and the ensdomains/content-hash test suite
+  const VECTORS = [
+    {
+      uri: 'ipfs://QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4',
+      encoded: '0xe3010170122029f2d17be6139079dc48696d1f582a8530eb9805b561eda517e22a892c7e3f1f',
+      protocol: 'ipfs'
+    },
+    {
+      uri: 'ipns://k51qzi5uqu5dihst24f3rp2ej4co9berxohfkxaenbq1wjty7nrd5e9xp4afx1',
+      encoded: '0xe50101720024080112205cbd1cc86ac20d6640795809c2a185bb2504538a2de8076da5a6971b8acb4715',
+      protocol: 'ipns'
+    },
+    {
+      uri: 'bzz://d1de9994b4d039f6548d191eb26786769f580809256b4685ef316805265ea162',
+      encoded: '0xe40101fa011b20d1de9994b4d039f6548d191eb26786769f580809256b4685ef316805265ea162',
+      protocol: 'swarm'
+    },
+    {
+      uri: 'onion://zqktlwi4fecvo6ri',
+      encoded: '0xbc037a716b746c776934666563766f367269',
+      protocol: 'onion'
+    },
+    {
+      uri: 'ar://Wj0ok2Ch6TW_XvYb9BUh6dTrCVUOm5WqxIbmnXyuHIM',
+      encoded: '0x90b2ca055a3d289360a1e935bf5ef61bf41521e9d4eb09550e9b95aac486e69d7cae1c83',
+      protocol: 'arweave'
+    }
+  ];
+
+  for (const { uri, encoded, protocol } of VECTORS) {
+    it(`encodes and decodes ${protocol}`, function () {
+      assert.strictEqual(encodeContentHash(uri), encoded);
+
+      const decoded = decodeContentHash(encoded);
+      assert.strictEqual(decoded.protocol, protocol);
+      assert.strictEqual(decoded.uri, uri);
+    });
+  }
+
+  it('encodes CIDv1 and CIDv0 of the same content identically', function () {
+    assert.strictEqual(
+      encodeContentHash('ipfs://bafybeibj6lixxzqtsb45ysdjnupvqkufgdvzqbnvmhw2kf7cfkesy7r7d4'),
+      encodeContentHash('ipfs://QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4')
+    );
+  });
+
+  it('treats a bare CID as IPFS', function () {
+    assert.deepStrictEqual(parseContentUri('QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4'), {
+      protocol: 'ipfs',
+      value: 'QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4'
+    });
+  });
+
+  it('gives gateway URLs for decoded content', function () {
+    assert.strictEqual(
+      decodeContentHash(VECTORS[0].encoded).gatewayUrl,
+      'https://ipfs.io/ipfs/QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4'
+    );
+  });
+
+  it('rejects unknown protocols and malformed bytes', function () {
+    assert.throws(() => encodeContentHash('ftp://example.com'), /Unsupported content protocol/);
+    assert.throws(() => decodeContentHash('0xdeadbeef'));
+  });
+});
@@ -0,0 +1,48 @@
+// Namehash Unit Tests
+// namehash and labelhash against the ENSIP-1 reference vectors
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { namehash, labelhash, normalizeName } = require('../../../curriculum/examples/shared-utilities/ens-helpers');
+
+describe('namehash', function () {
+  // https://docs.ens.domains/ensip/1#namehash-algorithm
+  const VECTORS = {
+    '': '0x0000000000000000000000000000000000000000000000000000000000000000',
+    eth: '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae',
+    'foo.eth': '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f'
+  };
+
+  for (const [name, node] of Object.entries(VECTORS)) {
+    it(`hashes "${name}"`, function () {
+      assert.strictEqual(namehash(name), node);
+    });
+  }
+
+  it('matches ethers for deeper names', function () {
+    for (const name of ['alice.eth', 'vitalik.eth', 'pay.duka.eth', 'addr.reverse']) {
+      assert.strictEqual(namehash(name), ethers.utils.namehash(name));
+    }
+  });
+
+  it('normalizes before hashing', function () {
+    assert.strictEqual(namehash('Nick.ETH'), namehash('nick.eth'));
+    assert.strictEqual(normalizeName('ＶＩＴＡＬＩＫ.eth'), 'vitalik.eth');
+  });
+
+  it('rejects names that cannot be normalized', function () {
+    assert.throws(() => namehash('vitalik..eth'));
+    assert.throws(() => namehash('bad\u0000.eth'));
+  });
+});
+
+describe('labelhash', function () {
+  it('hashes a single label', function () {
+    assert.strictEqual(labelhash('eth'), '0x4f5b812789fc606be1b3b16908db13fc7a9adf7ca72641f84d75b47069d3d7f0');
+  });
+
+  it('chains into namehash', function () {
+    const node = ethers.utils.keccak256(ethers.utils.concat([namehash('eth'), labelhash('foo')]));
+    assert.strictEqual(node, namehash('foo.eth'));
+  });
+});
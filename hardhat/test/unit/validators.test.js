@@ -0,0 +1,91 @@
+// Validator Unit Tests
+// ENSIP-15 label and name validation, .eth registration rules and seed fixture checks
+
+const assert = require('assert');
+const { validateLabel, validateENSName } = require('../../../curriculum/examples/shared-utilities/ens-helpers');
+const { validateDomainName } = require('../../../curriculum/modules/02-domain-management/examples/domain-registration-manager');
+const { listFixtures, loadFixture, validateFixture } = require('../../fixtures');
+
+describe('validateLabel', function () {
+  it('normalizes valid labels', function () {
+    const result = validateLabel('Hello');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.normalized, 'hello');
+  });
+
+  it('counts emoji as characters, not bytes', function () {
+    const result = validateLabel('💩💩💩', { minLength: 3 });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.emoji, true);
+    assert.strictEqual(result.length, 3);
+    assert.strictEqual(result.bytes, 12);
+  });
+
+  it('rejects dots, disallowed characters and short labels', function () {
+    assert.deepStrictEqual(validateLabel('a.b').errors, ['Label cannot contain a dot']);
+    assert.strictEqual(validateLabel('bad\u0000').valid, false);
+    assert.deepStrictEqual(validateLabel('ab', { minLength: 3 }).errors, ['Label must be at least 3 characters']);
+  });
+
+  it('rejects empty labels instead of throwing', function () {
+    const result = validateLabel('');
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors, ['Label cannot be empty']);
+    assert.strictEqual(result.normalized, null);
+    assert.strictEqual(validateDomainName('').valid, false);
+  });
+
+  it('rejects labels over 255 bytes', function () {
+    const result = validateLabel('a'.repeat(256));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.errors[0], /255 bytes/);
+  });
+});
+
+describe('validateENSName', function () {
+  it('accepts short and nested names outside registration', function () {
+    assert.strictEqual(validateENSName('ab.eth').valid, true);
+    assert.strictEqual(validateENSName('pay.duka.eth').normalized, 'pay.duka.eth');
+  });
+
+  it('applies the 3-character minimum only to .eth registrations', function () {
+    assert.deepStrictEqual(validateENSName('ab.eth', { registration: true }).errors, [
+      'Label "ab": Label must be at least 3 characters'
+    ]);
+    assert.strictEqual(validateENSName('abc.eth', { registration: true }).valid, true);
+  });
+
+  it('only registers second-level .eth names', function () {
+    assert.strictEqual(validateENSName('pay.duka.eth', { registration: true }).valid, false);
+    assert.strictEqual(validateENSName('duka.xyz', { registration: true }).valid, false);
+  });
+
+  it('reports empty names and labels', function () {
+    assert.deepStrictEqual(validateENSName('').errors, ['Name cannot be empty']);
+    assert.strictEqual(validateENSName('vitalik..eth').valid, false);
+  });
+});
+
+describe('validateDomainName', function () {
+  it('validates .eth labels for registration', function () {
+    assert.deepStrictEqual(validateDomainName('Nairobi'), { valid: true, errors: [], normalized: 'nairobi' });
+    assert.strictEqual(validateDomainName('ke').valid, false);
+    assert.strictEqual(validateDomainName('nairobi.eth').valid, false);
+  });
+});
+
+describe('validateFixture', function () {
+  it('accepts every shipped fixture', function () {
+    for (const { id } of listFixtures()) {
+      assert.ok(loadFixture(id).names.length > 0, id);
+    }
+  });
+
+  it('rejects subnames under unregistrable names and fuses on unwrapped names', function () {
+    assert.throws(() => validateFixture({ names: [{ name: 'ke.eth' }] }), /3 characters/);
+    assert.throws(
+      () => validateFixture({ names: [{ name: 'nakuru.eth', wrapped: false, fuses: ['CANNOT_UNWRAP'] }] }),
+      /wrapped/
+    );
+  });
+});